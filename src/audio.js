@@ -1,34 +1,98 @@
-import { Conversation } from '@elevenlabs/client';
+import { ElevenLabsBackend } from './backends/elevenlabs.js';
+import { MicrophoneSource, VoiceActivityDetector } from './sources/microphone.js';
+import { PlaybackSource } from './sources/playback.js';
+import { BandExtractor } from './bands.js';
+import { OnsetDetector } from './onsets.js';
+import { PitchTracker } from './pitch.js';
+
+// Pitch slope (semitones / s) at a phrase end that reads as a question
+const QUESTION_TREND = 4;
+
+const DEFAULT_RECONNECT = {
+  maxAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  stableAfterMs: 30000,  // a recovered session counts as degraded this long
+};
 
 /**
- * Bridges ElevenLabs Conversational AI with the orb visualization.
+ * Bridges a voice-agent backend with the orb visualization.
  *
  * - Manages agent conversation lifecycle (connect / disconnect)
+ * - Reconnects with exponential backoff when a session drops unexpectedly
  * - Extracts real-time FFT frequency bands from agent output + mic input
  * - Provides smoothed bass / mid / treble values for the shader each frame
+ * - Detects syllable onsets + phrase boundaries as discrete events
+ * - Tracks pitch and prosody (trend, emphasis, questions)
  * - Offers a simulated-audio mode for offline demos
+ * - Offers a mic-only mode that reacts to the room with no agent session
+ * - Plays recorded audio files through the same FFT pipeline
+ *
+ * The backend defaults to ElevenLabs; see src/backends/ for the adapter
+ * interface and the generic WebSocket backend.
  */
 export class AudioManager {
-  constructor() {
-    /** @type {Conversation | null} */
-    this.conversation = null;
+  /**
+   * @param {object} [options]
+   * @param {object} [options.backend]  voice backend adapter (see src/backends/)
+   * @param {object} [options.bands]    band edges / AGC overrides (see src/bands.js)
+   * @param {object} [options.reconnect] { maxAttempts, baseDelayMs, maxDelayMs, stableAfterMs }
+   */
+  constructor({ backend = new ElevenLabsBackend(), bands = {}, reconnect = {} } = {}) {
+    this.backend = backend;
+    this.reconnect = { ...DEFAULT_RECONNECT, ...reconnect };
     this.isActive = false;
     this.isConnecting = false;
 
+    // Connection state machine:
+    //   disconnected → connecting → connected → (drop) → reconnecting → connected
+    //                                                                  → failed
+    this.connectionState = 'disconnected';
+    this.reconnectAttempt = 0;
+    this.nextRetryAt = 0;  // performance.now() timestamp of the next reconnect attempt
+    // Connected, but recovered from a drop less than stableAfterMs ago
+    this.degraded = false;
+
     // Smoothed audio levels (0–1)
     this.level = 0.0;
     this.bass = 0.0;
     this.mid = 0.0;
     this.treble = 0.0;
 
+    // Onset pulse (0–1): jumps on each syllable onset, decays fast
+    this.pulse = 0.0;
+    // Onset / phrase events fired during the last update() (see src/onsets.js),
+    // plus { type: 'question', strength } when a phrase ends on rising pitch
+    this.events = [];
+
+    // Prosody (see src/pitch.js)
+    this.pitch = 0;          // Hz, holds the last voiced value
+    this.pitchTrend = 0;     // semitones / second, + rising
+    this.voiced = false;
+    this.emphasis = 0;       // 0–1
+    this.question = 0;       // 0–1, set when a phrase ends rising, then decays
+
     // Current agent mode: 'speaking' | 'listening' | null
     this.agentMode = null;
 
+    // Mic input gating for agent sessions
+    this.micMuted = false;       // explicit mute toggle
+    this.pushToTalk = false;     // mic only open while transmitting
+    this.transmitting = false;   // push-to-talk key / button held
+
     // Callbacks (set by consumer)
     this.onModeChange = null;
-    this.onStatusChange = null;
+    this.onStatusChange = null;  // (connectionState) on every state machine transition
+    this.onDegradedChange = null;     // (degraded)
     this.onMessage = null;
+    this.onTentativeResponse = null;  // (text) agent reply so far
+    this.onAlignment = null;          // ({ chars, charStartTimesMs, charDurationsMs })
+    this.onInterruption = null;       // the user barged in
     this.onError = null;
+    this.onVoiceActivity = null;
+    this.onPlaybackEnd = null;
+    this.onAudioEvent = null;
+    this.onMicStateChange = null;
 
     // ── Private ──
     this._rawLevel = 0.0;
@@ -37,71 +101,114 @@ export class AudioManager {
     this._rawTreble = 0.0;
     this._simulated = false;
     this._simTime = 0;
+    this._mic = null;
+    this._vad = new VoiceActivityDetector();
+    this._playback = null;
+
+    // Separate AGC state per channel — the user's mic and the agent's voice
+    // sit at very different loudness
+    this._inputBands = new BandExtractor(bands);
+    this._outputBands = new BandExtractor(bands);
+
+    this._onsets = new OnsetDetector();
+    this._pitch = new PitchTracker();
+    this._frameSpectrum = null;
+    this._frameLevel = null;
+    this._frameWave = null;
+    this._frameRate = null;
+    this._replayFrame = null;
+
+    this._intentionalDisconnect = false;
+    this._retryTimer = null;
+    this._stableTimer = null;
+
+    this._bindBackend();
   }
 
   // ─── Public API ──────────────────────────────────────────
 
-  /** Start a conversation with the ElevenLabs agent. */
+  /** Start a conversation with the agent backend. */
   async startConversation() {
     if (this.isActive || this.isConnecting) return;
-    this.isConnecting = true;
+    this._intentionalDisconnect = false;
+    this._clearRetry();
+    this.reconnectAttempt = 0;
+    this._inputBands.reset();
+    this._outputBands.reset();
+    this._setConnectionState('connecting');
 
     try {
-      const resp = await fetch('/api/signed-url');
-      if (!resp.ok) {
-        const body = await resp.text().catch(() => '');
-        throw new Error(`Connection request failed (${resp.status}): ${body}`);
-      }
-      const { signed_url } = await resp.json();
-
-      this.conversation = await Conversation.startSession({
-        signedUrl: signed_url,
-        connectionType: 'websocket',
-
-        onConnect: () => {
-          this.isActive = true;
-          this.isConnecting = false;
-          this._simulated = false;
-          this.onStatusChange?.('connected');
-        },
-
-        onDisconnect: () => {
-          this.isActive = false;
-          this.agentMode = null;
-          this.onStatusChange?.('disconnected');
-        },
-
-        onModeChange: (data) => {
-          const mode = data?.mode || data;
-          this.agentMode = mode;
-          this.onModeChange?.(mode);
-        },
-
-        onMessage: (message) => {
-          this.onMessage?.(message);
-        },
-
-        onError: (error) => {
-          console.error('[stark] agent error:', error);
-          this.onError?.(error);
-        },
-      });
+      await this.backend.connect();
     } catch (err) {
-      this.isConnecting = false;
+      // A cancelled connect rejects too — stopConversation() already settled on 'disconnected'
+      if (this._intentionalDisconnect) return;
+      this._setConnectionState('failed');
       throw err;
     }
+    await this._endIfCancelled();
   }
 
-  /** End the current conversation. */
+  /** End the current conversation (or cancel a pending reconnect). */
   async stopConversation() {
-    if (this.conversation) {
-      await this.conversation.endSession();
-      this.conversation = null;
-    }
+    this._intentionalDisconnect = true;
+    this._clearRetry();
+    await this.backend.disconnect();
     this.isActive = false;
-    this.isConnecting = false;
     this.agentMode = null;
     this._simulated = false;
+    this._setConnectionState('disconnected');
+  }
+
+  /** Acknowledge a failed connection and return to 'disconnected'. */
+  resetConnection() {
+    if (this.connectionState !== 'failed') return;
+    this._clearRetry();
+    this.reconnectAttempt = 0;
+    this._setConnectionState('disconnected');
+  }
+
+  /** Skip the backoff wait (e.g. the network just came back). */
+  retryNow() {
+    if (this.connectionState === 'failed') {
+      this.reconnectAttempt = 0;
+    } else if (this.connectionState !== 'reconnecting' || !this._retryTimer) {
+      return;
+    }
+    this._clearRetry();
+    this._attemptReconnect();
+  }
+
+  /**
+   * Register client tools the agent can call (see src/tools.js).
+   * Takes effect on the next connect.
+   */
+  setClientTools(tools) {
+    this.backend.clientTools = tools;
+  }
+
+  /** Mute or unmute the mic for the agent session. */
+  setMicMuted(muted) {
+    this.micMuted = muted;
+    this._applyMicState();
+  }
+
+  /** Switch between open-mic and push-to-talk. */
+  setPushToTalk(enabled) {
+    this.pushToTalk = enabled;
+    this.transmitting = false;
+    this._applyMicState();
+  }
+
+  /** Push-to-talk: open the mic while `active` (key / button held). */
+  setTransmitting(active) {
+    if (!this.pushToTalk || active === this.transmitting) return;
+    this.transmitting = active;
+    this._applyMicState();
+  }
+
+  /** Whether the agent currently cannot hear the user. */
+  get inputMuted() {
+    return this.micMuted || (this.pushToTalk && !this.transmitting);
   }
 
   /**
@@ -118,18 +225,124 @@ export class AudioManager {
     return this._simulated;
   }
 
+  /**
+   * Start mic-only mode: the orb reacts to local room audio and
+   * onVoiceActivity(true | false) fires as speech starts and stops.
+   */
+  async startMicrophone() {
+    if (this._mic || this.isActive || this.isConnecting) return;
+    const mic = new MicrophoneSource();
+    await mic.start();
+    this._playback?.stop();
+    this._mic = mic;
+    this._simulated = false;
+    this._vad.reset();
+    this._inputBands.reset();
+  }
+
+  /** Leave mic-only mode and release the microphone. */
+  async stopMicrophone() {
+    if (!this._mic) return;
+    const mic = this._mic;
+    this._mic = null;
+    await mic.stop();
+    if (this._vad.active) {
+      this._vad.reset();
+      this.onVoiceActivity?.(false);
+    }
+  }
+
+  /** Whether mic-only mode is currently active. */
+  get micActive() {
+    return this._mic !== null;
+  }
+
+  /**
+   * Play an audio clip (File / Blob / URL) through the orb.
+   * With no argument, replays the last loaded clip.
+   */
+  async playAudio(input) {
+    if (this.isActive || this.isConnecting) return;
+    if (this._mic) await this.stopMicrophone();
+
+    if (!this._playback) {
+      this._playback = new PlaybackSource();
+      this._playback.onEnded = () => this.onPlaybackEnd?.();
+    }
+    if (input) await this._playback.load(input);
+    if (!this._playback.hasClip) return;
+
+    this._simulated = false;
+    this._outputBands.reset();
+    this._playback.play();
+  }
+
+  /** Stop clip playback (onPlaybackEnd does not fire). */
+  stopPlayback() {
+    this._playback?.stop();
+  }
+
+  /** Whether a clip is currently playing. */
+  get playbackActive() {
+    return this._playback?.isActive ?? false;
+  }
+
+  /** Whether a clip has been loaded and can be replayed. */
+  get hasPlaybackClip() {
+    return this._playback?.hasClip ?? false;
+  }
+
+  /** Display name of the loaded clip. */
+  get playbackName() {
+    return this._playback?.name ?? '';
+  }
+
+  // ─── Session Replay ──────────────────────────────────────
+
+  /**
+   * Drive the next update() from a recorded frame (see src/recorder.js).
+   * Live sources, smoothing and analysis are skipped for that frame so the
+   * values match what was recorded exactly.
+   */
+  replayFrame(frame) {
+    this._replayFrame = frame;
+  }
+
+  /**
+   * Re-fire a recorded backend event. Modes only update agentMode — the
+   * states they led to are replayed from the timeline, not re-derived.
+   */
+  replayEvent(type, data) {
+    if (type === 'mode') this.agentMode = data;
+    else if (type === 'message') this.onMessage?.(data);
+  }
+
   // ─── Per-Frame Update ────────────────────────────────────
 
   /** Call once per animation frame with the delta time in seconds. */
   update(dt) {
+    this._frameSpectrum = null;
+    this._frameLevel = null;
+    this._frameWave = null;
+    this._frameRate = null;
+
+    if (this._replayFrame) {
+      this._updateFromReplay();
+      return;
+    }
+
     if (this._simulated) {
       this._updateSimulated(dt);
-    } else if (this.isActive && this.conversation) {
-      this._updateFromConversation();
+    } else if (this.isActive) {
+      this._updateFromBackend(dt);
+    } else if (this._mic) {
+      this._updateFromMicrophone(dt);
+    } else if (this.playbackActive) {
+      this._updateFromPlayback(dt);
     }
 
     // Decay when nothing is driving audio
-    if (!this.isActive && !this._simulated) {
+    if (!this.isActive && !this._simulated && !this._mic && !this.playbackActive) {
       const decay = 0.93;
       this._rawBass *= decay;
       this._rawMid *= decay;
@@ -142,10 +355,142 @@ export class AudioManager {
     this.mid += (this._rawMid - this.mid) * 0.20;
     this.treble += (this._rawTreble - this.treble) * 0.28;
     this.level += (this._rawLevel - this.level) * 0.16;
+
+    this._analyseFrame(dt);
   }
 
   // ─── Private Helpers ─────────────────────────────────────
 
+  /** Route backend events into AudioManager state + consumer callbacks. */
+  _bindBackend() {
+    const backend = this.backend;
+
+    backend.onConnect = () => {
+      // Cancelled mid-connect — connect() resolving ends the session
+      if (this._intentionalDisconnect) return;
+      const recovered = this.connectionState === 'reconnecting';
+      this.isActive = true;
+      this.reconnectAttempt = 0;
+      this._simulated = false;
+      this.backend.setMicMuted?.(this.inputMuted);
+      this._setConnectionState('connected');
+      if (recovered) this._setDegraded(true);
+    };
+
+    backend.onDisconnect = () => {
+      const wasConnected = this.isActive;
+      this.isActive = false;
+      this.agentMode = null;
+
+      if (this._intentionalDisconnect) {
+        this._setConnectionState('disconnected');
+      } else if (wasConnected) {
+        // Unexpected drop — network blip, server restart, session timeout
+        this._scheduleReconnect();
+      }
+      // Drops while connecting are handled by the failed connect() promise
+    };
+
+    backend.onModeChange = (mode) => {
+      // Input and output differ — don't read the switch as an onset or glide
+      if (mode !== this.agentMode) {
+        this._onsets.reset();
+        this._pitch.reset();
+      }
+      this.agentMode = mode;
+      this.onModeChange?.(mode);
+    };
+
+    backend.onMessage = (message) => {
+      this.onMessage?.(message);
+    };
+
+    backend.onTentativeResponse = (text) => this.onTentativeResponse?.(text);
+    backend.onAlignment = (alignment) => this.onAlignment?.(alignment);
+    backend.onInterruption = () => this.onInterruption?.();
+
+    backend.onError = (error) => {
+      console.error('[stark] agent error:', error);
+      this.onError?.(error);
+    };
+  }
+
+  _applyMicState() {
+    if (this.isActive) this.backend.setMicMuted?.(this.inputMuted);
+    this.onMicStateChange?.();
+  }
+
+  _setConnectionState(state) {
+    this.isConnecting = state === 'connecting' || state === 'reconnecting';
+    if (state === 'disconnected' || state === 'failed') this._setDegraded(false);
+    if (state === this.connectionState) return;
+    this.connectionState = state;
+    this.onStatusChange?.(state);
+  }
+
+  /** Degraded clears itself once the session has stayed up for stableAfterMs. */
+  _setDegraded(degraded) {
+    clearTimeout(this._stableTimer);
+    this._stableTimer = degraded ? setTimeout(() => this._setDegraded(false), this.reconnect.stableAfterMs) : null;
+    if (degraded === this.degraded) return;
+    this.degraded = degraded;
+    this.onDegradedChange?.(degraded);
+  }
+
+  _clearRetry() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this.nextRetryAt = 0;
+  }
+
+  /** Exponential backoff with ±20% jitter; gives up after maxAttempts. */
+  _scheduleReconnect() {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.reconnect;
+    this._clearRetry();
+
+    if (this.reconnectAttempt >= maxAttempts) {
+      this._setConnectionState('failed');
+      return;
+    }
+
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** this.reconnectAttempt) * (0.8 + Math.random() * 0.4);
+    this.reconnectAttempt++;
+    this.nextRetryAt = performance.now() + delay;
+    this._retryTimer = setTimeout(() => this._attemptReconnect(), delay);
+
+    if (this.connectionState === 'reconnecting') {
+      // Re-announce so consumers can refresh attempt count / countdown
+      this.onStatusChange?.('reconnecting');
+    } else {
+      this._setConnectionState('reconnecting');
+    }
+  }
+
+  async _attemptReconnect() {
+    this._retryTimer = null;
+    this.nextRetryAt = 0;
+    if (this._intentionalDisconnect) return;
+    this._setConnectionState('reconnecting');
+
+    try {
+      await this.backend.connect();
+    } catch (err) {
+      if (this._intentionalDisconnect) return;
+      console.warn(`[stark] reconnect attempt ${this.reconnectAttempt} failed:`, err);
+      this._scheduleReconnect();
+      return;
+    }
+    await this._endIfCancelled();
+  }
+
+  /**
+   * stopConversation() while connect() was pending can't end a session
+   * that doesn't exist yet — end it now that it does.
+   */
+  async _endIfCancelled() {
+    if (this._intentionalDisconnect) await this.backend.disconnect();
+  }
+
   /** Synthetic speech-like audio for design validation. */
   _updateSimulated(dt) {
     this._simTime += dt;
@@ -161,36 +506,116 @@ export class AudioManager {
     this._rawLevel = this._rawBass * 0.5 + this._rawMid * 0.35 + this._rawTreble * 0.15;
   }
 
-  /** Pull real FFT data from the ElevenLabs conversation. */
-  _updateFromConversation() {
-    try {
-      const data =
-        this.agentMode === 'speaking'
-          ? this.conversation.getOutputByteFrequencyData()
-          : this.agentMode === 'listening'
-            ? this.conversation.getInputByteFrequencyData()
-            : null;
+  /** Copy a recorded frame's values verbatim. */
+  _updateFromReplay() {
+    const f = this._replayFrame;
+    this._replayFrame = null;
+    this.level = this._rawLevel = f.level;
+    this.bass = this._rawBass = f.bass;
+    this.mid = this._rawMid = f.mid;
+    this.treble = this._rawTreble = f.treble;
+    this.pulse = f.pulse;
+    // Timelines recorded before the prosody fields were captured lack them
+    this.pitch = f.pitch ?? 0;
+    this.pitchTrend = f.pitchTrend ?? 0;
+    this.voiced = Boolean(f.voiced);
+    this.emphasis = f.emphasis ?? 0;
+    this.question = f.question ?? 0;
+    this.events = [];
+  }
 
+  /** Pull real FFT + waveform data from the backend. */
+  _updateFromBackend(dt) {
+    const speaking = this.agentMode === 'speaking';
+    if (!speaking && this.agentMode !== 'listening') return;
+    // The analyser taps the mic before the mute — don't show audio the agent can't hear
+    if (!speaking && this.inputMuted) {
+      this._applyBands({ bass: 0, mid: 0, treble: 0, level: 0, rawLevel: 0 }, null);
+      return;
+    }
+
+    try {
+      const b = this.backend;
+      const data = speaking ? b.getOutputByteFrequencyData() : b.getInputByteFrequencyData();
       if (!data || data.length === 0) return;
 
-      const bands = extractBands(data);
-
-      if (this.agentMode === 'listening') {
-        // Mic input drives the orb — scale up so user's voice is clearly visible
-        this._rawBass = bands.bass * 0.85;
-        this._rawMid = bands.mid * 0.8;
-        this._rawTreble = bands.treble * 0.6;
-        this._rawLevel = bands.level * 0.8;
-      } else {
-        this._rawBass = bands.bass;
-        this._rawMid = bands.mid;
-        this._rawTreble = bands.treble;
-        this._rawLevel = bands.level;
-      }
+      const sampleRate = speaking ? b.getOutputSampleRate?.() : b.getInputSampleRate?.();
+      const wave = speaking ? b.getOutputFloatTimeDomainData?.() : b.getInputFloatTimeDomainData?.();
+      const extractor = speaking ? this._outputBands : this._inputBands;
+      this._applyBands(extractor.extract(data, sampleRate, dt), data, wave, sampleRate);
     } catch {
       // FFT methods may be unavailable during mode transitions
     }
   }
+
+  /** Pull FFT data from the local mic and run voice activity detection. */
+  _updateFromMicrophone(dt) {
+    const data = this._mic.getByteFrequencyData();
+    if (!data || data.length === 0) return;
+
+    const sampleRate = this._mic.sampleRate;
+    const bands = this._inputBands.extract(data, sampleRate, dt);
+    this._applyBands(bands, data, this._mic.getFloatTimeDomainData(), sampleRate);
+
+    // VAD needs true loudness, not the gain-controlled level
+    if (this._vad.update(bands.rawLevel, dt)) {
+      this.onVoiceActivity?.(this._vad.active);
+    }
+  }
+
+  /** Pull FFT data from the clip being played back. */
+  _updateFromPlayback(dt) {
+    const data = this._playback.getByteFrequencyData();
+    if (!data || data.length === 0) return;
+    const sampleRate = this._playback.sampleRate;
+    const bands = this._outputBands.extract(data, sampleRate, dt);
+    this._applyBands(bands, data, this._playback.getFloatTimeDomainData(), sampleRate);
+  }
+
+  /** Write extracted bands into the raw channels. */
+  _applyBands(bands, spectrum, wave = null, sampleRate = null) {
+    this._rawBass = bands.bass;
+    this._rawMid = bands.mid;
+    this._rawTreble = bands.treble;
+    this._rawLevel = bands.level;
+
+    // Onset + pitch detection read the raw signal + pre-AGC loudness
+    this._frameSpectrum = spectrum;
+    this._frameLevel = bands.rawLevel;
+    this._frameWave = wave;
+    this._frameRate = sampleRate;
+  }
+
+  /** Onset / phrase detection, pitch tracking and the derived envelopes. */
+  _analyseFrame(dt) {
+    this.pulse *= Math.exp(-dt * 10);
+    this.question *= Math.exp(-dt * 0.8);
+
+    this._pitch.update(this._frameWave, this._frameRate, dt);
+    this.pitch = this._pitch.pitch;
+    this.pitchTrend = this._pitch.trend;
+    this.voiced = this._pitch.voiced;
+    this.emphasis = this._pitch.emphasis;
+
+    const level = this._frameLevel ?? this._rawLevel;
+    this.events = this._onsets.update(this._frameSpectrum, level, dt);
+
+    const count = this.events.length;
+    for (let i = 0; i < count; i++) {
+      const event = this.events[i];
+      if (event.type === 'onset') {
+        this.pulse = Math.max(this.pulse, event.strength);
+      } else if (event.type === 'phraseStart') {
+        this.pulse = Math.max(this.pulse, event.strength * 0.6);
+        this._pitch.lastVoicedTrend = 0;
+      } else if (event.type === 'phraseEnd' && this._pitch.lastVoicedTrend > QUESTION_TREND) {
+        // Phrase ended on rising intonation — read it as a question
+        this.question = 1;
+        this.events.push({ type: 'question', strength: Math.min(1, this._pitch.lastVoicedTrend / (QUESTION_TREND * 3)) });
+      }
+    }
+    for (const event of this.events) this.onAudioEvent?.(event);
+  }
 }
 
 // ─── Utilities ───────────────────────────────────────────────
@@ -198,28 +623,3 @@ export class AudioManager {
 function clamp01(v) {
   return Math.max(0, Math.min(1, v));
 }
-
-/**
- * Split a Uint8Array of FFT bin data into bass / mid / treble RMS values.
- */
-function extractBands(data) {
-  const len = data.length;
-  const bassEnd = Math.floor(len * 0.08);
-  const midEnd = Math.floor(len * 0.35);
-  const trebleEnd = Math.floor(len * 0.7);
-
-  let bassSum = 0;
-  let midSum = 0;
-  let trebleSum = 0;
-
-  for (let i = 0; i < bassEnd; i++) { const v = data[i] / 255; bassSum += v * v; }
-  for (let i = bassEnd; i < midEnd; i++) { const v = data[i] / 255; midSum += v * v; }
-  for (let i = midEnd; i < trebleEnd; i++) { const v = data[i] / 255; trebleSum += v * v; }
-
-  const bass = Math.sqrt(bassSum / Math.max(bassEnd, 1));
-  const mid = Math.sqrt(midSum / Math.max(midEnd - bassEnd, 1));
-  const treble = Math.sqrt(trebleSum / Math.max(trebleEnd - midEnd, 1));
-  const level = bass * 0.5 + mid * 0.35 + treble * 0.15;
-
-  return { bass, mid, treble, level };
-}
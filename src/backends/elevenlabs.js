@@ -0,0 +1,121 @@
+import { Conversation } from '@elevenlabs/client';
+
+/**
+ * ElevenLabs Conversational AI backend.
+ *
+ * Fetches a signed URL from the serverless route (API key never touches
+ * the browser) and opens a websocket session through the official SDK.
+ * With an `agentId` it connects straight to a public agent instead.
+ */
+export class ElevenLabsBackend {
+  constructor({ signedUrlEndpoint = '/api/signed-url', agentId = null } = {}) {
+    this.name = 'elevenlabs';
+    this.signedUrlEndpoint = signedUrlEndpoint;
+    this.agentId = agentId;
+
+    /** @type {Conversation | null} */
+    this.conversation = null;
+
+    // Client tools the agent may call — name → (parameters) => result
+    this.clientTools = {};
+
+    // ── Private ──
+    this._micMuted = false;
+    this._inputWave = null;
+    this._outputWave = null;
+
+    // Callbacks (set by AudioManager)
+    this.onConnect = null;
+    this.onDisconnect = null;
+    this.onModeChange = null;
+    this.onMessage = null;
+    this.onTentativeResponse = null;
+    this.onAlignment = null;
+    this.onInterruption = null;
+    this.onError = null;
+  }
+
+  async connect() {
+    const session = this.agentId ? { agentId: this.agentId } : { signedUrl: await this._fetchSignedUrl() };
+
+    this.conversation = await Conversation.startSession({
+      ...session,
+      connectionType: 'websocket',
+      clientTools: this.clientTools,
+
+      onConnect: () => this.onConnect?.(),
+      onDisconnect: (details) => this.onDisconnect?.(details),
+      onModeChange: (data) => this.onModeChange?.(data?.mode || data),
+      onMessage: (message) => this.onMessage?.(message),
+      // Streaming agent text arrives as a debug event
+      onDebug: (event) => {
+        if (event?.type === 'tentative_agent_response') this.onTentativeResponse?.(event.response);
+      },
+      onAudioAlignment: (alignment) => this.onAlignment?.({
+        chars: alignment.chars,
+        charStartTimesMs: alignment.char_start_times_ms,
+        charDurationsMs: alignment.char_durations_ms,
+      }),
+      onInterruption: () => this.onInterruption?.(),
+      onError: (error) => this.onError?.(error),
+    });
+
+    if (this._micMuted) this.conversation.setMicMuted(true);
+  }
+
+  async disconnect() {
+    if (!this.conversation) return;
+    const conversation = this.conversation;
+    this.conversation = null;
+    await conversation.endSession();
+  }
+
+  setMicMuted(muted) {
+    this._micMuted = muted;
+    this.conversation?.setMicMuted(muted);
+  }
+
+  getInputByteFrequencyData() {
+    return this.conversation?.getInputByteFrequencyData() ?? null;
+  }
+
+  getOutputByteFrequencyData() {
+    return this.conversation?.getOutputByteFrequencyData() ?? null;
+  }
+
+  getInputFloatTimeDomainData() {
+    const analyser = this.conversation?.input?.analyser;
+    if (!analyser) return null;
+    if (this._inputWave?.length !== analyser.fftSize) this._inputWave = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(this._inputWave);
+    return this._inputWave;
+  }
+
+  getOutputFloatTimeDomainData() {
+    const analyser = this.conversation?.output?.analyser;
+    if (!analyser) return null;
+    if (this._outputWave?.length !== analyser.fftSize) this._outputWave = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(this._outputWave);
+    return this._outputWave;
+  }
+
+  getInputSampleRate() {
+    return this.conversation?.input?.context.sampleRate ?? null;
+  }
+
+  getOutputSampleRate() {
+    return this.conversation?.output?.context.sampleRate ?? null;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  async _fetchSignedUrl() {
+    const resp = await fetch(this.signedUrlEndpoint);
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => '');
+      throw new Error(`Connection request failed (${resp.status}): ${body}`);
+    }
+    const { signed_url } = await resp.json();
+    return signed_url;
+  }
+}
@@ -0,0 +1,56 @@
+import { ElevenLabsBackend } from './elevenlabs.js';
+import { WebSocketBackend } from './websocket.js';
+
+/**
+ * Voice backend adapters.
+ *
+ * A backend owns the agent session and its audio. AudioManager only talks
+ * to this interface, so any voice stack can drive the orb:
+ *
+ *   name                          string identifier
+ *   clientTools                   { [name]: (parameters) => result } the agent may call
+ *   connect()                     Promise — resolves once the session is live
+ *   disconnect()                  Promise — ends the session
+ *   setMicMuted(muted)            stop / resume sending the user's mic
+ *   getInputByteFrequencyData()   Uint8Array | null — mic FFT bins
+ *   getOutputByteFrequencyData()  Uint8Array | null — agent voice FFT bins
+ *   getInputFloatTimeDomainData()   Float32Array | null — mic waveform (pitch)
+ *   getOutputFloatTimeDomainData()  Float32Array | null — agent voice waveform
+ *   getInputSampleRate()          number | null — Hz of the mic analyser
+ *   getOutputSampleRate()         number | null — Hz of the agent voice analyser
+ *
+ *   onConnect()                   session is live
+ *   onDisconnect(details)         session ended ({ reason: 'user' | 'agent' | 'error' })
+ *   onModeChange(mode)            'speaking' | 'listening'
+ *   onMessage({ message, role })  transcript line, role 'user' | 'agent'
+ *   onTentativeResponse(text)     optional — agent reply so far, while it streams
+ *   onAlignment({ chars, charStartTimesMs, charDurationsMs })
+ *                                 optional — character timings of the audio
+ *                                 chunk that just started
+ *   onInterruption()              optional — the user barged in on the agent
+ *   onError(error)
+ */
+
+export { ElevenLabsBackend, WebSocketBackend };
+
+/**
+ * Pick a backend from URL query parameters.
+ *
+ *   ?backend=websocket&ws=ws://localhost:8080   generic WebSocket backend
+ *   ?agent=<id>                                 public ElevenLabs agent, no server
+ *   (default)                                   ElevenLabs via /api/signed-url
+ */
+export function createBackend(params = new URLSearchParams(window.location.search)) {
+  const kind = params.get('backend') || 'elevenlabs';
+
+  switch (kind) {
+    case 'websocket':
+    case 'ws':
+      return new WebSocketBackend({ url: params.get('ws') || 'ws://localhost:8765' });
+    case 'elevenlabs':
+      return new ElevenLabsBackend({ agentId: params.get('agent') });
+    default:
+      console.warn(`[stark] unknown backend "${kind}", falling back to elevenlabs`);
+      return new ElevenLabsBackend();
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * Generic WebSocket voice backend.
+ *
+ * Lets the orb talk to any voice stack (or a local stand-in server) that
+ * speaks this small protocol. Text frames are JSON control messages,
+ * binary frames are raw audio: 16-bit signed little-endian mono PCM.
+ *
+ * Client → server
+ *   { "type": "hello", "sampleRate": 16000, "format": "pcm_s16le",
+ *     "tools": ["set_state", ...] }       first frame after the socket opens
+ *   { "type": "tool_result", "id": "...", "result": "...", "isError": false }
+ *   <binary>                              microphone audio at `sampleRate`
+ *
+ * Server → client
+ *   { "type": "ready", "sampleRate": 24000 }
+ *                                         session accepted; rate of agent audio
+ *                                         (defaults to the client rate)
+ *   { "type": "mode", "mode": "speaking" | "listening" }
+ *   { "type": "message", "role": "user" | "agent", "text": "..." }
+ *   { "type": "tentative", "text": "..." }
+ *                                         agent reply so far, while it streams
+ *   { "type": "alignment", "chars": [...], "startTimesMs": [...], "durationsMs": [...] }
+ *                                         character timings for the next audio
+ *                                         frame (optional — drives captions)
+ *   { "type": "interrupt" }               the user barged in: drop any agent
+ *                                         audio still queued
+ *   { "type": "tool_call", "id": "...", "name": "set_state", "parameters": {...} }
+ *                                         run a client tool (see src/tools.js)
+ *   { "type": "error", "message": "..." }
+ *   <binary>                              agent audio at the `ready` rate
+ *
+ * Either side ends the session by closing the socket. A server that
+ * doesn't answer `hello` with `ready` within `readyTimeoutMs` fails the
+ * connect.
+ */
+
+const CLIENT_SAMPLE_RATE = 16000;
+const FFT_SIZE = 2048;
+const READY_TIMEOUT_MS = 10000;
+
+// Posts mono Float32 blocks from the mic to the main thread.
+const CAPTURE_WORKLET = `
+class StarkCapture extends AudioWorkletProcessor {
+  process(inputs) {
+    const ch = inputs[0] && inputs[0][0];
+    if (ch) this.port.postMessage(ch.slice(0));
+    return true;
+  }
+}
+registerProcessor('stark-capture', StarkCapture);
+`;
+
+export class WebSocketBackend {
+  constructor({ url, readyTimeoutMs = READY_TIMEOUT_MS }) {
+    if (!url) throw new Error('WebSocket backend requires a url');
+
+    this.name = 'websocket';
+    this.url = url;
+    this.readyTimeoutMs = readyTimeoutMs;
+
+    // Client tools the agent may call — name → (parameters) => result
+    this.clientTools = {};
+
+    // Callbacks (set by AudioManager)
+    this.onConnect = null;
+    this.onDisconnect = null;
+    this.onModeChange = null;
+    this.onMessage = null;
+    this.onTentativeResponse = null;
+    this.onAlignment = null;
+    this.onInterruption = null;
+    this.onError = null;
+
+    // ── Private ──
+    this._socket = null;
+    this._ctx = null;
+    this._stream = null;
+    this._capture = null;
+    this._inputAnalyser = null;
+    this._outputAnalyser = null;
+    this._inputData = null;
+    this._outputData = null;
+    this._inputWave = null;
+    this._outputWave = null;
+    this._outputRate = CLIENT_SAMPLE_RATE;
+    this._playHead = 0;
+    this._sources = new Set();
+    this._micMuted = false;
+  }
+
+  async connect() {
+    // A denied mic or failed worklet still closes the half-built audio graph
+    try {
+      await this._openAudio();
+      await this._openSocket();
+    } catch (err) {
+      this._socket = null;
+      await this._closeAudio();
+      throw err;
+    }
+  }
+
+  async disconnect() {
+    const socket = this._socket;
+    this._socket = null;
+    if (socket && socket.readyState <= WebSocket.OPEN) socket.close(1000);
+    await this._closeAudio();
+  }
+
+  /** Muted mic keeps streaming — silence — so the server's clock stays in step. */
+  setMicMuted(muted) {
+    this._micMuted = muted;
+    this._stream?.getAudioTracks().forEach((track) => { track.enabled = !muted; });
+  }
+
+  getInputByteFrequencyData() {
+    if (!this._inputAnalyser) return null;
+    this._inputAnalyser.getByteFrequencyData(this._inputData);
+    return this._inputData;
+  }
+
+  getOutputByteFrequencyData() {
+    if (!this._outputAnalyser) return null;
+    this._outputAnalyser.getByteFrequencyData(this._outputData);
+    return this._outputData;
+  }
+
+  getInputFloatTimeDomainData() {
+    if (!this._inputAnalyser) return null;
+    this._inputAnalyser.getFloatTimeDomainData(this._inputWave);
+    return this._inputWave;
+  }
+
+  getOutputFloatTimeDomainData() {
+    if (!this._outputAnalyser) return null;
+    this._outputAnalyser.getFloatTimeDomainData(this._outputWave);
+    return this._outputWave;
+  }
+
+  getInputSampleRate() {
+    return this._ctx?.sampleRate ?? null;
+  }
+
+  getOutputSampleRate() {
+    return this._ctx?.sampleRate ?? null;
+  }
+
+  // ─── Audio Graph ─────────────────────────────────────────
+
+  async _openAudio() {
+    this._ctx = new AudioContext({ sampleRate: CLIENT_SAMPLE_RATE });
+    this._stream = await navigator.mediaDevices.getUserMedia({
+      audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+    });
+    this._stream.getAudioTracks().forEach((track) => { track.enabled = !this._micMuted; });
+
+    const workletUrl = URL.createObjectURL(new Blob([CAPTURE_WORKLET], { type: 'application/javascript' }));
+    try {
+      await this._ctx.audioWorklet.addModule(workletUrl);
+    } finally {
+      URL.revokeObjectURL(workletUrl);
+    }
+
+    const mic = this._ctx.createMediaStreamSource(this._stream);
+    this._inputAnalyser = this._ctx.createAnalyser();
+    this._inputAnalyser.fftSize = FFT_SIZE;
+    this._inputData = new Uint8Array(this._inputAnalyser.frequencyBinCount);
+    this._inputWave = new Float32Array(FFT_SIZE);
+
+    this._capture = new AudioWorkletNode(this._ctx, 'stark-capture');
+    this._capture.port.onmessage = (e) => this._sendPcm(e.data);
+    mic.connect(this._inputAnalyser);
+    mic.connect(this._capture);
+
+    this._outputAnalyser = this._ctx.createAnalyser();
+    this._outputAnalyser.fftSize = FFT_SIZE;
+    this._outputData = new Uint8Array(this._outputAnalyser.frequencyBinCount);
+    this._outputWave = new Float32Array(FFT_SIZE);
+    this._outputAnalyser.connect(this._ctx.destination);
+  }
+
+  async _closeAudio() {
+    this._stopPlayback();
+    if (this._capture) this._capture.port.onmessage = null;
+    this._stream?.getTracks().forEach((track) => track.stop());
+    await this._ctx?.close().catch(() => {});
+    this._ctx = null;
+    this._stream = null;
+    this._capture = null;
+    this._inputAnalyser = null;
+    this._outputAnalyser = null;
+  }
+
+  _sendPcm(float32) {
+    if (!this._socket || this._socket.readyState !== WebSocket.OPEN) return;
+    const pcm = new Int16Array(float32.length);
+    for (let i = 0; i < float32.length; i++) {
+      const s = Math.max(-1, Math.min(1, float32[i]));
+      pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    this._socket.send(pcm.buffer);
+  }
+
+  _playPcm(buffer) {
+    if (!this._ctx) return;
+    // A malformed odd-length frame loses its trailing byte rather than throwing
+    const pcm = new Int16Array(buffer, 0, buffer.byteLength >> 1);
+    if (pcm.length === 0) return;
+
+    const audio = this._ctx.createBuffer(1, pcm.length, this._outputRate);
+    const channel = audio.getChannelData(0);
+    for (let i = 0; i < pcm.length; i++) channel[i] = pcm[i] / 0x8000;
+
+    // Queue chunks back-to-back so streamed audio plays gapless
+    const source = this._ctx.createBufferSource();
+    source.buffer = audio;
+    source.connect(this._outputAnalyser);
+    const startAt = Math.max(this._ctx.currentTime, this._playHead);
+    source.start(startAt);
+    this._playHead = startAt + audio.duration;
+
+    this._sources.add(source);
+    source.onended = () => this._sources.delete(source);
+  }
+
+  _stopPlayback() {
+    for (const source of this._sources) {
+      try { source.stop(); } catch { /* already stopped */ }
+    }
+    this._sources.clear();
+    this._playHead = 0;
+  }
+
+  // ─── Socket ──────────────────────────────────────────────
+
+  _openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      socket.binaryType = 'arraybuffer';
+      this._socket = socket;
+      let settled = false;
+
+      // Before 'ready' every failure ends here: the socket goes quietly, connect() rejects
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(readyTimer);
+        socket.onclose = null;
+        socket.onmessage = null;
+        if (socket.readyState <= WebSocket.OPEN) socket.close();
+        reject(err);
+      };
+      const readyTimer = setTimeout(() => {
+        fail(new Error(`WebSocket server at ${this.url} did not answer within ${this.readyTimeoutMs}ms`));
+      }, this.readyTimeoutMs);
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'hello',
+          sampleRate: CLIENT_SAMPLE_RATE,
+          format: 'pcm_s16le',
+          tools: Object.keys(this.clientTools),
+        }));
+      };
+
+      socket.onmessage = (e) => {
+        if (typeof e.data !== 'string') {
+          this._playPcm(e.data);
+          return;
+        }
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (msg.type === 'ready' && !settled) {
+          settled = true;
+          clearTimeout(readyTimer);
+          this._outputRate = msg.sampleRate || CLIENT_SAMPLE_RATE;
+          resolve();
+          this.onConnect?.();
+          return;
+        }
+        this._handleControl(msg);
+      };
+
+      socket.onerror = () => {
+        fail(new Error(`WebSocket connection to ${this.url} failed`));
+      };
+
+      socket.onclose = (e) => {
+        if (!settled) {
+          fail(new Error(`WebSocket closed before ready (${e.code})`));
+          return;
+        }
+        const intentional = this._socket !== socket;
+        this._socket = null;
+        if (!intentional) this._closeAudio();
+        this.onDisconnect?.({
+          reason: intentional ? 'user' : 'agent',
+          closeCode: e.code,
+          closeReason: e.reason,
+        });
+      };
+    });
+  }
+
+  _handleControl(msg) {
+    switch (msg.type) {
+      case 'mode':
+        if (msg.mode === 'speaking' || msg.mode === 'listening') this.onModeChange?.(msg.mode);
+        break;
+      case 'message':
+        if (typeof msg.text !== 'string') break;
+        this.onMessage?.({
+          message: msg.text,
+          role: msg.role === 'user' ? 'user' : 'agent',
+          source: msg.role === 'user' ? 'user' : 'ai',
+        });
+        break;
+      case 'tentative':
+        if (typeof msg.text === 'string') this.onTentativeResponse?.(msg.text);
+        break;
+      case 'alignment':
+        if (Array.isArray(msg.chars) && Array.isArray(msg.startTimesMs)) {
+          this.onAlignment?.({ chars: msg.chars, charStartTimesMs: msg.startTimesMs, charDurationsMs: msg.durationsMs });
+        }
+        break;
+      case 'interrupt':
+        this._stopPlayback();
+        this.onInterruption?.();
+        break;
+      case 'tool_call':
+        this._runTool(msg);
+        break;
+      case 'error':
+        this.onError?.(msg.message || 'Unknown backend error');
+        break;
+    }
+  }
+
+  async _runTool({ id, name, parameters }) {
+    let result;
+    let isError = false;
+    try {
+      if (!Object.hasOwn(this.clientTools, name)) throw new Error(`Unknown client tool "${name}"`);
+      result = await this.clientTools[name](parameters || {});
+    } catch (err) {
+      result = err?.message || String(err);
+      isError = true;
+    }
+    if (this._socket?.readyState !== WebSocket.OPEN) return;
+    this._socket.send(JSON.stringify({ type: 'tool_result', id, result: result ?? null, isError }));
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Perceptual band extraction + automatic gain control.
+ *
+ * Band edges are defined in Hz, so the split is the same whatever the FFT
+ * size or sample rate of the source. Each band is further divided into
+ * mel-spaced sub-bands that are averaged with equal weight — otherwise the
+ * many linear bins at the top of a band would drown out the bottom.
+ *
+ * Per-band AGC follows a rolling peak envelope so a soft-spoken user and
+ * a loud TTS voice both use the full 0–1 visual range.
+ */
+
+export const DEFAULT_BAND_CONFIG = {
+  // Band edges in Hz
+  bands: {
+    bass: [60, 300],
+    mid: [300, 2000],
+    treble: [2000, 8000],
+  },
+  // Mel-spaced sub-bands per band
+  subBands: 4,
+  agc: {
+    enabled: true,
+    target: 0.85,       // envelope peak maps to this output level
+    minPeak: 0.25,      // caps gain (~3.4×) so silence / room noise isn't boosted
+    attackSeconds: 0.024,  // time for the envelope to rise ~63% toward a louder peak
+    releaseSeconds: 4,     // time for the envelope to fall ~63% after speech gets quieter
+  },
+};
+
+const BAND_NAMES = ['bass', 'mid', 'treble'];
+const DEFAULT_SAMPLE_RATE = 48000;
+
+/**
+ * Split a Uint8Array of FFT bin data into bass / mid / treble RMS values.
+ * Pure function — no gain control.
+ */
+export function extractBands(data, sampleRate, config = DEFAULT_BAND_CONFIG) {
+  const layout = computeLayout(data.length, sampleRate || DEFAULT_SAMPLE_RATE, config);
+  return measureBands(data, layout);
+}
+
+/**
+ * Stateful extractor: cached bin layout + rolling per-band AGC.
+ * Use one per audio channel (mic input, agent output, …).
+ */
+export class BandExtractor {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_BAND_CONFIG,
+      ...config,
+      bands: { ...DEFAULT_BAND_CONFIG.bands, ...config.bands },
+      agc: { ...DEFAULT_BAND_CONFIG.agc, ...config.agc },
+    };
+
+    // Rolling peak envelope per band
+    this.envelope = { bass: 0, mid: 0, treble: 0 };
+
+    // ── Private ──
+    this._layout = null;
+    this._layoutKey = '';
+  }
+
+  /**
+   * Extract gain-controlled bands for one frame.
+   * `rawLevel` is the pre-AGC level, for detectors that need true loudness.
+   * Falls back to 48 kHz when the source's sample rate is unknown.
+   */
+  extract(data, sampleRate, dt = 1 / 60) {
+    sampleRate = sampleRate || DEFAULT_SAMPLE_RATE;
+    const key = `${data.length}:${sampleRate}`;
+    if (key !== this._layoutKey) {
+      this._layout = computeLayout(data.length, sampleRate, this.config);
+      this._layoutKey = key;
+    }
+
+    const raw = measureBands(data, this._layout);
+    const agc = this.config.agc;
+    if (!agc.enabled) return { ...raw, rawLevel: raw.level };
+
+    // Both time constants scale with dt, so the envelope moves the same at any frame rate
+    const attack = 1 - Math.exp(-dt / agc.attackSeconds);
+    const release = 1 - Math.exp(-dt / agc.releaseSeconds);
+    const out = {};
+    for (const name of BAND_NAMES) {
+      const v = raw[name];
+      const env = this.envelope[name];
+      this.envelope[name] = v > env ? env + (v - env) * attack : env + (v - env) * release;
+      out[name] = Math.min(1, v * agc.target / Math.max(this.envelope[name], agc.minPeak));
+    }
+    out.level = combineLevel(out.bass, out.mid, out.treble);
+    out.rawLevel = raw.level;
+    return out;
+  }
+
+  /** Forget the envelope (e.g. when switching sources). */
+  reset() {
+    for (const name of BAND_NAMES) this.envelope[name] = 0;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function combineLevel(bass, mid, treble) {
+  return bass * 0.5 + mid * 0.35 + treble * 0.15;
+}
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+/**
+ * Map each band's Hz range to [startBin, endBin) ranges of mel-spaced
+ * sub-bands for a given bin count and sample rate.
+ */
+function computeLayout(binCount, sampleRate, config) {
+  const nyquist = sampleRate / 2;
+  const hzPerBin = nyquist / binCount;
+  const layout = {};
+
+  for (const name of BAND_NAMES) {
+    const [lo, hi] = config.bands[name];
+    const melLo = hzToMel(Math.min(lo, nyquist));
+    const melHi = hzToMel(Math.min(hi, nyquist));
+    const ranges = [];
+
+    for (let s = 0; s < config.subBands; s++) {
+      const fLo = melToHz(melLo + (melHi - melLo) * (s / config.subBands));
+      const fHi = melToHz(melLo + (melHi - melLo) * ((s + 1) / config.subBands));
+      const start = Math.min(binCount - 1, Math.floor(fLo / hzPerBin));
+      const end = Math.min(binCount, Math.max(start + 1, Math.ceil(fHi / hzPerBin)));
+      // Low sub-bands can collapse onto the same bin at small FFT sizes
+      const prev = ranges[ranges.length - 1];
+      if (prev && prev[0] === start && prev[1] === end) continue;
+      ranges.push([start, end]);
+    }
+    layout[name] = ranges;
+  }
+
+  return layout;
+}
+
+function measureBands(data, layout) {
+  const out = {};
+  for (const name of BAND_NAMES) {
+    const ranges = layout[name];
+    let total = 0;
+    for (const [start, end] of ranges) {
+      let sum = 0;
+      for (let i = start; i < end; i++) { const v = data[i] / 255; sum += v * v; }
+      total += Math.sqrt(sum / Math.max(end - start, 1));
+    }
+    out[name] = total / Math.max(ranges.length, 1);
+  }
+  out.level = combineLevel(out.bass, out.mid, out.treble);
+  return out;
+}
@@ -0,0 +1,169 @@
+/**
+ * Spoken caption tracking — which part of the agent's reply has actually
+ * been said, so the caption can reveal it word by word instead of showing
+ * the whole message the moment it arrives.
+ *
+ * Text comes from the backend's streaming (tentative) responses and the
+ * final message. The spoken position comes from, in order of preference:
+ *
+ *   alignment   per-character audio timings sent with each audio chunk
+ *               (ElevenLabs onAudioAlignment), scheduled back to back
+ *   level       the output audio level — while the agent is audibly
+ *               talking, advance at a typical speaking rate
+ *
+ * When the agent stops talking the rest is revealed; when the user barges
+ * in (interrupt()) the position freezes and the remainder counts as unsaid.
+ */
+
+const DEFAULT_OPTIONS = {
+  charsPerSecond: 15,   // ~150 words per minute
+  speechLevel: 0.04,    // output level that counts as audible speech
+  finishDelay: 0.8,     // seconds of silence that end the reply
+  startTimeout: 5,      // reveal text that never gets spoken (text-only replies)
+};
+
+export class SpokenCaption {
+  constructor({ now = () => performance.now(), ...options } = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.text = '';
+    this.interrupted = false;
+    /** Fully revealed — the reply ended (or was cut off). */
+    this.done = true;
+
+    // ── Private ──
+    this._now = now;
+    this._position = 0;       // chars spoken by the level estimate (may run past the text)
+    this._aligned = [];       // clock time (ms) each aligned char starts
+    this._alignedEnd = 0;     // clock time the last aligned chunk finishes playing
+    this._heard = false;
+    this._silence = 0;
+  }
+
+  /** Start tracking a new reply. */
+  begin(text = '') {
+    this.text = text;
+    this.interrupted = false;
+    this.done = false;
+    this._position = 0;
+    this._aligned = [];
+    this._alignedEnd = 0;
+    this._heard = false;
+    this._silence = 0;
+  }
+
+  /**
+   * The reply text so far (streamed or final). Text that doesn't continue
+   * a finished reply starts a new one.
+   */
+  setText(text) {
+    if (this.done && !(this.text && text.startsWith(this.text))) {
+      this.begin(text);
+      return;
+    }
+    this.text = text;
+  }
+
+  /** Per-character timings for the audio chunk that just started playing. */
+  addAlignment({ chars, charStartTimesMs, charDurationsMs = [] }) {
+    if (this.done || !chars?.length || chars.length !== charStartTimesMs?.length) return;
+    // Chunks queue behind each other, so this one starts when the last ends
+    const start = Math.max(this._now(), this._alignedEnd);
+    for (const t of charStartTimesMs) this._aligned.push(start + t);
+
+    const last = chars.length - 1;
+    this._alignedEnd = start + charStartTimesMs[last] + (charDurationsMs[last] ?? 0);
+  }
+
+  /** The user barged in — keep what was said, strike the rest. */
+  interrupt() {
+    if (this.done) return;
+    this._position = this.spoken;
+    this._aligned = [];
+    this.interrupted = true;
+    this.done = true;
+  }
+
+  /** Reveal everything — the agent finished talking. */
+  finish() {
+    if (this.done) return;
+    this.done = true;
+  }
+
+  /**
+   * Call once per frame. `level` is the agent's output level, `speaking`
+   * whether the backend says it is talking.
+   */
+  update(dt, level, speaking) {
+    if (this.done) return;
+    const o = this.options;
+    const audible = speaking && level > o.speechLevel;
+
+    if (audible && !this._aligned.length) this._position += o.charsPerSecond * dt;
+
+    if (audible || (speaking && this._aligned.length && this._now() < this._alignedEnd)) {
+      this._heard = true;
+      this._silence = 0;
+    } else if (!speaking) {
+      this._silence += dt;
+      if (this._silence >= (this._heard ? o.finishDelay : o.startTimeout)) this.finish();
+    }
+  }
+
+  /** Characters of `text` said so far. */
+  get spoken() {
+    if (this.done && !this.interrupted) return this.text.length;
+    if (this.interrupted) return Math.min(this._position, this.text.length);
+
+    let n = this._position;
+    if (this._aligned.length) {
+      const now = this._now();
+      n = 0;
+      while (n < this._aligned.length && this._aligned[n] <= now) n++;
+    }
+    return Math.min(Math.floor(n), this.text.length);
+  }
+
+  /**
+   * The text split for display: `said` up to the word being spoken,
+   * `word` itself, and the `unsaid` remainder. An interrupted reply cuts
+   * at the last whole word.
+   */
+  get parts() {
+    const { text } = this;
+    const spoken = this.spoken;
+    if (spoken >= text.length) return { said: text, word: '', unsaid: '' };
+    if (spoken === 0) return { said: '', word: '', unsaid: text };
+
+    // Between words: the next one hasn't started yet
+    if (/\s/.test(text[spoken - 1])) return { said: text.slice(0, spoken), word: '', unsaid: text.slice(spoken) };
+
+    const atBoundary = /\s/.test(text[spoken]);
+    const wordStart = wordStartBefore(text, spoken);
+    if (this.interrupted) {
+      const cut = atBoundary ? spoken : wordStart;
+      return { said: text.slice(0, cut), word: '', unsaid: text.slice(cut) };
+    }
+
+    const wordEnd = atBoundary ? spoken : wordEndAfter(text, spoken);
+    return {
+      said: text.slice(0, wordStart),
+      word: text.slice(wordStart, wordEnd),
+      unsaid: text.slice(wordEnd),
+    };
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+/** Index where the word containing text[i - 1] starts. */
+function wordStartBefore(text, i) {
+  while (i > 0 && !/\s/.test(text[i - 1])) i--;
+  return i;
+}
+
+/** Index just past the word containing text[i]. */
+function wordEndAfter(text, i) {
+  while (i < text.length && !/\s/.test(text[i])) i++;
+  return i;
+}
@@ -0,0 +1,197 @@
+/**
+ * Avatar controller — the part of an avatar that both the fullscreen app
+ * (main.js) and <stark-avatar> (element.js) share.
+ *
+ * It owns the state machine, turn tracker and agent-held states, and
+ * turns the voice session into orb state:
+ *
+ *   status     connection status → base state + reconnecting / failed overlays
+ *   errors     backend errors tint the orb for a few seconds; degraded pulses
+ *   tools      the client-tool host the agent drives the avatar through
+ *   update()   per frame: states, audio, prosody and theme → visual state
+ *
+ * Hosts keep their own UI (captions, HUD, DOM events) and hook in through
+ * the callbacks. The session is attached once it exists, so the element
+ * can create it lazily.
+ */
+
+import { applyProsody } from './orb.js';
+import { StateManager } from './states.js';
+import { ConversationTurnTracker, StateHold } from './turns.js';
+import { createClientTools } from './tools.js';
+import { DEFAULT_THEME, applyTheme } from './themes.js';
+
+const DEFAULT_OPTIONS = {
+  errorOverlayMs: 4000,  // how long a backend error tints the orb
+  failedAlertMs: 2000,   // a failed connection shows alert this long, then idle
+};
+
+export class AvatarController {
+  constructor({ now = () => performance.now(), ...options } = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.stateManager = new StateManager();
+    this.turnTracker = new ConversationTurnTracker({ now });
+    this.stateHold = new StateHold(this.stateManager, { now });
+
+    /** Attached AudioManager, or null before the session exists. */
+    this.audio = null;
+    /** AvatarScene for the zoom / shape tools, or null while there is none. */
+    this.scene = null;
+    this.theme = DEFAULT_THEME;
+
+    /** The agent's client tools (src/tools.js), bound to this avatar. */
+    this.clientTools = createClientTools({
+      getStateNames: () => this.stateManager.getStateNames(),
+      setState: (state, holdSeconds) => this.setState(state, holdSeconds),
+      setTheme: (theme) => {
+        this.theme = theme;
+        this.onThemeChange?.(theme);
+      },
+      showCard: (title, body, seconds) => this.onCard?.(title, body, seconds),
+      flashAlert: (message, seconds) => {
+        this.stateHold.hold('alert', seconds);
+        this.stateManager.flashIntensity = 1.0;
+        if (message) this.onCard?.('ALERT', message, seconds);
+      },
+      setZoom: (zoom) => Math.round((this.scene?.setZoom(zoom) ?? zoom) * 100) / 100,
+      showShape: (shape, timing) => {
+        if (!this.scene) throw new Error('The avatar has no scene to draw the shape in');
+        this.scene.showShape(shape, timing);
+      },
+    });
+
+    // Callbacks
+    this.onStatusChange = null;   // (status) — after the state switch
+    this.onModeChange = null;     // (mode) — raw backend mode
+    this.onTurnChange = null;     // (turn, prevTurn)
+    this.onThemeChange = null;    // (theme) — the agent switched theme
+    this.onCard = null;           // (title, body, seconds)
+
+    // ── Private ──
+    this._visualState = {};
+    this._errorTimer = null;
+    this._failedTimer = null;
+
+    this.turnTracker.onTurnChange = (turn, prev) => {
+      this.stateHold.set(turn);
+      this.onTurnChange?.(turn, prev);
+    };
+  }
+
+  /** Drive the avatar from an AudioManager's session events and hand it the client tools. */
+  attach(audio) {
+    this.audio = audio;
+    audio.onModeChange = (mode) => {
+      this.onModeChange?.(mode);
+      this.turnTracker.handleMode(mode);
+    };
+    audio.onStatusChange = (status) => this.handleStatus(status);
+    // A session that recovered from a drop pulses red until it has held steady
+    audio.onDegradedChange = (degraded) => this.stateManager.setOverlay('degraded', degraded);
+    audio.onError = () => this.flashError();
+    audio.setClientTools(this.clientTools);
+  }
+
+  /** Switch state; with `holdSeconds`, pin it over turn changes. */
+  setState(name, holdSeconds = 0) {
+    if (holdSeconds > 0) this.stateHold.hold(name, holdSeconds);
+    else this.stateManager.setState(name);
+  }
+
+  /**
+   * Connection status → state + overlays.
+   * disconnected → connecting → connected → reconnecting → connected | failed
+   */
+  handleStatus(status) {
+    const sm = this.stateManager;
+    // Reconnecting breathes dim, failed drains to a cold grey — on top of the base state
+    sm.setOverlay('reconnecting', status === 'reconnecting');
+    sm.setOverlay('failed', status === 'failed');
+    clearTimeout(this._failedTimer);
+
+    switch (status) {
+      case 'connecting':
+        sm.setState('thinking');
+        break;
+
+      case 'connected':
+        this.turnTracker.reset('listening');
+        sm.setState('listening');
+        break;
+
+      case 'reconnecting':
+        this.resetTurns();
+        sm.setState('thinking');
+        break;
+
+      case 'failed':
+        this.resetTurns();
+        sm.setState('alert');
+        this._failedTimer = setTimeout(() => {
+          if (this.audio?.connectionState === 'failed') sm.setState('idle');
+        }, this.options.failedAlertMs);
+        break;
+
+      case 'disconnected':
+        this.resetTurns();
+        sm.setState('idle');
+        break;
+    }
+    this.onStatusChange?.(status);
+  }
+
+  /** Tint the orb with the error overlay for a few seconds; repeats restart the wait. */
+  flashError() {
+    this.stateManager.setOverlay('error', true);
+    clearTimeout(this._errorTimer);
+    this._errorTimer = setTimeout(() => this.stateManager.setOverlay('error', false), this.options.errorOverlayMs);
+  }
+
+  /** Drop the committed turn and any agent-held state. */
+  resetTurns() {
+    this.turnTracker.reset();
+    this.stateHold.release();
+  }
+
+  /**
+   * One frame: advance the states and audio, then derive the visual state.
+   * Returns { sv, audioBands } for the host to render.
+   */
+  update(dt) {
+    this.stateHold.update();
+    this.stateManager.update(dt);
+    this.audio?.update(dt);
+
+    const audioBands = readAudioBands(this.audio);
+    const sv = applyProsody(this.stateManager.current, audioBands, this._visualState);
+    applyTheme(sv, this.theme);
+
+    // Thinking-gap detection + debounced listening
+    this.turnTracker.update(audioBands.level);
+    return { sv, audioBands };
+  }
+
+  /** Cancel the pending overlay timers. */
+  cancelTimers() {
+    clearTimeout(this._errorTimer);
+    clearTimeout(this._failedTimer);
+  }
+}
+
+// ─── Private Helpers ──────────────────────────────────────
+
+/** The audio levels the orb reacts to — silence before there is a session. */
+function readAudioBands(audio) {
+  return {
+    level: audio?.level ?? 0,
+    bass: audio?.bass ?? 0,
+    mid: audio?.mid ?? 0,
+    treble: audio?.treble ?? 0,
+    pulse: audio?.pulse ?? 0,
+    pitch: audio?.pitch ?? 0,
+    pitchTrend: audio?.pitchTrend ?? 0,
+    voiced: audio?.voiced ?? false,
+    emphasis: audio?.emphasis ?? 0,
+    question: audio?.question ?? 0,
+  };
+}
@@ -0,0 +1,8 @@
+/** Detach an object and free the geometry and materials of everything under it. */
+export function disposeObject(object) {
+  object.removeFromParent();
+  object.traverse((child) => {
+    child.geometry?.dispose();
+    child.material?.dispose();
+  });
+}
@@ -0,0 +1,10 @@
+/** Save text as a file download (browser only). */
+export function downloadFile(contents, filename, type = 'application/json') {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,319 @@
+/**
+ * <stark-avatar> — the orb as an embeddable custom element.
+ *
+ *   <script type="module" src="/src/element.js"></script>
+ *   <stark-avatar agent-id="…" theme="ember" style="height: 320px"></stark-avatar>
+ *
+ * Each element renders into its own shadow root, sizes to its container
+ * and runs its own scene, state machine and voice session, so several can
+ * share a page. Unlike the fullscreen app (main.js) it installs no global
+ * key or mouse handlers — the host page drives it through the API. The
+ * state and session logic is shared with the app (src/controller.js).
+ * Removing the element ends its session; moving it in the DOM does not.
+ *
+ *   connect()              start the voice session (resolves once live)
+ *   disconnect()           end it
+ *   setState(name, hold?)  switch state; with `hold` seconds, pin it over turn changes
+ *   showShape(shape, timing?)  particles draw { icon } | { path } | { text } (src/morph.js)
+ *   releaseShape()         send them back to the shell early
+ *   setOverlay(name, on?)  toggle an overlay, e.g. "typing" while the user types
+ *
+ *   statechange   { state, previous }
+ *   transcript    { role: 'user' | 'agent', text }
+ *   statuschange  { status }   disconnected | connecting | connected | reconnecting | failed
+ *   card          { title, body, seconds }   the agent called show_card
+ *
+ * Attributes:
+ *   agent-id      public ElevenLabs agent (otherwise signed-url is used)
+ *   signed-url    signed URL endpoint (default /api/signed-url)
+ *   backend       "elevenlabs" (default) or "websocket"
+ *   ws-url        WebSocket backend URL
+ *   theme         color theme (src/themes.js)
+ *   visual-style  "holographic" (default) or "organic" (src/styles.js)
+ *   quality       "auto" (default) or a fixed tier: high | medium | low | minimal
+ *   states        URL of a JSON state pack
+ *   tuning        tuning values, URL-fragment style ("bloom.radius=0.5&…")
+ *   sound         play the UI chimes and hum
+ *
+ * Backend attributes are read when the session is first used.
+ */
+
+import * as THREE from 'three';
+
+import { AvatarScene } from './scene.js';
+import { VISUAL_STYLES, DEFAULT_STYLE } from './styles.js';
+import { QUALITY_TIERS } from './quality.js';
+import { loadStatePack } from './states.js';
+import { AudioManager } from './audio.js';
+import { createBackend } from './backends/index.js';
+import { SoundManager } from './sound.js';
+import { AvatarController } from './controller.js';
+import { THEMES, DEFAULT_THEME } from './themes.js';
+import { DEFAULT_TUNING, TUNING_PARAMS, parseTuning } from './tuning.js';
+
+const STYLE = `
+  :host {
+    display: block;
+    position: relative;
+    width: 100%;
+    height: 100%;
+    min-height: 160px;
+    overflow: hidden;
+    background: #000;
+  }
+  :host([hidden]) { display: none; }
+  canvas {
+    position: absolute;
+    inset: 0;
+    width: 100%;
+    height: 100%;
+    display: block;
+  }
+`;
+
+export class StarkAvatarElement extends HTMLElement {
+  static observedAttributes = ['theme', 'visual-style', 'quality', 'states', 'tuning'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    this.shadowRoot.appendChild(style);
+
+    // States, turns, status, error overlays and client tools (src/controller.js)
+    this.controller = new AvatarController();
+    this.stateManager = this.controller.stateManager;
+    this.turnTracker = this.controller.turnTracker;
+    this.stateHold = this.controller.stateHold;
+    this.audioManager = null;
+
+    // ── Private ──
+    this._scene = null;
+    this._sound = new SoundManager();
+    this._tuning = { ...DEFAULT_TUNING };
+    this._clock = new THREE.Clock();
+    this._frame = 0;
+    this._visible = true;
+    this._resizeObserver = null;
+    this._intersectionObserver = null;
+
+    this.stateManager.onStateChange = (state) => {
+      this._emit('statechange', { state, previous: this.stateManager.currentState });
+    };
+    this.controller.onStatusChange = (status) => this._emit('statuschange', { status });
+    this.controller.onThemeChange = (theme) => { this.theme = theme; };
+    this.controller.onCard = (title, body, seconds) => this._emit('card', { title, body, seconds });
+  }
+
+  // ─── Lifecycle ──────────────────────────────────────────
+
+  connectedCallback() {
+    if (this._scene) return;
+    const { width, height } = this.getBoundingClientRect();
+    this._scene = new AvatarScene({
+      width: width || 1, height: height || 1, tuning: this._tuning, style: this._styleName(), quality: this._quality(),
+    });
+    this.shadowRoot.appendChild(this._scene.canvas);
+    this.controller.scene = this._scene;
+
+    this._resizeObserver = new ResizeObserver(([entry]) => {
+      const { width: w, height: h } = entry.contentRect;
+      this._scene?.setSize(w, h);
+    });
+    this._resizeObserver.observe(this);
+
+    // Off-screen avatars stop rendering (docs pages with several on them)
+    this._intersectionObserver = new IntersectionObserver(([entry]) => {
+      this._visible = entry.isIntersecting;
+    });
+    this._intersectionObserver.observe(this);
+
+    this._clock.start();
+    this._frame = requestAnimationFrame(() => this._animate());
+  }
+
+  disconnectedCallback() {
+    // Moving the element reconnects it before microtasks run — only an
+    // element that stays out of the document ends its session
+    queueMicrotask(() => {
+      if (!this.isConnected) this._teardown();
+    });
+  }
+
+  attributeChangedCallback(name, _old, value) {
+    switch (name) {
+      case 'theme':
+        this.controller.theme = Object.hasOwn(THEMES, value) ? value : DEFAULT_THEME;
+        break;
+      case 'visual-style':
+        if (this._scene && this._scene.styleName !== this._styleName()) this._scene.setStyle(this._styleName());
+        break;
+      case 'quality':
+        this._scene?.setQuality(this._quality());
+        break;
+      case 'states':
+        if (!value) break;
+        loadStatePack(value)
+          .then((pack) => this.stateManager.setPack(pack))
+          .catch((err) => console.error('[stark] state pack rejected:', err));
+        break;
+      case 'tuning':
+        this._applyTuning({ ...DEFAULT_TUNING, ...parseTuning(value || '') });
+        break;
+    }
+  }
+
+  // ─── Public API ─────────────────────────────────────────
+
+  /** Start the voice session. Resolves once connected; rejects if it can't. */
+  async connect() {
+    if (this.audioManager?.isActive || this.audioManager?.isConnecting) return;
+    if (this.hasAttribute('sound')) this._sound.init();
+
+    const audio = this._audio();
+    audio.setSimulated(false);
+    await audio.startConversation();
+  }
+
+  async disconnect() {
+    await this.audioManager?.stopConversation();
+  }
+
+  /**
+   * Switch state. `holdSeconds` pins it over conversation turn changes.
+   * Outside a session, states with simulateAudio play simulated speech.
+   */
+  setState(name, holdSeconds = 0) {
+    const config = this.stateManager.getState(name);
+    if (!config) {
+      throw new Error(`Unknown state "${name}". Valid states: ${this.stateManager.getStateNames().join(', ')}`);
+    }
+    this.controller.setState(name, holdSeconds);
+
+    const audio = this._audio();
+    if (!audio.isActive && !audio.isConnecting) audio.setSimulated(config.simulateAudio);
+  }
+
+  /** Morph the particles into a shape. Throws on unknown icons or empty specs. */
+  showShape(shape, timing) {
+    if (!this._scene) throw new Error('<stark-avatar> is not connected to the document');
+    this._scene.showShape(shape, timing);
+  }
+
+  releaseShape() {
+    this._scene?.releaseShape();
+  }
+
+  /** Toggle an overlay from the state pack. Throws on unknown names. */
+  setOverlay(name, on = true) {
+    const names = this.stateManager.getOverlayNames();
+    if (!names.includes(name)) throw new Error(`Unknown overlay "${name}". Valid overlays: ${names.join(', ')}`);
+    this.stateManager.setOverlay(name, on);
+  }
+
+  /** Target state name. */
+  get state() {
+    return this.stateManager.targetState;
+  }
+
+  get states() {
+    return this.stateManager.getStateNames();
+  }
+
+  /** Connection status ('disconnected' before the first connect()). */
+  get status() {
+    return this.audioManager?.connectionState ?? 'disconnected';
+  }
+
+  get theme() {
+    return this.controller.theme;
+  }
+
+  set theme(name) {
+    this.setAttribute('theme', name);
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  /** The element's AudioManager, created on first use from the backend attributes. */
+  _audio() {
+    if (this.audioManager) return this.audioManager;
+
+    const params = new URLSearchParams();
+    if (this.getAttribute('backend')) params.set('backend', this.getAttribute('backend'));
+    if (this.getAttribute('ws-url')) params.set('ws', this.getAttribute('ws-url'));
+    if (this.getAttribute('agent-id')) params.set('agent', this.getAttribute('agent-id'));
+    const backend = createBackend(params);
+    if (this.getAttribute('signed-url')) backend.signedUrlEndpoint = this.getAttribute('signed-url');
+
+    const audio = new AudioManager({ backend });
+    this.controller.attach(audio);
+    audio.onMessage = (message) => {
+      const text = message?.message;
+      if (!text || typeof text !== 'string') return;
+      const source = message?.source || message?.type || '';
+      const isUser = source === 'user' || message?.role === 'user' || source === 'user_transcript';
+      this._emit('transcript', { role: isUser ? 'user' : 'agent', text });
+    };
+
+    this.audioManager = audio;
+    return audio;
+  }
+
+  /** Merge values into the tuning, rebuilding only the parts whose keys changed. */
+  _applyTuning(values) {
+    const rebuild = new Set();
+    for (const [key, value] of Object.entries(values)) {
+      if (this._tuning[key] === value) continue;
+      this._tuning[key] = value;
+      const param = TUNING_PARAMS.find((p) => p.key === key);
+      if (param?.rebuild) rebuild.add(param.rebuild);
+      if (key === 'camera.zoom' && this._scene) this._scene.targetZoom = value;
+    }
+    if (!this._scene) return;
+    for (const part of rebuild) this._scene.rebuild(part);
+    this._scene.applyTuning();
+  }
+
+  /** The visual-style attribute, falling back to the default for unknown names. */
+  _styleName() {
+    const name = this.getAttribute('visual-style');
+    return VISUAL_STYLES[name] ? name : DEFAULT_STYLE;
+  }
+
+  /** The quality attribute: a tier name, otherwise "auto". */
+  _quality() {
+    const name = this.getAttribute('quality');
+    return QUALITY_TIERS.some((t) => t.name === name) ? name : 'auto';
+  }
+
+  _animate() {
+    this._frame = requestAnimationFrame(() => this._animate());
+    const dt = Math.min(this._clock.getDelta(), 0.05);
+    if (!this._visible) return;
+
+    const { sv, audioBands } = this.controller.update(dt);
+    if (this.hasAttribute('sound')) this._sound.update(sv, audioBands);
+    this._scene.render(sv, this.stateManager, audioBands, this._clock.elapsedTime, dt);
+  }
+
+  /** Stop rendering, end the session and free the GPU resources. */
+  _teardown() {
+    cancelAnimationFrame(this._frame);
+    this.controller.cancelTimers();
+    this._resizeObserver?.disconnect();
+    this._intersectionObserver?.disconnect();
+    this._resizeObserver = this._intersectionObserver = null;
+
+    this.disconnect().catch(() => {});
+    this._scene?.dispose();
+    this._scene = this.controller.scene = null;
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (!customElements.get('stark-avatar')) customElements.define('stark-avatar', StarkAvatarElement);
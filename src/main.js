@@ -1,157 +1,226 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 
-import {
-  createCore, createRings, createContainment,
-  updateCore, updateRings, updateContainment,
-} from './orb.js';
-import {
-  createParticles, createLeadParticles,
-  updateParticles, updateLeadParticles,
-} from './particles.js';
-import { StateManager } from './states.js';
+import { AvatarScene } from './scene.js';
+import { VISUAL_STYLES, DEFAULT_STYLE } from './styles.js';
+import { QUALITY_TIERS } from './quality.js';
+import { loadStatePack } from './states.js';
 import { AudioManager } from './audio.js';
+import { createBackend } from './backends/index.js';
 import { SoundManager } from './sound.js';
+import { AvatarController } from './controller.js';
+import { RemoteControl, createRemoteCommands } from './remote.js';
+import { Transcript, TranscriptPanel } from './transcript.js';
+import { SpokenCaption } from './captions.js';
+import { SessionRecorder, TimelinePlayer, downloadTimeline } from './recorder.js';
+import { THEMES } from './themes.js';
+import {
+  TUNING_PARAMS, DEFAULT_TUNING, TuningPanel, parseTuning, serializeTuning,
+} from './tuning.js';
 
-// ─── Scene ─────────────────────────────────────────────────
-
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x000000);
+// ─── Tuning ────────────────────────────────────────────────
+// Designer-facing constants (src/tuning.js). The URL fragment carries the
+// non-default values, so a tuned look is shareable as a link.
 
-const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 0, 5.0);
-camera.lookAt(0, 0, 0);
+const tuning = { ...DEFAULT_TUNING, ...parseTuning(window.location.hash) };
 
-const renderer = new THREE.WebGLRenderer({
-  antialias: true,
-  powerPreference: 'high-performance',
-  alpha: false,
+// ─── Scene ─────────────────────────────────────────────────
+// Renderer, bloom, orb objects and camera (src/scene.js). ?style=organic
+// starts with the shader orb instead of the faceted construct; quality
+// adapts to the frame time unless ?quality=<tier> pins it (src/quality.js).
+
+const startupParams = new URLSearchParams(window.location.search);
+const initialStyle = startupParams.get('style');
+const initialQuality = startupParams.get('quality');
+const avatarScene = new AvatarScene({
+  width: window.innerWidth,
+  height: window.innerHeight,
+  tuning,
+  style: VISUAL_STYLES[initialStyle] ? initialStyle : DEFAULT_STYLE,
+  quality: QUALITY_TIERS.some((t) => t.name === initialQuality) ? initialQuality : 'auto',
 });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+const { renderer } = avatarScene;
 document.body.appendChild(renderer.domElement);
 
-// ─── Post-Processing (Bloom) ───────────────────────────────
-
-const composer = new EffectComposer(renderer);
-composer.addPass(new RenderPass(scene, camera));
+// ─── State & Audio ─────────────────────────────────────────
+// States, turn taking, agent-held states, connection status, error
+// overlays and the client tools are shared with <stark-avatar>
+// (src/controller.js); this file adds the fullscreen HUD around them.
 
-const bloomPass = new UnrealBloomPass(
-  new THREE.Vector2(window.innerWidth, window.innerHeight),
-  0.6,   // strength (UnrealBloom is much more aggressive than pmndrs Bloom)
-  0.35,  // radius
-  0.3,   // threshold
-);
-composer.addPass(bloomPass);
-composer.addPass(new OutputPass());
+const controller = new AvatarController();
+const { stateManager } = controller;
+const audioManager = new AudioManager({ backend: createBackend() });
+const soundManager = new SoundManager();
+const recorder = new SessionRecorder();
 
-// ─── Scene Objects ─────────────────────────────────────────
+controller.scene = avatarScene;
+controller.attach(audioManager);
 
-const core = createCore();
-scene.add(core.group);
+controller.onModeChange = (mode) => recorder.captureEvent('mode', mode);
+controller.onTurnChange = (turn, prev) => {
+  // Agent just stopped speaking → fade caption after 2s
+  if (turn === 'listening' && prev === 'speaking') fadeCaptionAfterSpeaking();
+};
 
-const rings = createRings();
-for (const ring of rings) scene.add(ring.group);
+// ─── Connection Status ────────────────────────────────────
 
-const containment = createContainment();
-scene.add(containment.group);
+controller.onStatusChange = (status) => {
+  // A fresh session (reconnects keep theirs)
+  if (status === 'connecting') transcript.start();
+  else if (status !== 'connected') hideCaption();
+  updateConnectionUI();
+  remote?.broadcast('status', { status });
+};
 
-const particles = createParticles();
-scene.add(particles.points);
+// Network came back — don't wait out the backoff
+window.addEventListener('online', () => audioManager.retryNow());
 
-const leadParticles = createLeadParticles();
-scene.add(leadParticles.points);
+/** Local modes (manual states, demo, mic, playback) dismiss a failed connection. */
+function dismissConnectionFailure() {
+  audioManager.resetConnection();
+}
 
-// ─── State & Audio ─────────────────────────────────────────
+// ─── Mic Mute / Push-to-Talk ──────────────────────────────
+// V mutes the agent's mic. T switches to push-to-talk: hold Shift or a
+// mouse button to transmit.
 
-const stateManager = new StateManager();
-const audioManager = new AudioManager();
-const soundManager = new SoundManager();
+const micStateEl = document.getElementById('mic-state');
 
-// ─── Debounced Mode Handling ──────────────────────────────
+audioManager.onMicStateChange = () => updateMicUI();
 
-let pendingMode = null;
-let modeDebounceTimer = null;
-const MODE_DEBOUNCE_MS = 400;
+function updateMicUI() {
+  if (!micStateEl) return;
+  const { micMuted, pushToTalk, transmitting } = audioManager;
 
-let userSpokeDuringTurn = false;
-let silenceStartTime = 0;
-let thinkingTriggered = false;
-let committedMode = null;
+  let text = '';
+  if (micMuted) text = 'mic muted \u2014 press V to unmute';
+  else if (pushToTalk) text = transmitting ? 'transmitting' : 'push to talk \u2014 hold Shift';
 
-function commitMode(mode) {
-  if (mode === committedMode) return;
-  const prev = committedMode;
-  committedMode = mode;
-  thinkingTriggered = false;
+  micStateEl.textContent = text;
+  micStateEl.className = [
+    text ? 'visible' : '',
+    audioManager.inputMuted ? 'muted' : '',
+  ].join(' ').trim();
+}
 
-  if (mode === 'speaking') {
-    userSpokeDuringTurn = false;
-    silenceStartTime = 0;
-    stateManager.setState('speaking');
-  } else if (mode === 'listening') {
-    userSpokeDuringTurn = false;
-    silenceStartTime = 0;
-    stateManager.setState('listening');
-    // Agent just stopped speaking → fade caption after 2s
-    if (prev === 'speaking') fadeCaptionAfterSpeaking();
-  }
+/** Muted: the orb drains toward grey and dims so it's clear it can't hear. */
+function syncMicOverlay() {
+  if (replayer) return;  // overlays come from the timeline
+  // Speaking stays vivid — only the listening side is muted
+  const muted = audioManager.isActive && audioManager.inputMuted && audioManager.agentMode !== 'speaking';
+  stateManager.setOverlay('muted', muted);
 }
 
-audioManager.onModeChange = (mode) => {
-  // Speaking always commits immediately — no lag on voice start
-  if (mode === 'speaking') {
-    clearTimeout(modeDebounceTimer);
-    pendingMode = null;
-    commitMode('speaking');
-    return;
-  }
+renderer.domElement.addEventListener('mousedown', () => audioManager.setTransmitting(true));
+window.addEventListener('mouseup', () => audioManager.setTransmitting(false));
+window.addEventListener('keyup', (e) => {
+  if (e.key === 'Shift') audioManager.setTransmitting(false);
+});
+// Releasing the key while the window is unfocused must not leave the mic open
+window.addEventListener('blur', () => audioManager.setTransmitting(false));
+
+// ─── Battery ──────────────────────────────────────────────
+// Kiosks on battery dim and slow down when it runs low (Chromium only)
+
+navigator.getBattery?.().then((battery) => {
+  const sync = () => stateManager.setOverlay('low_battery', !battery.charging && battery.level < 0.15);
+  battery.addEventListener('levelchange', sync);
+  battery.addEventListener('chargingchange', sync);
+  sync();
+}).catch(() => {});
+
+// ─── Mic-Only Mode ────────────────────────────────────────
+// Reacts to the room with no agent session — voice activity moves
+// the orb between listening and idle.
+
+audioManager.onVoiceActivity = (speaking) => {
+  if (!audioManager.micActive) return;
+  stateManager.setState(speaking ? 'listening' : 'idle');
+};
 
-  // Ignore 'listening' if thinking-gap is active — stay in thinking until speaking arrives
-  if (mode === 'listening' && thinkingTriggered) {
+async function toggleMicMode() {
+  if (isAgentActive()) return;
+  soundManager.init();
+  dismissConnectionFailure();
+
+  if (audioManager.micActive) {
+    await audioManager.stopMicrophone();
+    stateManager.setState('idle');
+    updateConnectionUI();
     return;
   }
 
-  // Debounce speaking→listening to absorb brief speech pauses
-  if (mode === 'listening' && committedMode === 'speaking') {
-    pendingMode = 'listening';
-    clearTimeout(modeDebounceTimer);
-    modeDebounceTimer = setTimeout(() => {
-      if (pendingMode === 'listening') {
-        commitMode('listening');
-        pendingMode = null;
-      }
-    }, MODE_DEBOUNCE_MS);
-    return;
+  if (demoMode) toggleDemo();
+  audioManager.setSimulated(false);
+  try {
+    await audioManager.startMicrophone();
+    stateManager.setState('idle');
+    updateConnectionUI();
+  } catch (err) {
+    console.error('[stark] microphone unavailable:', err);
+    stateManager.setState('alert');
+    setTimeout(() => stateManager.setState('idle'), 2000);
   }
+}
 
-  commitMode(mode);
+// ─── Clip Playback ────────────────────────────────────────
+// Replays recorded agent audio (drag-and-drop or ?audio=) with real FFT.
+
+audioManager.onPlaybackEnd = () => {
+  stateManager.setState('idle');
+  updateConnectionUI();
 };
 
-// ─── Connection Status ────────────────────────────────────
+async function playClip(input) {
+  if (isAgentActive()) return;
+  soundManager.init();
+  dismissConnectionFailure();
+  if (demoMode) toggleDemo();
+  audioManager.setSimulated(false);
 
-let intentionalDisconnect = false;
-
-audioManager.onStatusChange = (status) => {
-  if (status === 'connected') {
-    committedMode = 'listening';
-    stateManager.setState('listening');
-    updateConnectionUI(true);
-  } else if (status === 'disconnected') {
-    committedMode = null;
-    pendingMode = null;
-    clearTimeout(modeDebounceTimer);
-    if (intentionalDisconnect) intentionalDisconnect = false;
+  try {
+    await audioManager.playAudio(input);
+    if (!audioManager.playbackActive) return;
+    stateManager.setState('speaking');
+    updateConnectionUI();
+  } catch (err) {
+    console.error('[stark] audio playback failed:', err);
+    stateManager.setState('alert');
+    setTimeout(() => stateManager.setState('idle'), 2000);
+  }
+}
+
+function togglePlayback() {
+  if (audioManager.playbackActive) {
+    audioManager.stopPlayback();
     stateManager.setState('idle');
-    updateConnectionUI(false);
-    hideCaption();
+    updateConnectionUI();
+  } else if (audioManager.hasPlaybackClip) {
+    playClip();
   }
-};
+}
+
+renderer.domElement.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+});
+
+renderer.domElement.addEventListener('drop', (e) => {
+  e.preventDefault();
+  const files = [...(e.dataTransfer?.files || [])];
+  const timeline = files.find((f) => f.name.endsWith('.json'));
+  if (timeline) {
+    startReplay(timeline);
+    return;
+  }
+  const file = files.find((f) => f.type.startsWith('audio/')) || files[0];
+  if (file) playClip(file);
+});
 
 // ─── Live Captions ────────────────────────────────────────
+// The caption shows the latest line; the transcript (H) keeps them all.
+
+const transcript = new Transcript();
+const transcriptPanel = new TranscriptPanel(transcript);
 
 const captionEl = document.getElementById('caption');
 const captionLabelEl = document.getElementById('caption-label');
@@ -164,6 +233,7 @@ function showCaption(label, text, isUser) {
   if (captionTextEl) captionTextEl.textContent = text;
   if (captionEl) captionEl.className = isUser ? 'visible user' : 'visible';
   lastCaptionSource = isUser ? 'user' : 'agent';
+  spokenCaptionShown = false;
 
   // User captions fade after 3s (they get replaced by agent response anyway)
   // Agent captions stay visible — cleared by fadeCaptionAfterSpeaking()
@@ -178,10 +248,14 @@ function showCaption(label, text, isUser) {
 function fadeCaptionAfterSpeaking() {
   // Called when agent stops speaking — keep text visible for 2 more seconds
   if (lastCaptionSource !== 'agent') return;
+  fadeCaptionAfter(2000);
+}
+
+function fadeCaptionAfter(ms) {
   clearTimeout(captionFadeTimer);
   captionFadeTimer = setTimeout(() => {
     if (captionEl) captionEl.className = '';
-  }, 2000);
+  }, ms);
 }
 
 function hideCaption() {
@@ -190,17 +264,75 @@ function hideCaption() {
   if (captionTextEl) captionTextEl.textContent = '';
   if (captionLabelEl) captionLabelEl.textContent = '';
   lastCaptionSource = null;
+  spokenCaptionShown = false;
+  spokenCaption.finish();
 }
 
+// ─── Spoken Captions ──────────────────────────────────────
+// Agent replies are revealed word by word as they're actually said, from
+// streamed text plus audio alignment or level (src/captions.js). A barge-in
+// strikes out whatever was never spoken.
+
+const spokenCaption = new SpokenCaption();
+const captionSaidEl = document.createElement('span');
+const captionWordEl = document.createElement('span');
+const captionUnsaidEl = document.createElement('span');
+captionWordEl.className = 'caption-word';
+let spokenCaptionShown = false;
+
+function showAgentCaption(text) {
+  spokenCaption.setText(text);
+  if (!spokenCaptionShown) {
+    showCaption('STARK', '', false);
+    captionTextEl?.replaceChildren(captionSaidEl, captionWordEl, captionUnsaidEl);
+    spokenCaptionShown = true;
+  }
+  renderSpokenCaption();
+}
+
+/** Per frame — only touches the DOM when the split moves. */
+function renderSpokenCaption() {
+  if (!spokenCaptionShown) return;
+  const { said, word, unsaid } = spokenCaption.parts;
+  if (captionSaidEl.textContent !== said) captionSaidEl.textContent = said;
+  if (captionWordEl.textContent !== word) captionWordEl.textContent = word;
+  if (captionUnsaidEl.textContent !== unsaid) captionUnsaidEl.textContent = unsaid;
+  captionUnsaidEl.className = spokenCaption.interrupted ? 'caption-unsaid interrupted' : 'caption-unsaid';
+}
+
+// Transcript entry of the agent reply the caption is tracking
+let agentEntry = null;
+
+audioManager.onTentativeResponse = (text) => {
+  if (typeof text === 'string' && text) showAgentCaption(text);
+};
+audioManager.onAlignment = (alignment) => spokenCaption.addAlignment(alignment);
+audioManager.onInterruption = () => {
+  spokenCaption.interrupt();
+  renderSpokenCaption();
+  // The transcript keeps only what was said of the reply that got cut off
+  if (spokenCaption.interrupted && agentEntry?.text === spokenCaption.text) {
+    transcript.markInterrupted(agentEntry, spokenCaption.parts.said);
+  }
+  agentEntry = null;
+};
+
 audioManager.onMessage = (message) => {
   try {
     const source = message?.source || message?.type || '';
     const role = message?.role || '';
     const text = message?.message;
     if (!text || typeof text !== 'string') return;
+    recorder.captureEvent('message', { source, role, message: text });
 
     const isUser = source === 'user' || role === 'user' || source === 'user_transcript';
-    showCaption(isUser ? 'YOU' : 'STARK', text, isUser);
+    const entry = transcript.add(isUser ? 'user' : 'agent', text);
+    if (isUser) {
+      showCaption('YOU', text, true);
+    } else {
+      showAgentCaption(text);
+      agentEntry = entry;
+    }
   } catch {
     // Never let caption errors affect the conversation
   }
@@ -230,10 +362,25 @@ function resetControlsTimer() {
 resetControlsTimer();
 
 function updateStatusUI(sv) {
-  if (audioManager.isConnecting) {
-    statusEl.textContent = 'connecting';
-  } else {
-    statusEl.textContent = sv.label;
+  switch (audioManager.connectionState) {
+    case 'connecting':
+      statusEl.textContent = 'connecting';
+      break;
+    case 'reconnecting': {
+      const wait = Math.ceil((audioManager.nextRetryAt - performance.now()) / 1000);
+      statusEl.textContent = audioManager.nextRetryAt && wait > 0 ? `reconnecting \u00b7 ${wait}s` : 'reconnecting';
+      break;
+    }
+    case 'failed':
+      statusEl.textContent = 'offline';
+      break;
+    default:
+      statusEl.textContent = sv.label;
+  }
+  if (replayer) {
+    statusEl.textContent = `replay \u00b7 ${replayer.position.toFixed(1)}s / ${replayer.duration.toFixed(1)}s`;
+  } else if (recorder.recording) {
+    statusEl.textContent += ` \u00b7 rec ${Math.floor(recorder.duration)}s`;
   }
   const [r, g, b] = sv.color;
   const rgb = `${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}`;
@@ -243,49 +390,231 @@ function updateStatusUI(sv) {
   if (captionTextEl) captionTextEl.style.color = `rgba(${rgb}, 0.7)`;
 }
 
-function updateConnectionUI(connected) {
+function updateConnectionUI() {
   const hint = document.getElementById('connect-hint');
-  if (hint) {
-    hint.textContent = connected
+  if (!hint) return;
+
+  const { connectionState, reconnectAttempt, reconnect } = audioManager;
+  if (connectionState === 'reconnecting') {
+    const max = Number.isFinite(reconnect.maxAttempts) ? `/${reconnect.maxAttempts}` : '';
+    hint.textContent = `connection lost \u2014 retry ${reconnectAttempt}${max} \u2014 press Space to cancel`;
+  } else if (connectionState === 'failed') {
+    hint.textContent = 'connection failed \u2014 press Space to retry';
+  } else {
+    hint.textContent = connectionState === 'connected'
       ? 'connected \u2014 press Space to disconnect'
-      : 'press Space to connect';
+      : audioManager.micActive
+        ? 'mic mode \u2014 press L to stop'
+        : audioManager.playbackActive
+          ? `playing ${audioManager.playbackName} \u2014 press P to stop`
+          : 'press Space to connect';
   }
 }
 
-// ─── Camera Zoom ───────────────────────────────────────────
+// ─── Tuning Panel ──────────────────────────────────────────
+// G toggles live sliders over the tuning values. Every edit is mirrored
+// into the URL fragment; ?preset=<url> loads a JSON preset at startup.
+
+const tuningPanel = new TuningPanel(tuning);
 
-let targetZoom = 5.0;
-const ZOOM_MIN = 2.5;
-const ZOOM_MAX = 12.0;
+tuningPanel.onChange = (key) => applyTuning({ [key]: tuning[key] }, { force: true });
+tuningPanel.onReset = () => applyTuning(DEFAULT_TUNING);
+
+/** Merge values into the live tuning, rebuilding whatever they touch. */
+function applyTuning(values, { force = false } = {}) {
+  const rebuild = new Set();
+  for (const [key, value] of Object.entries(values)) {
+    if (!force && tuning[key] === value) continue;
+    tuning[key] = value;
+    const param = TUNING_PARAMS.find((p) => p.key === key);
+    if (param?.rebuild) rebuild.add(param.rebuild);
+    if (key === 'camera.zoom') avatarScene.targetZoom = value;
+  }
+
+  for (const part of rebuild) avatarScene.rebuild(part);
+  avatarScene.applyTuning();
+
+  const hash = serializeTuning(tuning);
+  history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+  tuningPanel.refresh();
+}
+
+async function loadTuningPreset(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    applyTuning(parseTuning(await res.json()));
+  } catch (err) {
+    console.error('[stark] tuning preset rejected:', err);
+  }
+}
+
+// ─── Style ─────────────────────────────────────────────────
+
+/** Switch to the next visual style (src/styles.js). */
+function cycleStyle() {
+  const names = Object.keys(VISUAL_STYLES);
+  avatarScene.setStyle(names[(names.indexOf(avatarScene.styleName) + 1) % names.length]);
+}
+
+// ─── HUD Card ──────────────────────────────────────────────
+
+const cardEl = document.getElementById('card');
+const cardTitleEl = document.getElementById('card-title');
+const cardBodyEl = document.getElementById('card-body');
+let cardTimer = null;
+
+function showCard(title, body, seconds) {
+  if (!cardEl) return;
+  cardTitleEl.textContent = title;
+  cardBodyEl.textContent = body;
+  cardEl.className = 'visible';
+  clearTimeout(cardTimer);
+  cardTimer = setTimeout(() => { cardEl.className = ''; }, seconds * 1000);
+}
+
+// The agent's show_card and flash_alert tools (src/tools.js)
+controller.onCard = showCard;
+
+// ─── Remote Control ───────────────────────────────────────
+// ?remote accepts the same commands from a parent page, sibling tabs or a
+// WebSocket gateway, and broadcasts state changes back (src/remote.js).
+
+let remote = null;
+
+function startRemoteControl(params) {
+  const commands = createRemoteCommands({
+    tools: controller.clientTools,
+    showCaption: (label, text, seconds) => {
+      showCaption(label, text, false);
+      fadeCaptionAfter(seconds * 1000);
+    },
+    connect: startAgent,
+    disconnect: () => audioManager.stopConversation(),
+    getOverlayNames: () => stateManager.getOverlayNames(),
+    setOverlay: (name, on) => stateManager.setOverlay(name, on),
+    getState: () => ({
+      state: stateManager.targetState,
+      overlays: stateManager.getActiveOverlays(),
+      status: audioManager.connectionState,
+      theme: controller.theme,
+      style: avatarScene.styleName,
+      quality: avatarScene.quality.name,
+    }),
+  });
+
+  remote = new RemoteControl(commands, {
+    allowedOrigins: (params.get('remote-origin') || '').split(',').filter(Boolean),
+    url: params.get('remote-ws'),
+  });
+  remote.onError = (err) => console.error('[stark] remote command failed:', err);
+  remote.start();
+}
+
+// ─── Session Recording / Replay ───────────────────────────
+// R records a timeline of states, modes, messages and audio levels and
+// downloads it on stop. Dropping a timeline .json (or ?replay=<url>)
+// replays it frame by frame.
+
+let replayer = null;
+
+stateManager.onStateChange = (name) => {
+  recorder.captureEvent('state', name);
+  remote?.broadcast('statechange', { state: name, previous: stateManager.currentState });
+};
+stateManager.onOverlayChange = (name, on) => recorder.captureEvent('overlay', { name, on });
+recorder.onLimit = (timeline) => downloadTimeline(timeline);
+
+function toggleRecording() {
+  if (recorder.recording) {
+    downloadTimeline(recorder.stop());
+  } else {
+    recorder.start({
+      startTime: clock.elapsedTime,
+      state: stateManager.targetState,
+      overlays: stateManager.getActiveOverlays(),
+    });
+  }
+}
+
+async function startReplay(input) {
+  if (isLiveAudio()) return;
+  try {
+    const data = typeof input === 'string'
+      ? await fetch(input).then((resp) => {
+        if (!resp.ok) throw new Error(`Timeline request failed (${resp.status}): ${input}`);
+        return resp.json();
+      })
+      : JSON.parse(await input.text());
+    const player = new TimelinePlayer(data);
+
+    if (demoMode) toggleDemo();
+    if (recorder.recording) toggleRecording();
+    audioManager.setSimulated(false);
+    controller.resetTurns();
+    transcript.start();
+    stateManager.snapTo(player.timeline.initial.state, player.timeline.initial.overlays);
+    replayer = player;
+  } catch (err) {
+    console.error('[stark] timeline replay failed:', err);
+  }
+}
+
+function stopReplay() {
+  if (!replayer) return;
+  replayer = null;
+  audioManager.replayEvent('mode', null);
+  stateManager.snapTo('idle');
+  hideCaption();
+}
+
+/** Apply one recorded event — states and overlays straight to the StateManager. */
+function applyReplayEvent(type, data) {
+  if (type === 'state') stateManager.setState(data);
+  else if (type === 'overlay') stateManager.setOverlay(data.name, data.on);
+  else audioManager.replayEvent(type, data);
+}
 
 // ─── Keyboard Controls ────────────────────────────────────
 
-const stateNames = stateManager.getStateNames();
+/** Manual state switch — states with simulateAudio play simulated speech. */
+function selectState(name) {
+  const config = stateManager.getState(name);
+  if (!config) return;
+  if (config.simulateAudio) soundManager.init();
+  stateManager.setState(name);
+  audioManager.setSimulated(config.simulateAudio);
+}
 
 function isAgentActive() {
   return audioManager.isActive || audioManager.isConnecting;
 }
 
+/** Agent, mic or playback audio — takes over from a replay. */
+function isLiveAudio() {
+  return isAgentActive() || audioManager.micActive || audioManager.playbackActive;
+}
+
+/** Manual states and demo mode are locked while live audio or a replay drives the orb. */
+function isLiveInput() {
+  return isLiveAudio() || replayer !== null;
+}
+
 window.addEventListener('keydown', (e) => {
   showControls();
 
   switch (e.key) {
-    case '1':
-    case '2':
-    case '4':
-    case '5': {
-      if (isAgentActive()) break;
-      const idx = Number(e.key) - 1;
-      stateManager.setState(stateNames[idx]);
-      audioManager.setSimulated(false);
+    case '1': case '2': case '3':
+    case '4': case '5': case '6':
+    case '7': case '8': case '9': {
+      // Keys map onto the state pack's order
+      if (isLiveInput()) break;
+      const name = stateManager.getStateNames()[Number(e.key) - 1];
+      if (!name) break;
+      dismissConnectionFailure();
+      selectState(name);
       break;
     }
-    case '3':
-      if (isAgentActive()) break;
-      soundManager.init();
-      stateManager.setState(stateNames[2]);
-      audioManager.setSimulated(true);
-      break;
 
     case ' ':
       e.preventDefault();
@@ -311,6 +640,51 @@ window.addEventListener('keydown', (e) => {
       soundManager.toggleMute();
       break;
 
+    case 'l':
+    case 'L':
+      toggleMicMode();
+      break;
+
+    case 'p':
+    case 'P':
+      togglePlayback();
+      break;
+
+    case 'r':
+    case 'R':
+      if (replayer) stopReplay();
+      else toggleRecording();
+      break;
+
+    case 'h':
+    case 'H':
+      transcriptPanel.toggle();
+      break;
+
+    case 'g':
+    case 'G':
+      tuningPanel.toggle();
+      break;
+
+    case 'o':
+    case 'O':
+      cycleStyle();
+      break;
+
+    case 'v':
+    case 'V':
+      audioManager.setMicMuted(!audioManager.micMuted);
+      break;
+
+    case 't':
+    case 'T':
+      audioManager.setPushToTalk(!audioManager.pushToTalk);
+      break;
+
+    case 'Shift':
+      audioManager.setTransmitting(true);
+      break;
+
     case 'Escape':
       if (controlsVisible) {
         controlsEl.classList.add('hidden');
@@ -326,39 +700,37 @@ async function toggleAgent() {
   // Init sound on first interaction (browser autoplay policy)
   soundManager.init();
 
-  if (audioManager.isActive) {
-    intentionalDisconnect = true;
+  if (audioManager.isActive || audioManager.connectionState === 'reconnecting') {
+    // Disconnect, or give up on a pending reconnect
     await audioManager.stopConversation();
-    stateManager.setState('idle');
-  } else if (!audioManager.isConnecting) {
-    stateManager.setState('thinking');
+  } else if (audioManager.connectionState !== 'connecting') {
     try {
-      await audioManager.startConversation();
+      await startAgent();
     } catch (err) {
+      // The 'failed' status handles the visual treatment
       console.error('[stark] connection failed:', err);
-      stateManager.setState('alert');
-      setTimeout(() => stateManager.setState('idle'), 2000);
     }
   }
 }
 
+/** Start the agent session — it takes over the mic and speakers. Throws if it can't connect. */
+async function startAgent() {
+  soundManager.init();
+  if (isAgentActive()) return;
+  if (audioManager.micActive) await audioManager.stopMicrophone();
+  audioManager.stopPlayback();
+  await audioManager.startConversation();
+}
+
 window.addEventListener('mousemove', () => showControls());
 
 window.addEventListener('wheel', (e) => {
-  targetZoom += e.deltaY * 0.005;
-  targetZoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, targetZoom));
+  avatarScene.setZoom(avatarScene.targetZoom + e.deltaY * 0.005);
 }, { passive: true });
 
 // ─── Resize ────────────────────────────────────────────────
 
-window.addEventListener('resize', () => {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  camera.aspect = w / h;
-  camera.updateProjectionMatrix();
-  renderer.setSize(w, h);
-  composer.setSize(w, h);
-});
+window.addEventListener('resize', () => avatarScene.setSize(window.innerWidth, window.innerHeight));
 
 // ─── Animation Loop ────────────────────────────────────────
 
@@ -367,59 +739,33 @@ const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
 
-  const dt = Math.min(clock.getDelta(), 0.05);
-  const elapsed = clock.elapsedTime;
-
-  stateManager.update(dt);
-  audioManager.update(dt);
-
-  const sv = stateManager.current;
-  const audioBands = {
-    level: audioManager.level,
-    bass: audioManager.bass,
-    mid: audioManager.mid,
-    treble: audioManager.treble,
-  };
-
-  // Thinking-gap detection
-  if (committedMode === 'listening' && !thinkingTriggered) {
-    if (audioManager.level > 0.08) {
-      userSpokeDuringTurn = true;
-      silenceStartTime = 0;
-    } else if (userSpokeDuringTurn && silenceStartTime === 0) {
-      silenceStartTime = performance.now();
-    } else if (userSpokeDuringTurn && silenceStartTime > 0 && performance.now() - silenceStartTime > 1500) {
-      thinkingTriggered = true;
-      stateManager.setState('thinking');
+  let dt = Math.min(clock.getDelta(), 0.05);
+  let elapsed = clock.elapsedTime;
+
+  // Replay: recorded dt, clock and audio; live input takes over
+  if (replayer && isLiveAudio()) stopReplay();
+  if (replayer) {
+    const frame = replayer.next();
+    if (frame) {
+      for (const [type, data] of frame.events) applyReplayEvent(type, data);
+      audioManager.replayFrame(frame);
+      dt = frame.dt;
+      elapsed = replayer.time;
+    } else {
+      stopReplay();
     }
   }
 
-  // Update visual components
-  updateCore(core, sv, elapsed, audioBands);
-  updateRings(rings, sv, elapsed, dt, audioBands);
-  updateContainment(containment, sv, elapsed, dt, stateManager);
-  updateParticles(particles, sv, elapsed, dt);
-  updateLeadParticles(leadParticles, sv, elapsed, dt);
-
-  // Bloom
-  bloomPass.strength = sv.bloomStrength + stateManager.flashIntensity * 2.0;
-
-  // Micro-zoom pulse during thinking — subtle intensity
-  const thinkingZoomOffset = sv.label === 'thinking'
-    ? Math.sin(elapsed * 4) * 0.12
-    : 0;
-
-  // Subtle camera orbital drift — full orbit ~100 minutes
-  const driftAngle = elapsed * 0.001;
-  const lf = 1 - Math.exp(-dt * 5);
-  camera.position.z = THREE.MathUtils.lerp(camera.position.z, targetZoom + thinkingZoomOffset, lf);
-  camera.position.x = Math.sin(driftAngle) * 0.25;
-  camera.position.y = Math.cos(driftAngle * 0.7) * 0.12;
-  camera.lookAt(0, 0, 0);
+  syncMicOverlay();
+  const { sv, audioBands } = controller.update(dt);
+  recorder.captureFrame(dt, audioManager);
+
+  spokenCaption.update(dt, audioManager.level, audioManager.agentMode === 'speaking');
+  renderSpokenCaption();
 
   updateStatusUI(sv);
-  soundManager.update(sv.label, audioBands);
-  composer.render();
+  soundManager.update(sv, audioBands);
+  avatarScene.render(sv, stateManager, audioBands, elapsed, dt);
 }
 
 animate();
@@ -431,7 +777,8 @@ let demoIndex = 0;
 let demoInterval = null;
 
 function toggleDemo() {
-  if (isAgentActive()) return;
+  if (isLiveInput()) return;
+  dismissConnectionFailure();
 
   if (demoMode) {
     clearInterval(demoInterval);
@@ -442,10 +789,30 @@ function toggleDemo() {
     demoMode = true;
     demoIndex = 0;
     demoInterval = setInterval(() => {
-      demoIndex = (demoIndex + 1) % stateNames.length;
-      const name = stateNames[demoIndex];
-      stateManager.setState(name);
-      audioManager.setSimulated(name === 'speaking');
+      const names = stateManager.getStateNames();
+      demoIndex = (demoIndex + 1) % names.length;
+      selectState(names[demoIndex]);
     }, 4000);
   }
 }
+
+// Branded displays: ?theme=<name> starts in a color theme (src/themes.js)
+if (Object.hasOwn(THEMES, startupParams.get('theme'))) controller.theme = startupParams.get('theme');
+// Custom moods: ?states=<url> merges a JSON state pack over the defaults
+if (startupParams.get('states')) {
+  loadStatePack(startupParams.get('states'))
+    .then((pack) => stateManager.setPack(pack))
+    .catch((err) => console.error('[stark] state pack rejected:', err));
+}
+// Look development: ?preset=<url> applies a JSON tuning preset
+if (startupParams.get('preset')) loadTuningPreset(startupParams.get('preset'));
+// Gateways / home automation: ?remote (+ remote-ws=<url>, remote-origin=<origins>)
+if (startupParams.has('remote') || startupParams.get('remote-ws')) startRemoteControl(startupParams);
+// Open-plan offices: ?ptt starts in push-to-talk
+if (startupParams.has('ptt')) audioManager.setPushToTalk(true);
+// Kiosk / ambient display: ?mic starts in mic-only mode
+if (startupParams.has('mic')) toggleMicMode();
+// Demos / design reviews: ?audio=<url> replays a recorded clip
+else if (startupParams.get('audio')) playClip(startupParams.get('audio'));
+// Bug reports: ?replay=<url> replays a recorded session timeline
+else if (startupParams.get('replay')) startReplay(startupParams.get('replay'));
@@ -0,0 +1,220 @@
+/**
+ * Particle morphing — the orbiting particles leave their shell to draw a
+ * shape in front of the core, hold it, and fly back:
+ *
+ *   { icon: 'check' }        built-in icon (SHAPE_ICONS)
+ *   { path: 'M4 12l5 5…' }   SVG path data on a 24 × 24 grid, stroked
+ *   { text: 'DONE' }         a short word
+ *
+ * Timing, all in seconds:
+ *
+ *   form      shell → shape (default 0.9)
+ *   hold      how long the shape stays; Infinity until release() (default 3)
+ *   release   shape → shell (default 1.2)
+ *
+ * Shapes are rasterized into a small canvas (browser only) and sampled
+ * into one target point per particle; the particle shader blends toward
+ * its target by the morph amount (src/shaders/particles.js).
+ */
+
+export const SHAPE_ICONS = {
+  check: 'M4 12.5l5 5L20 6.5',
+  calendar: 'M4 6h16v14H4z M4 10h16 M8 3v5 M16 3v5',
+  clock: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18z M12 7v5l4 2',
+  mail: 'M3 6h18v12H3z M3 6l9 7l9-7',
+  search: 'M10 4a6 6 0 1 0 0 12a6 6 0 1 0 0-12z M14.5 14.5L20 20',
+  heart: 'M12 20s-7-4.5-7-10a4 4 0 0 1 7-2.5a4 4 0 0 1 7 2.5c0 5.5-7 10-7 10z',
+  warning: 'M12 3L2 20h20z M12 9v5 M12 17v1',
+};
+
+export const MAX_SHAPE_TEXT = 12;
+
+export const DEFAULT_MORPH_TIMING = { form: 0.9, hold: 3, release: 1.2 };
+
+// Shape placement: a plane between the core and the camera, this wide
+const SHAPE_WIDTH = 2.4;
+const SHAPE_Z = 1.7;
+const SHAPE_DEPTH_JITTER = 0.08;
+
+// Alpha at which a rasterized pixel counts as part of the shape
+const FILLED_ALPHA = 128;
+
+// ─── Rasterizing ───────────────────────────────────────────
+
+/**
+ * Draw a shape spec into an alpha bitmap { data, width, height } (browser
+ * only). Throws on an unknown icon, a spec with no icon, path or text, or
+ * one that draws nothing (e.g. zero-width characters).
+ */
+export function rasterizeShape(shape) {
+  if (shape?.icon !== undefined && !Object.hasOwn(SHAPE_ICONS, shape.icon)) {
+    throw new Error(`Unknown icon "${shape.icon}". Valid icons: ${Object.keys(SHAPE_ICONS).join(', ')}`);
+  }
+  const path = shape?.icon !== undefined ? SHAPE_ICONS[shape.icon] : shape?.path;
+  let bitmap;
+  if (path) bitmap = rasterizePath(path);
+  else if (typeof shape?.text === 'string' && shape.text.trim()) bitmap = rasterizeText(shape.text.trim().slice(0, MAX_SHAPE_TEXT));
+  else throw new Error('Shape needs an icon, path or text');
+  if (!hasFilledPixel(bitmap)) throw new Error('Shape is empty');
+  return bitmap;
+}
+
+function rasterizePath(d, size = 128) {
+  const { canvas, ctx } = createCanvas(size, size);
+  const scale = size / 24;
+  ctx.scale(scale, scale);
+  ctx.lineWidth = 2;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = '#fff';
+  ctx.stroke(new Path2D(d));
+  return readAlpha(canvas, ctx);
+}
+
+function rasterizeText(text, height = 96) {
+  const font = `700 ${Math.round(height * 0.7)}px system-ui, sans-serif`;
+  const measure = createCanvas(1, 1).ctx;
+  measure.font = font;
+  const width = Math.max(height, Math.ceil(measure.measureText(text).width + height * 0.2));
+
+  const { canvas, ctx } = createCanvas(width, height);
+  ctx.font = font;
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, width / 2, height / 2);
+  return readAlpha(canvas, ctx);
+}
+
+// ─── Sampling ──────────────────────────────────────────────
+
+/**
+ * One target per particle: random filled pixels of `bitmap`, jittered
+ * within the pixel and mapped onto the shape plane (x, y, z triples).
+ * Throws when the bitmap has nothing drawn.
+ */
+export function sampleShape(bitmap, count, random = Math.random) {
+  const { data, width, height } = bitmap;
+  const filled = [];
+  for (let i = 0; i < data.length; i++) if (data[i] >= FILLED_ALPHA) filled.push(i);
+  if (!filled.length) throw new Error('Shape is empty');
+
+  // Fit the longer side to SHAPE_WIDTH, keep the aspect ratio
+  const unit = SHAPE_WIDTH / Math.max(width, height);
+  const targets = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const pixel = filled[Math.floor(random() * filled.length)];
+    const px = (pixel % width) + random();
+    const py = Math.floor(pixel / width) + random();
+    targets[i * 3] = (px - width / 2) * unit;
+    targets[i * 3 + 1] = (height / 2 - py) * unit;
+    targets[i * 3 + 2] = SHAPE_Z + (random() - 0.5) * SHAPE_DEPTH_JITTER;
+  }
+  return targets;
+}
+
+// ─── Timing ────────────────────────────────────────────────
+
+/**
+ * Form → hold → release envelope for one shape at a time. Showing a new
+ * shape while one is up releases the old one first, so particles never
+ * jump between targets.
+ */
+export class ParticleMorph {
+  constructor() {
+    /** The bitmap particles are drawing (or last drew). */
+    this.bitmap = null;
+    /** 0 = on the shell, 1 = on the shape. */
+    this.amount = 0;
+
+    // Callbacks
+    this.onShapeChange = null;  // (bitmap) — resample the particle targets
+
+    // ── Private ──
+    this._phase = 'idle';       // idle | forming | holding | releasing
+    this._timing = DEFAULT_MORPH_TIMING;
+    this._held = 0;
+    this._next = null;
+  }
+
+  get active() {
+    return this._phase !== 'idle';
+  }
+
+  /** Morph into `bitmap` with { form, hold, release } seconds. */
+  show(bitmap, timing = {}) {
+    const next = { bitmap, timing: { ...DEFAULT_MORPH_TIMING, ...timing } };
+    if (this.amount > 0 && bitmap !== this.bitmap) {
+      this._next = next;
+      this._phase = 'releasing';
+    } else {
+      this._start(next);
+    }
+  }
+
+  /** Let the current shape go now (a held Infinity shape waits for this). */
+  release() {
+    this._next = null;
+    if (this._phase !== 'idle') this._phase = 'releasing';
+  }
+
+  /** Advance the envelope. Returns the amount. */
+  update(dt) {
+    const { form, hold, release } = this._timing;
+    switch (this._phase) {
+      case 'forming':
+        this.amount = form > 0 ? Math.min(1, this.amount + dt / form) : 1;
+        if (this.amount >= 1) {
+          this._phase = 'holding';
+          this._held = 0;
+        }
+        break;
+      case 'holding':
+        this._held += dt;
+        if (this._held >= hold) this._phase = 'releasing';
+        break;
+      case 'releasing':
+        this.amount = release > 0 ? Math.max(0, this.amount - dt / release) : 0;
+        if (this.amount <= 0) {
+          this._phase = 'idle';
+          if (this._next) this._start(this._next);
+        }
+        break;
+    }
+    return this.amount;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _start({ bitmap, timing }) {
+    this._next = null;
+    // Resample before committing, so a throwing callback leaves the morph as it was
+    if (bitmap !== this.bitmap) {
+      this.onShapeChange?.(bitmap);
+      this.bitmap = bitmap;
+    }
+    this._timing = timing;
+    this._phase = 'forming';
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function createCanvas(width, height) {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  return { canvas, ctx: canvas.getContext('2d') };
+}
+
+function hasFilledPixel({ data }) {
+  return data.some((alpha) => alpha >= FILLED_ALPHA);
+}
+
+function readAlpha(canvas, ctx) {
+  const { width, height } = canvas;
+  const rgba = ctx.getImageData(0, 0, width, height).data;
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) data[i] = rgba[i * 4 + 3];
+  return { data, width, height };
+}
@@ -0,0 +1,130 @@
+/**
+ * Spectral-flux onset + phrase detection.
+ *
+ * Smoothed band levels blur consonants into a wobble. This detector looks
+ * at frame-to-frame spectral change instead and emits discrete events:
+ *
+ *   { type: 'onset',       strength }             syllable / consonant attack
+ *   { type: 'phraseStart', strength }             speech begins after silence
+ *   { type: 'phraseEnd',   strength, duration }   speech stopped (duration in s)
+ *
+ * `strength` is 0–1. For phraseEnd it is the phrase's peak level.
+ */
+
+const DEFAULT_OPTIONS = {
+  historySize: 30,        // frames of flux used for the adaptive threshold (~0.5s)
+  sensitivity: 1.6,       // threshold = mean + sensitivity × std-dev
+  minFlux: 0.004,         // absolute floor so silence never triggers
+  minIntervalMs: 90,      // refractory period between onsets
+  silenceLevel: 0.03,     // below this level onsets are ignored
+  phraseOnLevel: 0.07,    // level that starts a phrase
+  phraseOffLevel: 0.04,   // level that counts as silence inside a phrase
+  phraseGapMs: 350,       // silence that ends a phrase
+};
+
+export class OnsetDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.inPhrase = false;
+
+    // ── Private ──
+    this._prev = null;
+    this._prevLevel = 0;
+    this._history = [];
+    this._sinceOnsetMs = Infinity;
+    this._silenceMs = 0;
+    this._phraseMs = 0;
+    this._phrasePeak = 0;
+  }
+
+  /**
+   * Feed one frame. `spectrum` is a Uint8Array of FFT bins, or null when only
+   * a level is available (flux then falls back to the level's rise).
+   * Returns the events fired this frame (usually none).
+   */
+  update(spectrum, level, dt) {
+    const o = this.options;
+    const ms = dt * 1000;
+    const events = [];
+
+    // ── Onsets ──
+    const flux = spectrum ? this._spectralFlux(spectrum) : Math.max(0, level - this._prevLevel) * 0.25;
+    this._prevLevel = level;
+    this._sinceOnsetMs += ms;
+
+    const { mean, std } = this._stats();
+    const threshold = Math.max(o.minFlux, mean + o.sensitivity * std);
+    this._history.push(flux);
+    if (this._history.length > o.historySize) this._history.shift();
+
+    if (flux > threshold && level > o.silenceLevel && this._sinceOnsetMs >= o.minIntervalMs) {
+      this._sinceOnsetMs = 0;
+      const strength = Math.min(1, Math.sqrt((flux - threshold) / threshold));
+      events.push({ type: 'onset', strength });
+    }
+
+    // ── Phrases ──
+    if (!this.inPhrase) {
+      if (level > o.phraseOnLevel) {
+        this.inPhrase = true;
+        this._phraseMs = 0;
+        this._silenceMs = 0;
+        this._phrasePeak = level;
+        events.push({ type: 'phraseStart', strength: Math.min(1, level * 2) });
+      }
+    } else {
+      this._phraseMs += ms;
+      this._phrasePeak = Math.max(this._phrasePeak, level);
+      this._silenceMs = level < o.phraseOffLevel ? this._silenceMs + ms : 0;
+
+      if (this._silenceMs >= o.phraseGapMs) {
+        this.inPhrase = false;
+        events.push({
+          type: 'phraseEnd',
+          strength: Math.min(1, this._phrasePeak),
+          duration: (this._phraseMs - this._silenceMs) / 1000,
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /** Forget spectral history (call when the audio source changes). */
+  reset() {
+    this._prev = null;
+    this._history.length = 0;
+    this._sinceOnsetMs = Infinity;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  /** Half-wave rectified spectral difference, normalized to 0–1. */
+  _spectralFlux(spectrum) {
+    const len = spectrum.length;
+    if (!this._prev || this._prev.length !== len) {
+      this._prev = new Uint8Array(spectrum);
+      return 0;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < len; i++) {
+      const d = spectrum[i] - this._prev[i];
+      if (d > 0) sum += d;
+    }
+    this._prev.set(spectrum);
+    return sum / (len * 255);
+  }
+
+  _stats() {
+    const h = this._history;
+    if (h.length === 0) return { mean: 0, std: 0 };
+    let sum = 0;
+    for (const v of h) sum += v;
+    const mean = sum / h.length;
+    let variance = 0;
+    for (const v of h) variance += (v - mean) ** 2;
+    return { mean, std: Math.sqrt(variance / h.length) };
+  }
+}
@@ -1,11 +1,12 @@
 import * as THREE from 'three';
+import { CORE_VERTEX_SHADER, CORE_FRAGMENT_SHADER } from './shaders/core.js';
 
 /**
  * JARVIS-style holographic construct.
  * Translated from React Three Fiber (Aegis Presence) to vanilla Three.js.
  *
  * Components:
- *   - Faceted core: low-poly icosahedron with separated panels, per-face shimmer
+ *   - Faceted core: icosahedron with separated panels, per-face shimmer (GPU)
  *   - Triple inner glow: hot center + mid sphere + outer soft sphere
  *   - Edge lines: primary structural edges + secondary outer shell
  *   - Orbital rings: 4 torus rings with ghost duplicates
@@ -14,7 +15,7 @@ import * as THREE from 'three';
 
 // ─── Ring Configurations ───────────────────────────────────
 
-const RING_CONFIGS = [
+export const RING_CONFIGS = [
   { radius: 1.55, tube: 0.006, speedMult: 1.0 },
   { radius: 1.75, tube: 0.004, speedMult: -0.7 },
   { radius: 1.95, tube: 0.003, speedMult: 0.5 },
@@ -28,63 +29,80 @@ const GHOST_CONFIGS = [
   { radius: 1.38, tube: 0.002 },
 ];
 
-const RING_AXES = {
-  idle:      [[0,0,0], [0.6,0,0.3], [1.2,0.9,0], [1.8,0,1.2]],
-  thinking:  [[0.3,0.5,0.1], [1.0,0.2,0.8], [0.5,1.4,0.3], [1.5,0.7,0.6]],
-  speaking:  [[0.1,0,0.05], [0.8,0.1,0.4], [1.5,0.6,0.1], [2.0,0.2,1.0]],
-  listening: [[0.15,0.1,0], [0.9,0,0.15], [1.1,1.1,0.1], [1.6,0.1,1.4]],
-  alert:     [[0.5,0.8,0.3], [1.3,0.4,1.0], [0.2,1.6,0.7], [2.2,0.3,0.5]],
-};
+// Gap between neighbouring core panels (fraction of each face pulled to its center)
+export const CORE_SHRINK = 0.15;
+
+// Icosahedron subdivision of the core — 20 × (detail + 1)² panels
+export const CORE_DETAIL = 1;
+
+const TWO_PI = Math.PI * 2;
 
 // ─── Faceted Core ──────────────────────────────────────────
 
-export function createCore() {
+export function createCore({ shrink = CORE_SHRINK, detail = CORE_DETAIL } = {}) {
   const group = new THREE.Group();
   group.name = 'stark-core-group';
 
   // Build faceted geometry (non-indexed, shrunk panels)
-  const base = new THREE.IcosahedronGeometry(1, 1);
+  const base = new THREE.IcosahedronGeometry(1, detail);
   const edgesGeo = new THREE.EdgesGeometry(base);
-  const outerBase = new THREE.IcosahedronGeometry(1.06, 1);
+  const outerBase = new THREE.IcosahedronGeometry(1.06, detail);
   const outerEdgesGeo = new THREE.EdgesGeometry(outerBase);
   const nonIndexed = base.toNonIndexed();
   const pos = nonIndexed.attributes.position;
   const vertCount = pos.count;
   const faceCount = vertCount / 3;
 
-  const newPositions = new Float32Array(vertCount * 3);
-  const faceNormals = [];
-  const faceCenters = [];
+  // Static per-vertex data: shrunk position plus its panel's normal and index
+  const basePositions = new Float32Array(vertCount * 3);
+  const faceNormals = new Float32Array(vertCount * 3);
+  const faceIndices = new Float32Array(vertCount);
 
   for (let i = 0; i < vertCount; i += 3) {
     const ax = pos.getX(i), ay = pos.getY(i), az = pos.getZ(i);
     const bx = pos.getX(i + 1), by = pos.getY(i + 1), bz = pos.getZ(i + 1);
     const cx = pos.getX(i + 2), cy = pos.getY(i + 2), cz = pos.getZ(i + 2);
     const mx = (ax + bx + cx) / 3, my = (ay + by + cy) / 3, mz = (az + bz + cz) / 3;
+    const ml = Math.hypot(mx, my, mz);
 
-    faceNormals.push(new THREE.Vector3(mx, my, mz).normalize());
-    faceCenters.push(new THREE.Vector3(mx, my, mz));
-
-    const shrink = 0.15;
     for (let j = 0; j < 3; j++) {
       const idx = (i + j) * 3;
       const vx = pos.getX(i + j), vy = pos.getY(i + j), vz = pos.getZ(i + j);
-      newPositions[idx] = vx + (mx - vx) * shrink;
-      newPositions[idx + 1] = vy + (my - vy) * shrink;
-      newPositions[idx + 2] = vz + (mz - vz) * shrink;
+      basePositions[idx] = vx + (mx - vx) * shrink;
+      basePositions[idx + 1] = vy + (my - vy) * shrink;
+      basePositions[idx + 2] = vz + (mz - vz) * shrink;
+      faceNormals[idx] = mx / ml;
+      faceNormals[idx + 1] = my / ml;
+      faceNormals[idx + 2] = mz / ml;
+      faceIndices[i + j] = i / 3;
     }
   }
+  base.dispose();
+  outerBase.dispose();
+  nonIndexed.dispose();
 
   const facetedGeo = new THREE.BufferGeometry();
-  facetedGeo.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
-  facetedGeo.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(vertCount * 3), 3));
-  facetedGeo.computeVertexNormals();
-
-  const basePositions = new Float32Array(newPositions);
+  facetedGeo.setAttribute('position', new THREE.Float32BufferAttribute(basePositions, 3));
+  facetedGeo.setAttribute('faceNormal', new THREE.Float32BufferAttribute(faceNormals, 3));
+  facetedGeo.setAttribute('faceIndex', new THREE.Float32BufferAttribute(faceIndices, 1));
+  // Displacement happens in the shader — leave room for it when culling
+  facetedGeo.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 1.5);
 
   // Panel mesh
-  const panelMat = new THREE.MeshBasicMaterial({
-    vertexColors: true, transparent: true, opacity: 1,
+  const panelMat = new THREE.ShaderMaterial({
+    vertexShader: CORE_VERTEX_SHADER,
+    fragmentShader: CORE_FRAGMENT_SHADER,
+    uniforms: {
+      uColor: { value: new THREE.Color() },
+      uBrightness: { value: 0 },
+      uSweepDir: { value: new THREE.Vector3() },
+      uSweep2Dir: { value: new THREE.Vector3() },
+      uShimmerPhase: { value: new THREE.Vector2() },
+      uDisplacement: { value: 0 },
+      uBands: { value: new THREE.Vector3() },
+      uWavePhase: { value: new THREE.Vector4() },
+    },
+    transparent: true,
     side: THREE.DoubleSide, depthWrite: false,
   });
   const panelMesh = new THREE.Mesh(facetedGeo, panelMat);
@@ -110,29 +128,37 @@ export function createCore() {
 
   return {
     group,
-    facetedGeo, basePositions, faceNormals, faceCenters, faceCount,
+    facetedGeo, panelMat, uniforms: panelMat.uniforms, basePositions, faceCount,
     edgeMat, outerEdgeMat, innerHotMat, innerMidMat, innerSoftMat,
   };
 }
 
 // ─── Orbital Rings ─────────────────────────────────────────
 
-export function createRings() {
+/**
+ * `configs` overrides RING_CONFIGS (radius / tube / speedMult per ring);
+ * `segments` is the tubular segment count around each ring.
+ */
+export function createRings({ configs = RING_CONFIGS, segments = 128 } = {}) {
   const rings = [];
 
   for (let i = 0; i < 4; i++) {
-    const rc = RING_CONFIGS[i];
-    const gc = GHOST_CONFIGS[i];
+    const rc = { ...configs[i] };
+    // Ghosts keep their offset from the ring they shadow
+    const gc = { ...GHOST_CONFIGS[i], radius: GHOST_CONFIGS[i].radius - RING_CONFIGS[i].radius + rc.radius };
     const ringGroup = new THREE.Group();
     ringGroup.name = `ring-${i}`;
 
     const ringMat = new THREE.MeshBasicMaterial({ color: 0x64b4ff, transparent: true, opacity: 0.75 });
-    ringGroup.add(new THREE.Mesh(new THREE.TorusGeometry(rc.radius, rc.tube, 16, 128), ringMat));
+    ringGroup.add(new THREE.Mesh(new THREE.TorusGeometry(rc.radius, rc.tube, 16, segments), ringMat));
 
     const ghostMat = new THREE.MeshBasicMaterial({ color: 0x64b4ff, transparent: true, opacity: 0.2 });
-    ringGroup.add(new THREE.Mesh(new THREE.TorusGeometry(gc.radius, gc.tube, 8, 128), ghostMat));
+    ringGroup.add(new THREE.Mesh(new THREE.TorusGeometry(gc.radius, gc.tube, 8, segments), ghostMat));
 
-    rings.push({ group: ringGroup, mat: ringMat, ghostMat, config: rc, currentAxes: [...RING_AXES.idle[i]] });
+    rings.push({
+      group: ringGroup, mat: ringMat, ghostMat, config: rc,
+      currentAxes: null, prosodyTilt: 0,
+    });
   }
 
   return rings;
@@ -168,22 +194,55 @@ export function createContainment() {
   };
 }
 
-// ─── Update Functions ──────────────────────────────────────
+// ─── Prosody ───────────────────────────────────────────────
 
-const _sweepDir = new THREE.Vector3();
-const _sweep2Dir = new THREE.Vector3();
+const _prosodyColor = new THREE.Color();
+const _hsl = { h: 0, s: 0, l: 0 };
+
+/**
+ * Derive the per-frame visual state from the lerped state values plus
+ * prosody: rising / falling intonation and questions shift hue, emphasis
+ * lifts brightness. Writes into `out` (reused each frame) — never mutates
+ * the StateManager's values.
+ */
+export function applyProsody(sv, audioBands, out = {}) {
+  const color = out.color && out.color !== sv.color ? out.color : [0, 0, 0];
+  Object.assign(out, sv);
+  out.color = color;
+
+  const trend = Math.max(-1, Math.min(1, (audioBands.pitchTrend || 0) / 12));
+  const question = audioBands.question || 0;
+  const emphasis = audioBands.emphasis || 0;
+
+  _prosodyColor.setRGB(sv.color[0], sv.color[1], sv.color[2]);
+  _prosodyColor.getHSL(_hsl);
+  const hue = _hsl.h + trend * 0.04 + question * 0.07;
+  const sat = Math.min(1, _hsl.s * (1 + question * 0.2));
+  const light = Math.min(1, _hsl.l * (1 + emphasis * 0.25));
+  _prosodyColor.setHSL(hue - Math.floor(hue), sat, light);
+
+  out.color[0] = _prosodyColor.r;
+  out.color[1] = _prosodyColor.g;
+  out.color[2] = _prosodyColor.b;
+  out.intensity = sv.intensity * (1 + emphasis * 0.15);
+  return out;
+}
+
+// ─── Update Functions ──────────────────────────────────────
 
 export function updateCore(core, sv, time, audioBands) {
   const c = sv.color;
   const intensity = sv.intensity;
   const disp = sv.displacement;
   const glow = sv.innerGlow;
-  const color = new THREE.Color(c[0], c[1], c[2]);
+  const u = core.uniforms;
+  // Onset pulse — crisp kick on syllables that smoothing would blur away
+  const pulse = audioBands.pulse || 0;
 
   // Rotation + scale (bass-driven breathing on top of state scale)
   core.group.rotation.y += sv.rotationSpeed * 0.016;
   core.group.rotation.x += sv.rotationSpeed * 0.016 * 0.3;
-  core.group.scale.setScalar(sv.scale + audioBands.bass * 0.04);
+  core.group.scale.setScalar(sv.scale + audioBands.bass * 0.04 + pulse * 0.035);
 
   // Ambient Lissajous drift — subtle figure-8 so idle doesn't feel frozen
   core.group.position.y = Math.sin(time * 0.3) * 0.06;
@@ -195,57 +254,25 @@ export function updateCore(core, sv, time, audioBands) {
 
   // Sweeping highlight directions
   const sweepAngle = time * 0.8;
-  _sweepDir.set(Math.cos(sweepAngle), Math.sin(sweepAngle * 0.7), Math.sin(sweepAngle * 0.4)).normalize();
+  u.uSweepDir.value.set(Math.cos(sweepAngle), Math.sin(sweepAngle * 0.7), Math.sin(sweepAngle * 0.4)).normalize();
   const sweep2Angle = time * 1.3 + 2.0;
-  _sweep2Dir.set(Math.sin(sweep2Angle), Math.cos(sweep2Angle * 0.5), Math.cos(sweep2Angle)).normalize();
+  u.uSweep2Dir.value.set(Math.sin(sweep2Angle), Math.cos(sweep2Angle * 0.5), Math.cos(sweep2Angle)).normalize();
 
-  const colors = core.facetedGeo.attributes.color.array;
-  const positions = core.facetedGeo.attributes.position.array;
+  // Panel shimmer and brightness (per panel in the shader)
+  u.uColor.value.setRGB(c[0] * intensity, c[1] * intensity, c[2] * intensity);
+  u.uBrightness.value = 0.15 + intensity * 0.12 + pulse * 0.3;
+  u.uShimmerPhase.value.set((time * 3.5) % TWO_PI, (time * 5.2) % TWO_PI);
 
   // Audio-driven displacement — kept subtle so faces don't fly off
   const audioDisp = disp > 0.001
     ? disp * (1.0 + audioBands.bass * 0.8 + audioBands.mid * 0.4)
     : 0;
-
-  for (let fi = 0; fi < core.faceCount; fi++) {
-    const n = core.faceNormals[fi];
-
-    // Rolling shimmer via sweep dot products
-    const sweep1 = Math.pow(Math.max(0, _sweepDir.dot(n)), 3) * 0.6;
-    const sweep2 = Math.pow(Math.max(0, _sweep2Dir.dot(n)), 4) * 0.35;
-    const faceShimmer = 0.08 * Math.sin(time * 3.5 + fi * 1.1) + 0.06 * Math.sin(time * 5.2 + fi * 2.3);
-
-    const baseBrightness = 0.15 + intensity * 0.12;
-    const faceBrightness = baseBrightness + sweep1 + sweep2 + faceShimmer;
-
-    for (let v = 0; v < 3; v++) {
-      const ci = (fi * 3 + v) * 3;
-      colors[ci] = c[0] * faceBrightness * intensity;
-      colors[ci + 1] = c[1] * faceBrightness * intensity;
-      colors[ci + 2] = c[2] * faceBrightness * intensity;
-    }
-
-    // Face displacement from audio
-    let faceDisp = 0;
-    if (audioDisp > 0.001) {
-      const wave =
-        Math.sin(time * 6.28 + fi * 0.8) * (0.3 + audioBands.bass * 0.5) +
-        Math.sin(time * 12.56 + fi * 1.5) * (0.2 + audioBands.mid * 0.3) +
-        Math.sin(time * 25.12 + fi * 2.3) * (0.15 + audioBands.treble * 0.2) +
-        Math.abs(Math.sin(time * 3.14 + fi * 0.5)) * 0.35;
-      faceDisp = audioDisp * wave;
-    }
-
-    for (let v = 0; v < 3; v++) {
-      const i = (fi * 3 + v) * 3;
-      positions[i] = core.basePositions[i] + n.x * faceDisp;
-      positions[i + 1] = core.basePositions[i + 1] + n.y * faceDisp;
-      positions[i + 2] = core.basePositions[i + 2] + n.z * faceDisp;
-    }
-  }
-
-  core.facetedGeo.attributes.color.needsUpdate = true;
-  core.facetedGeo.attributes.position.needsUpdate = true;
+  u.uDisplacement.value = audioDisp > 0.001 ? audioDisp : 0;
+  u.uBands.value.set(audioBands.bass, audioBands.mid, audioBands.treble);
+  u.uWavePhase.value.set(
+    (time * 6.28) % TWO_PI, (time * 12.56) % TWO_PI,
+    (time * 25.12) % TWO_PI, (time * 3.14) % TWO_PI,
+  );
 
   // Triple inner glow — kept subtle so the faceted shell stays visible
   const hotInt = glow * 1.5;
@@ -264,7 +291,7 @@ export function updateCore(core, sv, time, audioBands) {
   core.innerSoftMat.opacity = 0.08 + glow * 0.06;
 
   // Edge glow
-  const edgeInt = intensity * 1.5 * seamPulse;
+  const edgeInt = intensity * 1.5 * seamPulse * (1 + pulse * 0.6);
   core.edgeMat.color.setRGB(c[0] * edgeInt, c[1] * edgeInt, c[2] * edgeInt);
   core.edgeMat.opacity = 0.6 + 0.3 * seamPulse;
 
@@ -278,46 +305,55 @@ export function updateRings(rings, sv, time, dt, audioBands) {
   const baseSpeed = sv.ringSpeed;
   const intensity = sv.intensity;
   const disp = sv.displacement;
-  const state = sv.label;
   const lf = 1 - Math.exp(-dt * 3);
   const axisLf = 1 - Math.exp(-dt * 2.5);
-  const targetAxes = RING_AXES[state] || RING_AXES.idle;
+  const targetAxes = sv.ringAxes;
   const ringPulse = 0.8 + 0.2 * Math.sin(time * 3);
 
   // Real-time bass modulates ring speed — rings react to voice/audio
   const speed = baseSpeed + (audioBands?.bass || 0) * 0.4;
+  const onsetPulse = audioBands?.pulse || 0;
+
+  // Intonation tilts the rings: rising pitch / questions lift them, falling drops them
+  const trend = Math.max(-1, Math.min(1, (audioBands?.pitchTrend || 0) / 12));
+  const tiltTarget = trend * 0.12 + (audioBands?.question || 0) * 0.18;
 
   for (let i = 0; i < rings.length; i++) {
     const ring = rings[i];
     const target = targetAxes[i];
+    ring.prosodyTilt += (tiltTarget - ring.prosodyTilt) * axisLf;
 
-    // Smooth axis orientation
+    // Smooth axis orientation (first frame snaps to the state's axes)
+    if (!ring.currentAxes) ring.currentAxes = [...target];
     ring.currentAxes[0] += (target[0] - ring.currentAxes[0]) * axisLf;
     ring.currentAxes[1] += (target[1] - ring.currentAxes[1]) * axisLf;
     ring.currentAxes[2] += (target[2] - ring.currentAxes[2]) * axisLf;
 
-    ring.group.rotation.x = ring.currentAxes[0];
+    // Alternate tilt direction per ring so they scissor open
+    ring.group.rotation.x = ring.currentAxes[0] + ring.prosodyTilt * (i % 2 ? -1 : 1);
     ring.group.rotation.y = ring.currentAxes[1];
     ring.group.rotation.z = ring.currentAxes[2] + time * speed * ring.config.speedMult * 0.3;
 
-    // Alert wobble
-    if (state === 'alert') {
+    // Wobble (alert)
+    if (sv.wobble) {
       ring.group.rotation.x += Math.sin(time * 5 + i * 2) * 0.015;
       ring.group.rotation.y += Math.cos(time * 4 + i * 3) * 0.01;
     }
 
     // Diameter breathe — enhanced with real bass data
     const bass = audioBands?.bass || 0;
-    if (disp > 0.01 || bass > 0.05) {
+    if (disp > 0.01 || bass > 0.05 || onsetPulse > 0.01) {
       const breathAmt = Math.max(disp, bass * 0.1);
-      ring.group.scale.setScalar(1 + breathAmt * 0.2 * Math.sin(time * 4 + i * 1.5));
+      // Onsets kick the rings outward, staggered so the tick ripples inner → outer
+      const kick = onsetPulse * 0.02 * (1 - i * 0.15);
+      ring.group.scale.setScalar(1 + breathAmt * 0.2 * Math.sin(time * 4 + i * 1.5) + kick);
     } else {
       const s = ring.group.scale.x;
       ring.group.scale.setScalar(s + (1 - s) * lf);
     }
 
     // Ring color
-    const pulse = ringPulse * (0.9 + 0.1 * Math.sin(time * 2 + i));
+    const pulse = ringPulse * (0.9 + 0.1 * Math.sin(time * 2 + i)) + onsetPulse * 0.5;
     ring.mat.color.setRGB(c[0] * intensity * 1.3 * pulse, c[1] * intensity * 1.3 * pulse, c[2] * intensity * 1.3 * pulse);
 
     const ghostPulse = 0.3 + 0.15 * Math.sin(time * 5 + i * 2.5);
@@ -326,13 +362,14 @@ export function updateRings(rings, sv, time, dt, audioBands) {
   }
 }
 
-export function updateContainment(cont, sv, time, dt, stateManager) {
+export function updateContainment(cont, sv, time, dt, stateManager, audioBands) {
   const c = sv.color;
   const pulse = sv.containmentPulse;
+  const onsetPulse = audioBands?.pulse || 0;
   const color = new THREE.Color(c[0], c[1], c[2]);
 
   cont.primaryMat.color.copy(color);
-  cont.primaryMat.opacity = 0.06 + pulse * 0.35 * (0.6 + 0.4 * Math.sin(time * 3));
+  cont.primaryMat.opacity = 0.06 + pulse * 0.35 * (0.6 + 0.4 * Math.sin(time * 3)) + onsetPulse * pulse * 0.3;
 
   cont.secondaryMat.color.copy(color);
   cont.secondaryMat.opacity = 0.03 + pulse * 0.15 * (0.5 + 0.5 * Math.sin(time * 2.5 + 1));
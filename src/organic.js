@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import {
+  ORB_VERTEX_SHADER, ORB_FRAGMENT_SHADER, HALO_VERTEX_SHADER, HALO_FRAGMENT_SHADER,
+} from './shaders/orb.js';
+import { noiseLoop } from './shaders/noise.js';
+
+/**
+ * Organic shader orb — the soft alternative to the faceted construct.
+ *
+ * Components:
+ *   - Orb: finely subdivided icosahedron, FBM noise + audio wave displacement
+ *     and fresnel / vein shading in src/shaders/orb.js
+ *   - Inner core glow: additive sphere
+ *   - Atmospheric halo: back-face fresnel shell
+ */
+
+// Icosahedron subdivision of the orb surface
+export const ORB_DETAIL = 64;
+
+// Drift loop laps in seconds (src/shaders/noise.js). The noise lap is a
+// whole number of spectral turns (× 0.05) so the hue doesn't jump either.
+const NOISE_LAP = 240;
+const RIPPLE_LAP = 60;
+
+const TWO_PI = Math.PI * 2;
+
+// ─── Organic Orb ───────────────────────────────────────────
+
+export function createOrganicOrb({ detail = ORB_DETAIL } = {}) {
+  const group = new THREE.Group();
+  group.name = 'stark-organic-group';
+
+  const orbMat = new THREE.ShaderMaterial({
+    vertexShader: ORB_VERTEX_SHADER,
+    fragmentShader: ORB_FRAGMENT_SHADER,
+    uniforms: {
+      uWavePhase: { value: new THREE.Vector2() },
+      uRippleLoop: { value: new THREE.Vector2() },
+      uNoiseLoop: { value: new THREE.Vector2() },
+      uSpectralPhase: { value: 0 },
+      uAmplitude: { value: 0 },
+      uBands: { value: new THREE.Vector3() },
+      uPulse: { value: 0 },
+      uColor: { value: new THREE.Color() },
+      uIntensity: { value: 1 },
+      uVeins: { value: 0 },
+    },
+  });
+  const orbGeo = new THREE.IcosahedronGeometry(1, detail);
+  // Displacement happens in the shader — leave room for it when culling
+  orbGeo.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 1.5);
+  group.add(new THREE.Mesh(orbGeo, orbMat));
+
+  const innerMat = new THREE.MeshBasicMaterial({
+    color: 0x64b4ff, transparent: true, opacity: 0.3,
+    blending: THREE.AdditiveBlending, depthWrite: false,
+  });
+  group.add(new THREE.Mesh(new THREE.IcosahedronGeometry(0.55, 3), innerMat));
+
+  const haloMat = new THREE.ShaderMaterial({
+    vertexShader: HALO_VERTEX_SHADER,
+    fragmentShader: HALO_FRAGMENT_SHADER,
+    uniforms: {
+      uColor: { value: new THREE.Color() },
+      uStrength: { value: 0 },
+    },
+    side: THREE.BackSide,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+  group.add(new THREE.Mesh(new THREE.IcosahedronGeometry(1.45, 8), haloMat));
+
+  return {
+    group, orbMat, uniforms: orbMat.uniforms, innerMat, haloMat,
+    noiseTime: 0,
+  };
+}
+
+// ─── Update ────────────────────────────────────────────────
+
+export function updateOrganicOrb(orb, sv, time, dt, audioBands) {
+  const c = sv.color;
+  const u = orb.uniforms;
+  const pulse = audioBands.pulse || 0;
+
+  // Rotation + scale (bass-driven breathing on top of state scale)
+  orb.group.rotation.y += sv.rotationSpeed * dt * 0.5;
+  orb.group.scale.setScalar(sv.scale + audioBands.bass * 0.04 + pulse * 0.035);
+
+  // Noise runs on its own clock so speed changes don't jump the surface
+  orb.noiseTime = (orb.noiseTime + dt * (0.3 + sv.rotationSpeed * 2)) % NOISE_LAP;
+
+  u.uWavePhase.value.set((time * 2.2) % TWO_PI, (time * 3.5) % TWO_PI);
+  noiseLoop(time, RIPPLE_LAP, u.uRippleLoop.value);
+  noiseLoop(orb.noiseTime, NOISE_LAP, u.uNoiseLoop.value);
+  u.uSpectralPhase.value = (orb.noiseTime * 0.05 * TWO_PI) % TWO_PI;
+  u.uAmplitude.value = 0.06 + sv.displacement * 1.2;
+  u.uBands.value.set(audioBands.bass, audioBands.mid, audioBands.treble);
+  u.uPulse.value = pulse;
+  u.uColor.value.setRGB(c[0], c[1], c[2]);
+  u.uIntensity.value = sv.intensity;
+  u.uVeins.value = 0.4 + sv.intensity * 0.3 + pulse * 0.5;
+
+  // Inner core glow
+  const glow = sv.innerGlow;
+  orb.innerMat.color.setRGB(c[0] * glow, c[1] * glow, c[2] * glow);
+  orb.innerMat.opacity = 0.2 + glow * 0.3;
+
+  // Atmospheric halo
+  orb.haloMat.uniforms.uColor.value.setRGB(c[0], c[1], c[2]);
+  orb.haloMat.uniforms.uStrength.value = (0.35 + glow * 0.5 + (audioBands.level || 0) * 0.3) * sv.intensity;
+}
@@ -0,0 +1,118 @@
+/**
+ * Overlay modifiers — conditions that sit on top of the base state
+ * (mic muted, reconnecting, low battery, …) instead of replacing it.
+ *
+ * A state pack's "overlays" map defines each one:
+ *
+ *   "muted": {
+ *     "priority": 20,                                   higher applies later
+ *     "fade": 0.3,                                      seconds in / out
+ *     "desaturate": 0.65,                               0–1 toward grey
+ *     "tint": { "color": [255, 40, 30], "amount": 0.3 } blend toward a color
+ *     "multiply": { "intensity": 0.6 },                 scale numeric values
+ *     "add": { "containmentPulse": 0.1 },               offset numeric values
+ *     "pulse": { "hz": 0.3, "depth": 0.5 }              oscillate the weight
+ *   }
+ *
+ * Every modifier is scaled by the overlay's weight (fade × pulse), so a
+ * fading overlay blends out smoothly rather than popping.
+ */
+
+const OVERLAY_KEYS = ['priority', 'fade', 'desaturate', 'tint', 'multiply', 'add', 'pulse'];
+
+/**
+ * Validate a pack's overlay map and merge it over `base`.
+ * `numberKeys` lists the properties `multiply` / `add` may touch;
+ * `parseColor(value, field)` normalizes tint colors.
+ */
+export function resolveOverlays(defs = {}, base = {}, numberKeys = [], parseColor) {
+  if (typeof defs !== 'object' || Array.isArray(defs)) {
+    throw new Error('State pack "overlays" must be an object');
+  }
+
+  const resolved = { ...base };
+  for (const [name, def] of Object.entries(defs)) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) throw new Error(`Overlay name "${name}" must be lower_snake_case`);
+    resolved[name] = validateOverlay(name, def, numberKeys, parseColor);
+  }
+  return resolved;
+}
+
+/**
+ * Apply one overlay at `weight` (0–1) to a visual state in place.
+ * `time` drives the pulse.
+ */
+export function applyOverlay(sv, overlay, weight, time) {
+  if (overlay.pulse) {
+    const wave = 0.5 + 0.5 * Math.sin(time * overlay.pulse.hz * Math.PI * 2);
+    weight *= 1 - overlay.pulse.depth * (1 - wave);
+  }
+  if (weight <= 0) return;
+
+  if (overlay.desaturate) {
+    desaturate(sv.color, overlay.desaturate * weight);
+    desaturate(sv.coreColor, overlay.desaturate * weight);
+  }
+  if (overlay.tint) {
+    const amount = overlay.tint.amount * weight;
+    for (let i = 0; i < 3; i++) {
+      sv.color[i] += (overlay.tint.color[i] - sv.color[i]) * amount;
+      sv.coreColor[i] += (overlay.tint.color[i] * 0.5 - sv.coreColor[i]) * amount;
+    }
+  }
+  for (const key in overlay.multiply) sv[key] *= 1 + (overlay.multiply[key] - 1) * weight;
+  for (const key in overlay.add) sv[key] += overlay.add[key] * weight;
+}
+
+/** A finite number — the check every state-pack numeric field goes through. */
+export function isNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function desaturate(rgb, amount) {
+  const grey = rgb[0] * 0.3 + rgb[1] * 0.59 + rgb[2] * 0.11;
+  for (let i = 0; i < 3; i++) rgb[i] += (grey - rgb[i]) * amount;
+}
+
+function validateOverlay(name, def, numberKeys, parseColor) {
+  const field = (key) => `Overlay "${name}".${key}`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error(`Overlay "${name}" must be an object`);
+  for (const key of Object.keys(def)) {
+    if (!OVERLAY_KEYS.includes(key)) throw new Error(`${field(key)} is not a known field`);
+  }
+
+  const { priority = 0, fade = 0.3, desaturate: desat = 0, tint = null, multiply = {}, add = {}, pulse = null } = def;
+  if (!isNumber(priority)) throw new Error(`${field('priority')} must be a number`);
+  if (!isNumber(fade) || fade < 0) throw new Error(`${field('fade')} must be a non-negative number`);
+  if (!isNumber(desat) || desat < 0 || desat > 1) throw new Error(`${field('desaturate')} must be 0–1`);
+
+  let resolvedTint = null;
+  if (tint) {
+    if (!isNumber(tint.amount) || tint.amount < 0 || tint.amount > 1) throw new Error(`${field('tint')}.amount must be 0–1`);
+    resolvedTint = { color: parseColor(tint.color, `${field('tint')}.color`), amount: tint.amount };
+  }
+
+  for (const [op, map] of [['multiply', multiply], ['add', add]]) {
+    if (typeof map !== 'object' || Array.isArray(map)) throw new Error(`${field(op)} must be an object`);
+    for (const [key, value] of Object.entries(map)) {
+      if (!numberKeys.includes(key)) throw new Error(`${field(op)}.${key} is not a numeric property`);
+      if (!isNumber(value)) throw new Error(`${field(op)}.${key} must be a number`);
+    }
+  }
+
+  if (pulse && (!isNumber(pulse.hz) || pulse.hz <= 0 || !isNumber(pulse.depth) || pulse.depth < 0 || pulse.depth > 1)) {
+    throw new Error(`${field('pulse')} needs hz > 0 and depth 0–1`);
+  }
+
+  return {
+    priority,
+    fade,
+    desaturate: desat,
+    tint: resolvedTint,
+    multiply: { ...multiply },
+    add: { ...add },
+    pulse: pulse ? { hz: pulse.hz, depth: pulse.depth } : null,
+  };
+}
@@ -1,147 +1,190 @@
 import * as THREE from 'three';
-
-const PARTICLE_COUNT = 800;
-const LEAD_COUNT = 40;
+import { PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER } from './shaders/particles.js';
+import { noiseLoop } from './shaders/noise.js';
 
 /**
- * Standard orbiting particles — small, numerous, forms a shell around the core.
+ * Two-layer particle system, animated entirely in the vertex shader
+ * (src/shaders/particles.js). The CPU only advances a few clocks and
+ * eases the emitters per frame:
+ *
+ *   burst     every state change kicks the shell outward (harder on flash states)
+ *   inflow    states with particleFlow "inward" stream particles into the core
+ *   outflow   states with particleFlow "outward" push them out, paced by bass
+ *   morph     standard particles draw a shape (targets from src/morph.js)
  */
-export function createParticles() {
-  const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(PARTICLE_COUNT * 3);
-  const speeds = new Float32Array(PARTICLE_COUNT);
 
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = 1.7 + Math.random() * 1.6;
-    positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-    positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-    positions[i * 3 + 2] = r * Math.cos(phi);
-    speeds[i] = 0.3 + Math.random() * 1.4;
-  }
+export const PARTICLE_COUNT = 800;
+export const LEAD_COUNT = 40;
 
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+// Share of each layer that joins an active inflow / outflow
+const FLOW_SHARE = 0.5;
+const LEAD_FLOW_SHARE = 0.25;
 
-  const material = new THREE.PointsMaterial({
-    size: 0.016,
-    color: 0x64b4ff,
-    transparent: true,
-    opacity: 0.75,
-    sizeAttenuation: true,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
-  });
+// Burst age (seconds) long past the kick — also the value before any state change
+const BURST_IDLE = 1000;
 
-  const points = new THREE.Points(geometry, material);
-  points.name = 'holo-particles';
+// Orbital speeds are whole multiples of 1 / SPEED_STEPS, so every particle
+// lines up again after these laps and the clocks wrap without a jump:
+// uOrbit × speed turns whole circles after ORBIT_LAP, and the inflow and
+// outflow phases — t × (0.2 + speed × 0.1), t × (0.3 + speed × 0.2) —
+// whole cycles after FLOW_LAP. Curl noise loops on NOISE_LAP
+// (src/shaders/noise.js).
+const SPEED_STEPS = 64;
+const ORBIT_LAP = Math.PI * 2 * SPEED_STEPS;
+const FLOW_LAP = 10 * SPEED_STEPS;
+const NOISE_LAP = 240;
 
-  return { points, material, geometry, speeds };
+/**
+ * Standard orbiting particles — small, numerous, forms a shell around the core.
+ */
+export function createParticles({ count = PARTICLE_COUNT, size = 0.016 } = {}) {
+  return createLayer('holo-particles', {
+    count, size, opacity: 0.75,
+    innerRadius: 1.7, shellDepth: 1.6, minSpeed: 0.3, speedRange: 1.4,
+  });
 }
 
 /**
  * Lead particles — larger, brighter "data fragment" particles.
  */
-export function createLeadParticles() {
-  const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(LEAD_COUNT * 3);
-  const speeds = new Float32Array(LEAD_COUNT);
-
-  for (let i = 0; i < LEAD_COUNT; i++) {
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = 1.9 + Math.random() * 1.2;
-    positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-    positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-    positions[i * 3 + 2] = r * Math.cos(phi);
-    speeds[i] = 0.5 + Math.random() * 1.0;
-  }
-
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-
-  const material = new THREE.PointsMaterial({
-    size: 0.045,
-    color: 0x64b4ff,
-    transparent: true,
-    opacity: 0.8,
-    sizeAttenuation: true,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
+export function createLeadParticles({ count = LEAD_COUNT, size = 0.045 } = {}) {
+  return createLayer('lead-particles', {
+    count, size, opacity: 0.8,
+    innerRadius: 1.9, shellDepth: 1.2, minSpeed: 0.5, speedRange: 1.0,
   });
-
-  const points = new THREE.Points(geometry, material);
-  points.name = 'lead-particles';
-
-  return { points, material, geometry, speeds };
 }
 
 /**
- * Update standard particles — orbital motion with boundary clamping.
+ * Update standard particles — orbit, curl drift and emitters.
  */
-export function updateParticles(particles, sv, time, dt) {
-  const speed = sv.particleSpeed;
+export function updateParticles(particles, sv, time, dt, stateManager, audioBands) {
   const c = sv.color;
   const intensity = sv.intensity;
 
-  particles.material.color.setRGB(c[0] * intensity, c[1] * intensity, c[2] * intensity);
-
-  const pos = particles.geometry.attributes.position;
-  const arr = pos.array;
-
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const idx = i * 3;
-    const x = arr[idx], z = arr[idx + 2];
-    const angle = speed * particles.speeds[i] * dt * 0.3;
-
-    arr[idx] = x * Math.cos(angle) - z * Math.sin(angle);
-    arr[idx + 2] = x * Math.sin(angle) + z * Math.cos(angle);
-    arr[idx + 1] += (Math.random() - 0.5) * speed * dt * 0.05;
-
-    // Boundary clamp — keep particles in the shell
-    const r = Math.sqrt(arr[idx] ** 2 + arr[idx + 1] ** 2 + arr[idx + 2] ** 2);
-    if (r > 3.5 || r < 1.5) {
-      const scale = (1.7 + Math.random() * 1.6) / r;
-      arr[idx] *= scale;
-      arr[idx + 1] *= scale;
-      arr[idx + 2] *= scale;
-    }
-  }
-
-  pos.needsUpdate = true;
+  particles.uniforms.uColor.value.setRGB(c[0] * intensity, c[1] * intensity, c[2] * intensity);
+  updateLayer(particles, sv, time, dt, stateManager, audioBands, { orbitRate: 0.3, flowShare: FLOW_SHARE });
 }
 
 /**
- * Update lead particles — brighter, pulsing, slightly different orbit.
+ * Update lead particles — brighter, pulsing, slightly slower orbit.
  */
-export function updateLeadParticles(lead, sv, time, dt) {
-  const speed = sv.particleSpeed;
+export function updateLeadParticles(lead, sv, time, dt, stateManager, audioBands) {
   const c = sv.color;
   const intensity = sv.intensity;
   const leadPulse = 1.5 + 0.5 * Math.sin(time * 3);
 
-  lead.material.color.setRGB(c[0] * intensity * leadPulse, c[1] * intensity * leadPulse, c[2] * intensity * leadPulse);
-  lead.material.opacity = 0.6 + 0.3 * Math.sin(time * 4);
+  lead.uniforms.uColor.value.setRGB(c[0] * intensity * leadPulse, c[1] * intensity * leadPulse, c[2] * intensity * leadPulse);
+  lead.uniforms.uOpacity.value = 0.6 + 0.3 * Math.sin(time * 4);
+  updateLayer(lead, sv, time, dt, stateManager, audioBands, { orbitRate: 0.25, flowShare: LEAD_FLOW_SHARE });
+}
+
+/** Morph targets, one x, y, z triple per particle (src/morph.js sampleShape). */
+export function setParticleTargets(particles, targets) {
+  const attribute = particles.geometry.attributes.target;
+  attribute.array.set(targets);
+  attribute.needsUpdate = true;
+}
+
+/** How far particles have left the shell for their targets (0–1). */
+export function setParticleMorph(particles, amount) {
+  particles.uniforms.uMorph.value = amount;
+}
 
-  const pos = lead.geometry.attributes.position;
-  const arr = pos.array;
+/** Point size scale for the current viewport (pixel ratio × height / 2). */
+export function setParticleScale(particles, scale) {
+  particles.uniforms.uScale.value = scale;
+}
 
-  for (let i = 0; i < LEAD_COUNT; i++) {
-    const idx = i * 3;
-    const x = arr[idx], z = arr[idx + 2];
-    const angle = speed * lead.speeds[i] * dt * 0.25;
+// ─── Helpers ─────────────────────────────────────────────────
 
-    arr[idx] = x * Math.cos(angle) - z * Math.sin(angle);
-    arr[idx + 2] = x * Math.sin(angle) + z * Math.cos(angle);
-    arr[idx + 1] += (Math.random() - 0.5) * speed * dt * 0.03;
+function createLayer(name, { count, size, opacity, innerRadius, shellDepth, minSpeed, speedRange }) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = new Float32Array(count * 3);
+  const speeds = new Float32Array(count);
+  const seeds = new Float32Array(count);
 
-    const r = Math.sqrt(arr[idx] ** 2 + arr[idx + 1] ** 2 + arr[idx + 2] ** 2);
-    if (r > 3.3 || r < 1.6) {
-      const scale = (1.9 + Math.random() * 1.2) / r;
-      arr[idx] *= scale;
-      arr[idx + 1] *= scale;
-      arr[idx + 2] *= scale;
-    }
+  for (let i = 0; i < count; i++) {
+    const theta = Math.random() * Math.PI * 2;
+    const phi = Math.acos(2 * Math.random() - 1);
+    const r = innerRadius + Math.random() * shellDepth;
+    positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+    positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+    positions[i * 3 + 2] = r * Math.cos(phi);
+    speeds[i] = Math.round((minSpeed + Math.random() * speedRange) * SPEED_STEPS) / SPEED_STEPS;
+    seeds[i] = Math.random();
   }
 
-  pos.needsUpdate = true;
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('speed', new THREE.Float32BufferAttribute(speeds, 1));
+  geometry.setAttribute('seed', new THREE.Float32BufferAttribute(seeds, 1));
+  geometry.setAttribute('target', new THREE.Float32BufferAttribute(new Float32Array(count * 3), 3));
+  // Positions move in the shader — bound the whole reachable volume
+  geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), innerRadius + shellDepth + 1.5);
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: PARTICLE_VERTEX_SHADER,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER,
+    uniforms: {
+      uTime: { value: 0 },
+      uOrbit: { value: 0 },
+      uNoiseLoop: { value: new THREE.Vector2() },
+      uCurl: { value: 0 },
+      uInflow: { value: 0 },
+      uOutflow: { value: 0 },
+      uOutflowTime: { value: 0 },
+      uBass: { value: 0 },
+      uBurst: { value: new THREE.Vector2(BURST_IDLE, 0) },
+      uMorph: { value: 0 },
+      uSize: { value: size },
+      uScale: { value: 1 },
+      uColor: { value: new THREE.Color(0x64b4ff) },
+      uOpacity: { value: opacity },
+    },
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.name = name;
+
+  return {
+    points, material, geometry, uniforms: material.uniforms, count,
+    orbit: 0, noiseTime: 0, outflowTime: 0,
+    inflow: 0, outflow: 0,
+    lastState: null,
+  };
+}
+
+function updateLayer(layer, sv, time, dt, stateManager, audioBands, { orbitRate, flowShare }) {
+  const u = layer.uniforms;
+  const speed = sv.particleSpeed;
+  const bass = audioBands?.bass || 0;
+
+  layer.orbit = (layer.orbit + speed * dt * orbitRate) % ORBIT_LAP;
+  layer.noiseTime = (layer.noiseTime + dt * (0.5 + speed)) % NOISE_LAP;
+  layer.outflowTime = (layer.outflowTime + dt * (0.2 + bass * 1.5)) % FLOW_LAP;
+
+  // Emitters ease in and out with the state's particleFlow
+  const lf = 1 - Math.exp(-dt * 2);
+  layer.inflow += ((sv.particleFlow === 'inward' ? flowShare : 0) - layer.inflow) * lf;
+  layer.outflow += ((sv.particleFlow === 'outward' ? flowShare : 0) - layer.outflow) * lf;
+
+  // Burst on every state change after the first frame
+  const state = stateManager?.targetState ?? null;
+  if (layer.lastState !== null && state !== layer.lastState) {
+    u.uBurst.value.set(0, stateManager.flashIntensity > 0 ? 1 : 0.5);
+  } else {
+    u.uBurst.value.x = Math.min(u.uBurst.value.x + dt, BURST_IDLE);
+  }
+  layer.lastState = state;
+
+  u.uTime.value = time % FLOW_LAP;
+  u.uOrbit.value = layer.orbit;
+  noiseLoop(layer.noiseTime, NOISE_LAP, u.uNoiseLoop.value);
+  u.uCurl.value = 0.08 + speed * 0.06;
+  u.uInflow.value = layer.inflow;
+  u.uOutflow.value = layer.outflow;
+  u.uOutflowTime.value = layer.outflowTime;
+  u.uBass.value = bass;
 }
@@ -0,0 +1,163 @@
+/**
+ * Fundamental-frequency (pitch) tracking with the YIN estimator.
+ *
+ * Runs on time-domain samples, decimated to ~16 kHz so the per-frame cost
+ * stays small. On top of raw F0 the tracker derives prosody cues:
+ *
+ *   pitch     smoothed F0 in Hz (holds the last voiced value)
+ *   voiced    true when the frame has a clear periodic component
+ *   trend     pitch slope in semitones / second (+ rising, − falling)
+ *   emphasis  0–1, how far the voice sits above the speaker's running pitch
+ */
+
+const DEFAULT_OPTIONS = {
+  minHz: 70,
+  maxHz: 400,
+  threshold: 0.15,        // YIN absolute threshold on the CMND curve
+  minRms: 0.01,           // quieter frames are treated as unvoiced
+  targetRate: 16000,      // decimate to roughly this rate before YIN
+  trendWindowMs: 300,     // regression window for the pitch slope
+};
+
+export class PitchTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.pitch = 0;
+    this.voiced = false;
+    this.trend = 0;
+    this.emphasis = 0;
+    /** Slope at the last voiced frame — used to classify phrase endings. */
+    this.lastVoicedTrend = 0;
+
+    // ── Private ──
+    this._buf = null;
+    this._diff = null;
+    this._history = [];        // [timeMs, semitones]
+    this._timeMs = 0;
+    this._meanSemitones = null;
+  }
+
+  /** Feed one frame of Float32 time-domain samples. */
+  update(samples, sampleRate, dt) {
+    this._timeMs += dt * 1000;
+    const hz = samples && sampleRate ? this._estimate(samples, sampleRate) : 0;
+    this.voiced = hz > 0;
+
+    if (this.voiced) {
+      const st = 12 * Math.log2(hz / 100);
+      this.pitch = this.pitch > 0 ? this.pitch + (hz - this.pitch) * 0.35 : hz;
+
+      this._history.push([this._timeMs, st]);
+      const cutoff = this._timeMs - this.options.trendWindowMs;
+      while (this._history.length && this._history[0][0] < cutoff) this._history.shift();
+
+      this.trend += (slope(this._history) - this.trend) * 0.3;
+      this.lastVoicedTrend = this.trend;
+
+      // Slow running mean of the speaker's pitch; emphasis = excursions above it
+      this._meanSemitones = this._meanSemitones === null
+        ? st
+        : this._meanSemitones + (st - this._meanSemitones) * 0.01;
+      this.emphasis = clamp01((st - this._meanSemitones - 1.5) / 4);
+    } else {
+      this.trend *= Math.exp(-dt * 4);
+      this.emphasis *= Math.exp(-dt * 6);
+      if (this._history.length && this._timeMs - this._history[this._history.length - 1][0] > 150) {
+        this._history.length = 0;
+      }
+    }
+  }
+
+  reset() {
+    this.pitch = 0;
+    this.voiced = false;
+    this.trend = 0;
+    this.emphasis = 0;
+    this.lastVoicedTrend = 0;
+    this._history.length = 0;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  /** YIN F0 estimate in Hz, or 0 when unvoiced. */
+  _estimate(samples, sampleRate) {
+    const o = this.options;
+    const step = Math.max(1, Math.floor(sampleRate / o.targetRate));
+    const rate = sampleRate / step;
+    const n = Math.floor(samples.length / step);
+
+    if (!this._buf || this._buf.length !== n) this._buf = new Float32Array(n);
+    const buf = this._buf;
+    let energy = 0;
+    for (let i = 0; i < n; i++) {
+      // Box-filter decimation — crude, but enough for voice F0
+      let acc = 0;
+      for (let j = 0; j < step; j++) acc += samples[i * step + j];
+      buf[i] = acc / step;
+      energy += buf[i] * buf[i];
+    }
+    if (Math.sqrt(energy / n) < o.minRms) return 0;
+
+    const window = Math.floor(n / 2);
+    const minTau = Math.max(2, Math.floor(rate / o.maxHz));
+    const maxTau = Math.min(window - 1, Math.ceil(rate / o.minHz));
+    if (maxTau <= minTau) return 0;
+
+    if (!this._diff || this._diff.length !== maxTau + 1) this._diff = new Float32Array(maxTau + 1);
+    const d = this._diff;
+
+    // Difference function + cumulative mean normalization
+    d[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxTau; tau++) {
+      let sum = 0;
+      for (let i = 0; i < window; i++) {
+        const delta = buf[i] - buf[i + tau];
+        sum += delta * delta;
+      }
+      running += sum;
+      d[tau] = running > 0 ? (sum * tau) / running : 1;
+    }
+
+    // First dip below threshold, then walk to its local minimum
+    let tau = -1;
+    for (let t = minTau; t <= maxTau; t++) {
+      if (d[t] < o.threshold) {
+        while (t + 1 <= maxTau && d[t + 1] < d[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+    if (tau < 0) return 0;
+
+    // Parabolic interpolation for sub-sample precision
+    let refined = tau;
+    if (tau > 1 && tau < maxTau) {
+      const a = d[tau - 1], b = d[tau], c = d[tau + 1];
+      const denom = a - 2 * b + c;
+      if (denom !== 0) refined = tau + (a - c) / (2 * denom);
+    }
+
+    return rate / refined;
+  }
+}
+
+// ─── Utilities ───────────────────────────────────────────────
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+/** Least-squares slope of [timeMs, value] pairs, in value units per second. */
+function slope(points) {
+  const n = points.length;
+  if (n < 3) return 0;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const [x, y] of points) {
+    sx += x; sy += y; sxx += x * x; sxy += x * y;
+  }
+  const denom = n * sxx - sx * sx;
+  if (denom === 0) return 0;
+  return ((n * sxy - sx * sy) / denom) * 1000;
+}
@@ -0,0 +1,152 @@
+/**
+ * Adaptive quality — steps the renderer through quality tiers from the
+ * measured frame time, so low-end machines (kiosk mini-PCs on integrated
+ * graphics) settle on a tier they can hold instead of stuttering at full
+ * resolution.
+ *
+ *   high      full pixel ratio (≤ 2), full-resolution bloom, every particle
+ *   medium    85% of the pixel ratio (≤ 1.5), ¾ bloom, 60% of the particles
+ *   low       70% of it (≤ 1), ½ bloom, 35% particles, coarser core and rings
+ *   minimal   half of it (≤ 0.75), bloom at a third, 20% particles
+ *
+ * The caps govern high-DPI screens; the fractions make sure the tiers
+ * still differ in resolution on 1× displays (see tierPixelRatio).
+ *
+ * Frame times are averaged over short windows. Two slow windows in a row
+ * step down; stepping back up needs a long run of frames on budget, and
+ * that wait doubles every time a step up is undone — a tier the machine
+ * can't hold isn't retried every few seconds.
+ */
+
+export const QUALITY_TIERS = [
+  { name: 'high', pixelRatio: 2, resolution: 1, bloom: 1, particles: 1, ringSegments: 128, coreLod: 0 },
+  { name: 'medium', pixelRatio: 1.5, resolution: 0.85, bloom: 0.75, particles: 0.6, ringSegments: 96, coreLod: 0 },
+  { name: 'low', pixelRatio: 1, resolution: 0.7, bloom: 0.5, particles: 0.35, ringSegments: 64, coreLod: 1 },
+  { name: 'minimal', pixelRatio: 0.75, resolution: 0.5, bloom: 0.35, particles: 0.2, ringSegments: 48, coreLod: 2 },
+];
+
+/** Renderer pixel ratio for a tier: its share of the device's, capped at the tier's ceiling. */
+export function tierPixelRatio(tier, devicePixelRatio) {
+  return Math.min(devicePixelRatio * tier.resolution, tier.pixelRatio);
+}
+
+/** Look up a tier by name. Throws on unknown names. */
+export function qualityTier(name) {
+  const tier = QUALITY_TIERS.find((t) => t.name === name);
+  if (!tier) {
+    throw new Error(`Unknown quality "${name}" (expected auto or one of: ${QUALITY_TIERS.map((t) => t.name).join(', ')})`);
+  }
+  return tier;
+}
+
+// Window average above budget × SLOW steps down; below budget × STEADY counts toward a step up
+const SLOW = 1.25;
+const STEADY = 1.1;
+
+// Longer gaps are pauses (hidden tab, off-screen element), not slow frames
+const MAX_FRAME = 0.25;
+
+export class QualityGovernor {
+  constructor({
+    tier = 0,
+    targetFps = 60,
+    window = 2,          // seconds per averaged window
+    downAfter = 2,       // slow windows in a row before stepping down
+    upAfter = 10,        // seconds on budget before trying a step up
+    maxUpAfter = 300,    // cap on that wait as failed step-ups double it
+    now = () => performance.now(),
+  } = {}) {
+    /** Index into QUALITY_TIERS (0 = high). */
+    this.tier = tier;
+    this.budget = 1 / targetFps;
+    this.window = window;
+    this.downAfter = downAfter;
+    this.upAfter = upAfter;
+    this.maxUpAfter = maxUpAfter;
+
+    // Callbacks
+    this.onTierChange = null;  // (tier, previous) — QUALITY_TIERS entries
+
+    // ── Private ──
+    this._now = now;
+    this._last = null;
+    this._frames = 0;
+    this._time = 0;
+    this._slow = 0;
+    this._steady = 0;
+    this._upDelay = upAfter;
+    this._sinceUp = Infinity;
+    this._settle = 0;
+  }
+
+  get current() {
+    return QUALITY_TIERS[this.tier];
+  }
+
+  /** Call once per rendered frame. */
+  frame() {
+    const now = this._now();
+    if (this._last !== null) this.update((now - this._last) / 1000);
+    this._last = now;
+  }
+
+  /** Feed one frame time in seconds. Returns the current tier. */
+  update(frameSeconds) {
+    if (!(frameSeconds > 0) || frameSeconds > MAX_FRAME) return this.current;
+
+    this._frames++;
+    this._time += frameSeconds;
+    if (this._time < this.window) return this.current;
+
+    const average = this._time / this._frames;
+    this._frames = 0;
+    this._time = 0;
+    this._sinceUp += this.window;
+
+    // The window after a change includes its rebuild and shader compiles
+    if (this._settle > 0) {
+      this._settle--;
+      return this.current;
+    }
+
+    if (average > this.budget * SLOW) {
+      this._steady = 0;
+      if (++this._slow >= this.downAfter && this.tier < QUALITY_TIERS.length - 1) {
+        // Undoing a recent step up: wait longer before the next one
+        if (this._sinceUp <= this._upDelay) this._upDelay = Math.min(this._upDelay * 2, this.maxUpAfter);
+        this._step(1);
+      }
+    } else if (average < this.budget * STEADY) {
+      this._slow = 0;
+      this._steady += this.window;
+      if (this._steady >= this._upDelay && this.tier > 0) {
+        this._sinceUp = 0;
+        this._step(-1);
+      }
+    } else {
+      this._slow = 0;
+      this._steady = 0;
+    }
+    return this.current;
+  }
+
+  /** Drop the partial window, e.g. after a resize or a pause. */
+  reset() {
+    this._last = null;
+    this._frames = 0;
+    this._time = 0;
+    this._slow = 0;
+    this._steady = 0;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _step(direction) {
+    const previous = this.current;
+    this.tier += direction;
+    this._slow = 0;
+    this._steady = 0;
+    this._settle = 1;
+    this.onTierChange?.(this.current, previous);
+  }
+}
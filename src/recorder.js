@@ -0,0 +1,191 @@
+/**
+ * Session recorder + frame-accurate replay.
+ *
+ * Captures what the visuals saw — every state / overlay change, backend
+ * mode and message, and the per-frame audio values — into a compact JSON
+ * timeline that can be downloaded from a user's machine and replayed here.
+ *
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2026-…",
+ *     "startTime": 12.5,                      clock time of the first frame (s)
+ *     "initial": { "state": "listening", "overlays": ["muted"] },
+ *     "fields": ["dt", "level", …],           column names for frames
+ *     "frames": [[0.01667, 0.42, …], …],
+ *     "events": [[frameIndex, "state", "thinking"], …]
+ *   }
+ *
+ * Events are stamped with the index of the next frame to be captured, and
+ * replay applies them before that frame's update — the same ordering the
+ * live loop had.
+ */
+
+import { downloadFile } from './download.js';
+
+export const TIMELINE_VERSION = 1;
+
+const FRAME_FIELDS = [
+  'dt', 'level', 'bass', 'mid', 'treble', 'pulse', 'pitch', 'pitchTrend', 'voiced', 'emphasis', 'question',
+];
+// Columns every timeline has had — the prosody ones after them are optional
+const REQUIRED_FIELDS = ['dt', 'level', 'bass', 'mid', 'treble', 'pulse'];
+const EVENT_TYPES = ['state', 'overlay', 'mode', 'message'];
+
+export class SessionRecorder {
+  constructor({ maxFrames = 60 * 60 * 30 } = {}) {
+    this.maxFrames = maxFrames;  // ~30 min at 60 fps
+    this.recording = false;
+
+    // Callbacks
+    this.onLimit = null;   // (timeline) — frame cap reached, recording stopped
+
+    // ── Private ──
+    this._timeline = null;
+  }
+
+  /** Begin a new timeline. `initial` is the state to restore before replay. */
+  start({ startTime = 0, state = 'idle', overlays = [] } = {}) {
+    this._timeline = {
+      version: TIMELINE_VERSION,
+      recordedAt: new Date().toISOString(),
+      startTime: round(startTime, 5),
+      initial: { state, overlays: [...overlays] },
+      fields: FRAME_FIELDS,
+      frames: [],
+      events: [],
+    };
+    this.recording = true;
+  }
+
+  /** Stop and return the timeline (null if nothing was recording). */
+  stop() {
+    this.recording = false;
+    const timeline = this._timeline;
+    this._timeline = null;
+    return timeline;
+  }
+
+  /** Record one frame of audio values (anything with the FRAME_FIELDS properties, e.g. AudioManager). */
+  captureFrame(dt, audio) {
+    if (!this.recording) return;
+    const frame = [round(dt, 5)];
+    // Booleans (voiced) record as 0 / 1
+    for (let i = 1; i < FRAME_FIELDS.length; i++) frame.push(round(Number(audio[FRAME_FIELDS[i]]) || 0, 3));
+    this._timeline.frames.push(frame);
+
+    if (this._timeline.frames.length >= this.maxFrames) this.onLimit?.(this.stop());
+  }
+
+  captureEvent(type, data) {
+    if (!this.recording) return;
+    this._timeline.events.push([this._timeline.frames.length, type, data]);
+  }
+
+  /** Seconds recorded so far. */
+  get duration() {
+    return this._timeline ? sumDt(this._timeline.frames) : 0;
+  }
+}
+
+/**
+ * Steps through a timeline one frame at a time. next() returns
+ * { dt, level, …, events: [[type, data], …] } or null at the end.
+ */
+export class TimelinePlayer {
+  constructor(timeline) {
+    this.timeline = parseTimeline(timeline);
+    this.duration = sumDt(this.timeline.frames);
+
+    this.frame = 0;
+    /** Clock time of the last returned frame — continues the recorded clock. */
+    this.time = this.timeline.startTime;
+
+    // ── Private ──
+    this._eventIndex = 0;
+  }
+
+  get done() {
+    return this.frame >= this.timeline.frames.length;
+  }
+
+  /** Seconds replayed so far. */
+  get position() {
+    return this.time - this.timeline.startTime;
+  }
+
+  next() {
+    if (this.done) return null;
+    const { frames, events, fields } = this.timeline;
+    const row = frames[this.frame];
+
+    const out = { events: [] };
+    for (let i = 0; i < fields.length; i++) out[fields[i]] = row[i];
+    while (this._eventIndex < events.length && events[this._eventIndex][0] <= this.frame) {
+      const [, type, data] = events[this._eventIndex++];
+      out.events.push([type, data]);
+    }
+
+    this.frame++;
+    this.time += out.dt;
+    return out;
+  }
+}
+
+/** Validate a timeline (object or JSON text). Throws on anything malformed. */
+export function parseTimeline(input) {
+  const timeline = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!timeline || typeof timeline !== 'object') throw new Error('Timeline must be an object');
+  if (timeline.version !== TIMELINE_VERSION) {
+    throw new Error(`Unsupported timeline version ${timeline.version} (expected ${TIMELINE_VERSION})`);
+  }
+
+  const { fields, frames, events } = timeline;
+  if (!Array.isArray(fields) || fields[0] !== 'dt') throw new Error('Timeline "fields" must start with "dt"');
+  const missing = REQUIRED_FIELDS.filter((field) => !fields.includes(field));
+  if (missing.length) throw new Error(`Timeline "fields" lacks ${missing.join(', ')}`);
+  if (!fields.every((field) => FRAME_FIELDS.includes(field)) || new Set(fields).size !== fields.length) {
+    throw new Error(`Timeline "fields" must be distinct names from: ${FRAME_FIELDS.join(', ')}`);
+  }
+  if (!Array.isArray(frames)) throw new Error('Timeline "frames" must be an array');
+  frames.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== fields.length || !row.every(Number.isFinite) || !(row[0] >= 0)) {
+      throw new Error(`Timeline frame ${i} is malformed`);
+    }
+  });
+
+  if (!Array.isArray(events)) throw new Error('Timeline "events" must be an array');
+  let last = 0;
+  events.forEach((event, i) => {
+    if (!Array.isArray(event) || !Number.isInteger(event[0]) || event[0] < last || !EVENT_TYPES.includes(event[1])) {
+      throw new Error(`Timeline event ${i} is malformed`);
+    }
+    last = event[0];
+  });
+
+  return {
+    ...timeline,
+    startTime: Number.isFinite(timeline.startTime) ? timeline.startTime : 0,
+    initial: {
+      state: typeof timeline.initial?.state === 'string' ? timeline.initial.state : 'idle',
+      overlays: Array.isArray(timeline.initial?.overlays) ? timeline.initial.overlays : [],
+    },
+  };
+}
+
+/** Save a timeline as a .json download (browser only). */
+export function downloadTimeline(timeline, filename = `stark-session-${timeline.recordedAt.replace(/[:.]/g, '-')}.json`) {
+  downloadFile(JSON.stringify(timeline), filename);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+function sumDt(frames) {
+  let total = 0;
+  for (const row of frames) total += row[0];
+  return total;
+}
@@ -0,0 +1,235 @@
+/**
+ * Remote control — lets something other than the keyboard or the voice
+ * session drive the orb (a gateway, a home-automation hook, a parent page).
+ *
+ * Three transports, all speaking the same JSON messages:
+ *
+ *   postMessage       the page embedding us in an iframe (origin-checked)
+ *   BroadcastChannel  sibling tabs / windows on the same origin
+ *   WebSocket         a client connection to a configurable URL (reconnects)
+ *
+ * Commands in:
+ *
+ *   { "command": "setState", "state": "alert", "seconds": 5 }
+ *   { "command": "showCaption", "text": "Front door opened", "label": "HOME", "seconds": 6 }
+ *   { "command": "flash", "message": "Build failed", "seconds": 3 }
+ *   { "command": "setTheme", "theme": "ember" }
+ *   { "command": "showShape", "icon": "check", "hold": 2 }   or "text": "DONE"; "release" seconds
+ *   { "command": "setOverlay", "overlay": "typing", "on": true }
+ *   { "command": "connect" } / { "command": "disconnect" }
+ *   { "command": "getState" }
+ *
+ * An optional "id" is echoed in the reply to the sender:
+ *
+ *   { "event": "result", "id": 7, "ok": true, "result": "State set to alert for 5s" }
+ *   { "event": "result", "id": 7, "ok": false, "error": "Unknown state …" }
+ *
+ * Events out, to every transport:
+ *
+ *   { "event": "statechange", "state": "alert", "previous": "idle" }
+ *   { "event": "status", "status": "connected" }
+ */
+
+const DEFAULT_RECONNECT = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+/**
+ * Remote commands over the avatar's client tools (src/tools.js), so both
+ * share validation. `host` adds what the agent itself can't do.
+ *
+ * @param {object} host
+ * @param {object} host.tools               createClientTools() result
+ * @param {(label: string, text: string, seconds: number) => void} host.showCaption
+ * @param {() => Promise<void>} host.connect
+ * @param {() => Promise<void>} host.disconnect
+ * @param {() => string[]} host.getOverlayNames
+ * @param {(name: string, on: boolean) => void} host.setOverlay
+ * @param {() => object} host.getState      snapshot for getState
+ */
+export function createRemoteCommands(host) {
+  const { tools } = host;
+  return {
+    setState: ({ state, seconds }) => tools.set_state({ state, duration_seconds: seconds }),
+    setTheme: ({ theme }) => tools.set_theme({ theme }),
+    flash: ({ message, seconds }) => tools.flash_alert({ message, duration_seconds: seconds }),
+    showCard: ({ title, body, seconds }) => tools.show_card({ title, body, duration_seconds: seconds }),
+    setZoom: ({ zoom }) => tools.set_zoom({ zoom }),
+    showShape: ({ icon, text, hold, release }) => tools.show_shape({ icon, text, hold_seconds: hold, release_seconds: release }),
+
+    showCaption: ({ text, label = 'STARK', seconds = 6 }) => {
+      if (typeof text !== 'string' || !text.trim()) throw new Error('showCaption requires text');
+      const n = Number(seconds);
+      if (!Number.isFinite(n) || n <= 0) throw new Error('seconds must be a positive number');
+      host.showCaption(String(label), text.trim(), Math.min(n, 120));
+      return 'Caption shown';
+    },
+
+    // Conditions only the host page knows about, e.g. the user typing in its chat box
+    setOverlay: ({ overlay, on = true }) => {
+      const names = host.getOverlayNames();
+      if (!names.includes(overlay)) {
+        throw new Error(`Unknown overlay "${overlay}". Valid overlays: ${names.join(', ')}`);
+      }
+      host.setOverlay(overlay, Boolean(on));
+      return `Overlay ${overlay} ${on ? 'on' : 'off'}`;
+    },
+
+    connect: async () => {
+      await host.connect();
+      return 'Connected';
+    },
+    disconnect: async () => {
+      await host.disconnect();
+      return 'Disconnected';
+    },
+    getState: () => host.getState(),
+  };
+}
+
+export class RemoteControl {
+  /**
+   * @param {object} commands                  name → (message) => result | Promise
+   * @param {object} [options]
+   * @param {boolean} [options.postMessage]    listen for window messages
+   * @param {string[]} [options.allowedOrigins] postMessage origins ('*' for any); defaults to our own
+   * @param {string|null} [options.channel]    BroadcastChannel name (null to skip)
+   * @param {string|null} [options.url]        WebSocket URL (null to skip)
+   */
+  constructor(commands, {
+    postMessage = true,
+    allowedOrigins = [],
+    channel = 'stark-avatar',
+    url = null,
+    reconnect = {},
+  } = {}) {
+    this.commands = commands;
+    this.options = { postMessage, allowedOrigins, channel, url };
+    this.reconnect = { ...DEFAULT_RECONNECT, ...reconnect };
+
+    // Callbacks
+    this.onError = null;   // (error) — malformed message or failed command
+
+    // ── Private ──
+    this._channel = null;
+    this._socket = null;
+    this._socketAttempt = 0;
+    this._socketTimer = null;
+    this._stopped = true;
+    this._onWindowMessage = (e) => this._handleWindowMessage(e);
+  }
+
+  start() {
+    if (!this._stopped) return;
+    this._stopped = false;
+
+    if (this.options.postMessage) window.addEventListener('message', this._onWindowMessage);
+    if (this.options.channel && typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(this.options.channel);
+      this._channel.onmessage = (e) => this.handleMessage(e.data, (reply) => this._channel?.postMessage(reply));
+    }
+    if (this.options.url) this._openSocket();
+  }
+
+  stop() {
+    this._stopped = true;
+    window.removeEventListener('message', this._onWindowMessage);
+    this._channel?.close();
+    this._channel = null;
+    clearTimeout(this._socketTimer);
+    this._socketTimer = null;
+    this._socket?.close();
+    this._socket = null;
+  }
+
+  /** Send an event to every transport (and the embedding page, if any). */
+  broadcast(event, data = {}) {
+    if (this._stopped) return;
+    const message = { event, ...data };
+    this._channel?.postMessage(message);
+    if (this._socket?.readyState === WebSocket.OPEN) this._socket.send(JSON.stringify(message));
+    if (this.options.postMessage && window.parent !== window) {
+      window.parent.postMessage(message, this._parentTarget());
+    }
+  }
+
+  /**
+   * Run one command message and send the result through `reply`.
+   * Messages without a "command" (e.g. our own broadcasts) are ignored.
+   */
+  async handleMessage(data, reply) {
+    if (!data || typeof data !== 'object' || typeof data.command !== 'string') return;
+    const { command, id } = data;
+    const respond = (body) => reply?.({ event: 'result', ...(id !== undefined && { id }), ...body });
+
+    const run = Object.hasOwn(this.commands, command) ? this.commands[command] : null;
+    if (!run) {
+      const error = `Unknown command "${command}". Valid commands: ${Object.keys(this.commands).join(', ')}`;
+      this.onError?.(new Error(error));
+      respond({ ok: false, error });
+      return;
+    }
+
+    try {
+      respond({ ok: true, result: await run(data) });
+    } catch (err) {
+      this.onError?.(err);
+      respond({ ok: false, error: err?.message || String(err) });
+    }
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _handleWindowMessage(e) {
+    if (!this._originAllowed(e.origin)) return;
+    // Opaque origins (sandboxed iframes, file://) can only be answered with '*'
+    const target = e.origin === 'null' ? '*' : e.origin;
+    this.handleMessage(e.data, (reply) => e.source?.postMessage(reply, target));
+  }
+
+  _originAllowed(origin) {
+    const allowed = this.options.allowedOrigins;
+    return origin === window.location.origin || allowed.includes('*') || allowed.includes(origin);
+  }
+
+  /** Broadcasts to the parent go to the one allowed origin, if it's unambiguous. */
+  _parentTarget() {
+    const allowed = this.options.allowedOrigins;
+    return allowed.length === 1 ? allowed[0] : window.location.origin;
+  }
+
+  _openSocket() {
+    const socket = new WebSocket(this.options.url);
+    this._socket = socket;
+
+    socket.onopen = () => {
+      this._socketAttempt = 0;
+    };
+    socket.onmessage = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch {
+        this.onError?.(new Error('Remote message is not valid JSON'));
+        return;
+      }
+      this.handleMessage(data, (reply) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(reply));
+      });
+    };
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+      this._socket = null;
+      this._scheduleSocketReconnect();
+    };
+  }
+
+  /** Exponential backoff; the gateway may restart any time, so never give up. */
+  _scheduleSocketReconnect() {
+    if (this._stopped) return;
+    const { baseDelayMs, maxDelayMs } = this.reconnect;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** this._socketAttempt++);
+    this._socketTimer = setTimeout(() => {
+      this._socketTimer = null;
+      if (!this._stopped) this._openSocket();
+    }, delay);
+  }
+}
@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+import {
+  createRings, createContainment, updateRings, updateContainment,
+} from './orb.js';
+import {
+  createParticles, createLeadParticles,
+  updateParticles, updateLeadParticles, setParticleScale,
+  setParticleTargets, setParticleMorph,
+} from './particles.js';
+import { ParticleMorph, rasterizeShape, sampleShape } from './morph.js';
+import { DEFAULT_TUNING, tunedRingConfigs } from './tuning.js';
+import { DEFAULT_STYLE, createStyle } from './styles.js';
+import { QUALITY_TIERS, QualityGovernor, qualityTier, tierPixelRatio } from './quality.js';
+import { disposeObject } from './dispose.js';
+
+/**
+ * The orb's renderer, bloom, scene objects and camera, drawn into one
+ * canvas. Owns no input or DOM beyond that canvas, so the fullscreen app
+ * (main.js) and each <stark-avatar> element can run their own.
+ *
+ * `quality` is "auto" (step tiers from the measured frame time) or a fixed
+ * tier name from src/quality.js.
+ */
+export class AvatarScene {
+  constructor({
+    width = 1, height = 1, tuning = { ...DEFAULT_TUNING }, style = DEFAULT_STYLE, quality = 'auto',
+  } = {}) {
+    this.tuning = tuning;
+    this.styleName = style;
+    this.targetZoom = tuning['camera.zoom'];
+
+    // ── Quality ──
+    this.autoQuality = quality === 'auto';
+    this.quality = this.autoQuality ? QUALITY_TIERS[0] : qualityTier(quality);
+    this.governor = new QualityGovernor({ tier: QUALITY_TIERS.indexOf(this.quality) });
+    this.governor.onTierChange = (tier) => this._applyQuality(tier);
+
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x000000);
+
+    this.camera = new THREE.PerspectiveCamera(50, width / height, 0.1, 100);
+    this.camera.position.set(0, 0, this.targetZoom);
+    this.camera.lookAt(0, 0, 0);
+
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      powerPreference: 'high-performance',
+      alpha: false,
+    });
+    this.renderer.setPixelRatio(this._pixelRatio());
+    this.renderer.setSize(width, height);
+    this.canvas = this.renderer.domElement;
+
+    // ── Post-Processing (Bloom) ──
+    this.composer = new EffectComposer(this.renderer);
+    this.composer.addPass(new RenderPass(this.scene, this.camera));
+
+    this.bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(width, height),
+      0.6,   // strength (UnrealBloom is much more aggressive than pmndrs Bloom)
+      tuning['bloom.radius'],
+      tuning['bloom.threshold'],
+    );
+    this.composer.addPass(this.bloomPass);
+    this.composer.addPass(new OutputPass());
+    this._setBloomSize();
+
+    // ── Scene Objects ──
+    this.morph = new ParticleMorph();
+    this.morph.onShapeChange = (bitmap) => setParticleTargets(this.particles, sampleShape(bitmap, this.particles.count));
+    this.containment = createContainment();
+    this.scene.add(this.containment.group);
+    for (const part of ['core', 'rings', 'particles', 'leadParticles']) this.rebuild(part);
+  }
+
+  /** Swap the centerpiece for another visual style (src/styles.js). Throws on unknown names. */
+  setStyle(name) {
+    const previous = this.styleName;
+    this.styleName = name;
+    try {
+      this.rebuild('core');
+    } catch (err) {
+      this.styleName = previous;
+      throw err;
+    }
+  }
+
+  setSize(width, height) {
+    if (!(width > 0 && height > 0)) return;
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+    this.composer.setSize(width, height);
+    this._setBloomSize();
+    for (const layer of [this.particles, this.leadParticles]) setParticleScale(layer, this._pointScale());
+    this.governor.reset();
+  }
+
+  /** "auto" or a fixed tier name (src/quality.js). Throws on unknown names. */
+  setQuality(name) {
+    if (name === 'auto') {
+      this.autoQuality = true;
+      this.governor.tier = QUALITY_TIERS.indexOf(this.quality);
+      this.governor.reset();
+      return;
+    }
+    const tier = qualityTier(name);
+    this.autoQuality = false;
+    if (tier !== this.quality) this._applyQuality(tier);
+  }
+
+  /**
+   * Morph the particles into a shape — { icon } | { path } | { text } —
+   * with { form, hold, release } seconds (src/morph.js). Throws on bad or
+   * empty shapes before the morph changes, so a queued shape always samples.
+   */
+  showShape(shape, timing) {
+    this.morph.show(rasterizeShape(shape), timing);
+  }
+
+  releaseShape() {
+    this.morph.release();
+  }
+
+  /** Camera distance clamped to the tuned zoom range. */
+  clampZoom(zoom) {
+    const min = Math.min(this.tuning['camera.zoomMin'], this.tuning['camera.zoomMax']);
+    const max = Math.max(this.tuning['camera.zoomMin'], this.tuning['camera.zoomMax']);
+    return Math.max(min, Math.min(max, zoom));
+  }
+
+  setZoom(zoom) {
+    this.targetZoom = this.clampZoom(zoom);
+    return this.targetZoom;
+  }
+
+  /** Re-read the tuning values that apply without a rebuild. */
+  applyTuning() {
+    this.bloomPass.radius = this.tuning['bloom.radius'];
+    this.bloomPass.threshold = this.tuning['bloom.threshold'];
+    this.targetZoom = this.clampZoom(this.targetZoom);
+  }
+
+  /**
+   * Recreate one scene object from the tuning values: 'core' (the current
+   * style's centerpiece) | 'rings' | 'particles' | 'leadParticles'.
+   */
+  rebuild(part) {
+    const t = this.tuning;
+    switch (part) {
+      case 'core': {
+        const style = createStyle(this.styleName, {
+          shrink: t['core.shrink'], detail: Math.round(t['core.detail']), lod: this.quality.coreLod,
+        });
+        this.style?.dispose();
+        this.style = style;
+        this.scene.add(style.group);
+        this.containment.group.visible = style.hud;
+        for (const ring of this.rings || []) ring.group.visible = style.hud;
+        break;
+      }
+      case 'rings':
+        for (const ring of this.rings || []) disposeObject(ring.group);
+        this.rings = createRings({ configs: tunedRingConfigs(t), segments: this.quality.ringSegments });
+        for (const ring of this.rings) {
+          ring.group.visible = this.style.hud;
+          this.scene.add(ring.group);
+        }
+        break;
+      case 'particles':
+        if (this.particles) disposeObject(this.particles.points);
+        this.particles = createParticles({ count: Math.round(t['particles.count'] * this.quality.particles), size: t['particles.size'] });
+        setParticleScale(this.particles, this._pointScale());
+        if (this.morph.bitmap) setParticleTargets(this.particles, sampleShape(this.morph.bitmap, this.particles.count));
+        this.scene.add(this.particles.points);
+        break;
+      case 'leadParticles':
+        if (this.leadParticles) disposeObject(this.leadParticles.points);
+        this.leadParticles = createLeadParticles({
+          count: Math.round(t['particles.leadCount'] * this.quality.particles), size: t['particles.leadSize'],
+        });
+        setParticleScale(this.leadParticles, this._pointScale());
+        this.scene.add(this.leadParticles.points);
+        break;
+    }
+  }
+
+  /** Update every object from the visual state and draw one frame. */
+  render(sv, stateManager, audioBands, elapsed, dt) {
+    if (this.autoQuality) this.governor.frame();
+    this.style.update(sv, audioBands, elapsed, dt);
+    updateRings(this.rings, sv, elapsed, dt, audioBands);
+    updateContainment(this.containment, sv, elapsed, dt, stateManager, audioBands);
+    updateParticles(this.particles, sv, elapsed, dt, stateManager, audioBands);
+    setParticleMorph(this.particles, this.morph.update(dt));
+    updateLeadParticles(this.leadParticles, sv, elapsed, dt, stateManager, audioBands);
+
+    // Bloom
+    this.bloomPass.strength = (sv.bloomStrength + stateManager.flashIntensity * 2.0) * this.tuning['bloom.strength'];
+
+    // Micro-zoom pulse (thinking) — amplitude from the state's zoomPulse
+    const zoomPulseOffset = Math.sin(elapsed * 4) * sv.zoomPulse;
+
+    // Subtle camera orbital drift — full orbit ~100 minutes
+    const camera = this.camera;
+    const driftAngle = elapsed * 0.001;
+    const lf = 1 - Math.exp(-dt * 5);
+    camera.position.z = THREE.MathUtils.lerp(camera.position.z, this.targetZoom + zoomPulseOffset, lf);
+    camera.position.x = Math.sin(driftAngle) * 0.25;
+    camera.position.y = Math.cos(driftAngle * 0.7) * 0.12;
+    camera.lookAt(0, 0, 0);
+
+    this.composer.render();
+  }
+
+  /** Free every GPU resource. The scene can't be used afterwards. */
+  dispose() {
+    disposeObject(this.scene);
+    this.composer.dispose();
+    this.bloomPass.dispose();
+    this.renderer.dispose();
+    // Release the WebGL context now — browsers cap how many a page may hold
+    this.renderer.forceContextLoss();
+    this.canvas.remove();
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  /** Switch tier: pixel ratio and bloom resolution, then rebuild the tier-sized objects. */
+  _applyQuality(tier) {
+    this.quality = tier;
+    this.renderer.setPixelRatio(this._pixelRatio());
+    // Also resizes the render targets, bloom and particle scale for the new ratio
+    const { width, height } = this.renderer.getSize(new THREE.Vector2());
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.setSize(width, height);
+    for (const part of ['core', 'rings', 'particles', 'leadParticles']) this.rebuild(part);
+  }
+
+  _pixelRatio() {
+    return tierPixelRatio(this.quality, window.devicePixelRatio);
+  }
+
+  /** Bloom renders at the tier's fraction of the drawing buffer. */
+  _setBloomSize() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2()).multiplyScalar(this.quality.bloom);
+    this.bloomPass.setSize(Math.max(1, Math.round(size.x)), Math.max(1, Math.round(size.y)));
+  }
+
+  /** Point size → device pixels at unit distance, as THREE.PointsMaterial scales it. */
+  _pointScale() {
+    return this.renderer.domElement.height * 0.5;
+  }
+}
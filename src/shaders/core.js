@@ -0,0 +1,82 @@
+/**
+ * Faceted core panel shaders. Every vertex carries its panel's normal and
+ * index, so shimmer and audio displacement are computed per panel on the
+ * GPU — panels move rigidly and updateCore only sets uniforms.
+ *
+ * Phases arrive pre-wrapped to [0, 2π) from the CPU: sin(time × 25) in
+ * float32 loses precision within hours, and the orb runs on kiosks for days.
+ *
+ * The shading and displacement constants live in CORE_PANEL, which the
+ * headless render harness (test/harness.js) reads as well.
+ */
+
+export const CORE_PANEL = {
+  sweepPower: [3, 4],                 // falloff of the two sweeping highlights
+  sweepGain: [0.6, 0.35],
+  shimmerGain: [0.08, 0.06],
+  shimmerSpread: [1.1, 2.3],          // phase step per panel index
+  waveSpread: [0.8, 1.5, 2.3, 0.5],   // phase step per panel index, per wave
+  waveBase: [0.3, 0.2, 0.15, 0.35],   // amplitude with no audio
+  waveBand: [0.5, 0.3, 0.2],          // extra amplitude from bass, mid, treble
+};
+
+const P = CORE_PANEL;
+
+export const CORE_VERTEX_SHADER = /* glsl */ `
+attribute vec3 faceNormal;
+attribute float faceIndex;
+
+uniform vec3 uColor;          // state color × intensity
+uniform float uBrightness;    // base brightness + onset pulse
+uniform vec3 uSweepDir;
+uniform vec3 uSweep2Dir;
+uniform vec2 uShimmerPhase;   // time × (3.5, 5.2)
+uniform float uDisplacement;  // audio-scaled panel displacement (0 = still)
+uniform vec3 uBands;          // bass, mid, treble
+uniform vec4 uWavePhase;      // time × (2π, 4π, 8π, π)
+
+varying vec3 vColor;
+
+void main() {
+  float fi = faceIndex;
+
+  // Rolling shimmer via sweep dot products
+  float sweep1 = pow(max(0.0, dot(uSweepDir, faceNormal)), ${float(P.sweepPower[0])}) * ${float(P.sweepGain[0])};
+  float sweep2 = pow(max(0.0, dot(uSweep2Dir, faceNormal)), ${float(P.sweepPower[1])}) * ${float(P.sweepGain[1])};
+  float shimmer = ${float(P.shimmerGain[0])} * sin(uShimmerPhase.x + fi * ${float(P.shimmerSpread[0])})
+    + ${float(P.shimmerGain[1])} * sin(uShimmerPhase.y + fi * ${float(P.shimmerSpread[1])});
+  vColor = uColor * (uBrightness + sweep1 + sweep2 + shimmer);
+
+  // Panel displacement from audio, along the panel normal
+  float disp = 0.0;
+  if (uDisplacement > 0.0) {
+    float wave =
+      sin(uWavePhase.x + fi * ${float(P.waveSpread[0])}) * (${float(P.waveBase[0])} + uBands.x * ${float(P.waveBand[0])}) +
+      sin(uWavePhase.y + fi * ${float(P.waveSpread[1])}) * (${float(P.waveBase[1])} + uBands.y * ${float(P.waveBand[1])}) +
+      sin(uWavePhase.z + fi * ${float(P.waveSpread[2])}) * (${float(P.waveBase[2])} + uBands.z * ${float(P.waveBand[2])}) +
+      abs(sin(uWavePhase.w + fi * ${float(P.waveSpread[3])})) * ${float(P.waveBase[3])};
+    disp = uDisplacement * wave;
+  }
+
+  vec3 transformed = position + faceNormal * disp;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(transformed, 1.0);
+}
+`;
+
+export const CORE_FRAGMENT_SHADER = /* glsl */ `
+varying vec3 vColor;
+
+void main() {
+  gl_FragColor = vec4(vColor, 1.0);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+/** A number as a GLSL float literal (3 → "3.0"). */
+function float(n) {
+  return Number.isInteger(n) ? n.toFixed(1) : String(n);
+}
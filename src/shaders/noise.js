@@ -0,0 +1,123 @@
+/**
+ * GLSL noise chunks shared by the shaders in this directory, plus the CPU
+ * half of the bounded noise drift.
+ */
+
+// 3D simplex noise — Ian McEwan / Ashima Arts (MIT), github.com/ashima/webgl-noise
+export const SIMPLEX_NOISE = /* glsl */ `
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float snoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+
+  i = mod289(i);
+  vec4 p = permute(permute(permute(
+      i.z + vec4(0.0, i1.z, i2.z, 1.0))
+    + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+    + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
+
+  vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+
+  vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 105.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}
+`;
+
+/**
+ * Curl of a simplex-noise vector field (central differences). Divergence
+ * free, so offsets along it swirl without clumping. Needs SIMPLEX_NOISE.
+ */
+export const CURL_NOISE = /* glsl */ `
+vec3 noiseVec3(vec3 p) {
+  return vec3(
+    snoise(p),
+    snoise(p + vec3(31.4, -47.2, 12.8)),
+    snoise(p + vec3(-19.1, 33.4, 47.5))
+  );
+}
+
+vec3 curlNoise(vec3 p) {
+  const float e = 0.1;
+  vec3 dx = vec3(e, 0.0, 0.0);
+  vec3 dy = vec3(0.0, e, 0.0);
+  vec3 dz = vec3(0.0, 0.0, e);
+
+  vec3 x0 = noiseVec3(p - dx), x1 = noiseVec3(p + dx);
+  vec3 y0 = noiseVec3(p - dy), y1 = noiseVec3(p + dy);
+  vec3 z0 = noiseVec3(p - dz), z1 = noiseVec3(p + dz);
+
+  return vec3(
+    (y1.z - y0.z) - (z1.y - z0.y),
+    (z1.x - z0.x) - (x1.z - x0.z),
+    (x1.y - x0.y) - (y1.x - y0.x)
+  ) / (2.0 * e);
+}
+`;
+
+/**
+ * Bounded noise drift. Scrolling a field by `velocity × clock` loses float32
+ * precision as the clock grows, so the offset instead runs around a wide
+ * closed loop that starts out along `velocity` at the same speed. The CPU
+ * passes noiseLoop(clock, lap) as `loop`; one lap later the offset is back
+ * where it started, so the clock can wrap without a jump. `velocity` must
+ * not point along z.
+ */
+export const NOISE_DRIFT = /* glsl */ `
+vec3 noiseDrift(vec3 velocity, vec2 loop) {
+  vec3 side = normalize(cross(velocity, vec3(0.0, 0.0, 1.0))) * length(velocity);
+  return velocity * loop.x + side * loop.y;
+}
+`;
+
+/** Set `target` (a Vector2) to the NOISE_DRIFT loop for `clock` seconds into a `lap`-second lap. */
+export function noiseLoop(clock, lap, target) {
+  const angle = ((clock % lap) / lap) * Math.PI * 2;
+  const radius = lap / (Math.PI * 2);
+  return target.set(radius * Math.sin(angle), radius * (1 - Math.cos(angle)));
+}
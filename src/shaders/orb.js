@@ -0,0 +1,142 @@
+/**
+ * Organic orb shaders — the soft, noise-displaced sphere of the "organic"
+ * visual style (src/organic.js).
+ *
+ *   vertex     4-octave FBM displacement; bass sweeps large waves pole to
+ *              pole, mid spirals diagonally, treble adds fine ripples
+ *   fragment   three fresnel layers (sharp rim, medium edge, broad
+ *              gradient), flowing energy veins, spectral shift at the edge;
+ *              wave peaks glow brighter
+ *   halo       back-face atmosphere around the orb
+ *
+ * No raw clock reaches the GPU: wave phases arrive pre-wrapped to [0, 2π)
+ * and noise scrolls along NOISE_DRIFT loops (src/shaders/noise.js), so the
+ * surface keeps its detail on an orb left running for days.
+ */
+
+import { SIMPLEX_NOISE, NOISE_DRIFT } from './noise.js';
+
+export const ORB_VERTEX_SHADER = /* glsl */ `
+${SIMPLEX_NOISE}
+${NOISE_DRIFT}
+
+uniform vec2 uWavePhase;      // time × (2.2, 3.5)
+uniform vec2 uRippleLoop;     // drift loop on the real clock
+uniform vec2 uNoiseLoop;      // drift loop on the state's noise clock
+uniform float uAmplitude;     // FBM displacement
+uniform vec3 uBands;          // bass, mid, treble
+uniform float uPulse;         // onset pulse
+
+varying vec3 vViewPosition;
+varying vec3 vSurface;        // undisplaced unit-sphere position
+varying float vDisplacement;
+
+float fbm(vec3 p) {
+  float value = 0.0;
+  float amplitude = 0.5;
+  for (int i = 0; i < 4; i++) {
+    value += amplitude * snoise(p);
+    p *= 2.02;
+    amplitude *= 0.5;
+  }
+  return value;
+}
+
+void main() {
+  vec3 p = normalize(position);
+
+  float drift = fbm(p * 1.6 + noiseDrift(vec3(0.0, 0.6, 0.3), uNoiseLoop)) * uAmplitude;
+
+  // Bass: large slow waves sweeping pole to pole
+  float bassWave = sin(p.y * 3.0 - uWavePhase.x) * 0.08 * uBands.x;
+  // Mid: spiraling diagonal waves
+  float midWave = sin(atan(p.z, p.x) * 3.0 + p.y * 6.0 - uWavePhase.y) * 0.045 * uBands.y;
+  // Treble: fine rapid ripples
+  float trebleWave = snoise(p * 9.0 + noiseDrift(vec3(4.0), uRippleLoop)) * 0.025 * uBands.z;
+
+  float displacement = drift + bassWave + midWave + trebleWave + uPulse * 0.03;
+
+  vSurface = p;
+  vDisplacement = displacement;
+  vec4 mvPosition = modelViewMatrix * vec4(p * (1.0 + displacement), 1.0);
+  vViewPosition = -mvPosition.xyz;
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+export const ORB_FRAGMENT_SHADER = /* glsl */ `
+${SIMPLEX_NOISE}
+${NOISE_DRIFT}
+
+uniform vec2 uNoiseLoop;
+uniform float uSpectralPhase; // noise clock × 0.05 turns
+uniform vec3 uColor;
+uniform float uIntensity;
+uniform float uVeins;
+
+varying vec3 vViewPosition;
+varying vec3 vSurface;
+varying float vDisplacement;
+
+void main() {
+  // Displaced normal from screen-space derivatives
+  vec3 normal = normalize(cross(dFdx(vViewPosition), dFdy(vViewPosition)));
+  vec3 viewDir = normalize(vViewPosition);
+  float facing = 1.0 - abs(dot(normal, viewDir));
+
+  // Fresnel layers
+  float rim = pow(facing, 6.0);
+  float edge = pow(facing, 3.0);
+  float broad = pow(facing, 1.5);
+
+  // Energy veins — bright lines where a flowing noise field crosses zero
+  float field = snoise(vSurface * 2.5 + noiseDrift(vec3(0.2, -0.15, 0.1), uNoiseLoop));
+  float vein = (1.0 - smoothstep(0.0, 0.06, abs(field)))
+    * (0.5 + 0.5 * snoise(vSurface * 1.2 + noiseDrift(vec3(-0.1), uNoiseLoop)));
+
+  // Spectral edge shift — hue walks around the wheel toward the rim
+  vec3 spectral = 0.5 + 0.5 * cos(6.28318 * (vec3(0.0, 0.33, 0.67) + edge * 0.6) + uSpectralPhase);
+
+  vec3 color = mix(uColor * 0.4, uColor, broad) * (0.25 + broad * 0.6)
+    + uColor * edge * 0.8
+    + mix(uColor, spectral, 0.35) * rim * 1.6
+    + uColor * vein * uVeins;
+
+  // Wave peaks glow brighter
+  color *= (1.0 + max(0.0, vDisplacement) * 4.0) * uIntensity;
+
+  gl_FragColor = vec4(color, 1.0);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+export const HALO_VERTEX_SHADER = /* glsl */ `
+varying vec3 vNormal;
+varying vec3 vViewDir;
+
+void main() {
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vNormal = normalize(normalMatrix * normal);
+  vViewDir = normalize(-mvPosition.xyz);
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+export const HALO_FRAGMENT_SHADER = /* glsl */ `
+uniform vec3 uColor;
+uniform float uStrength;
+
+varying vec3 vNormal;
+varying vec3 vViewDir;
+
+void main() {
+  // Back faces — strongest behind the orb, fading to nothing at the halo's edge
+  float glow = pow(clamp(-dot(vNormal, vViewDir), 0.0, 1.0), 2.0);
+  gl_FragColor = vec4(uColor * glow * uStrength, 1.0);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
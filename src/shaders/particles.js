@@ -0,0 +1,108 @@
+/**
+ * Particle shaders. Every position is a function of the particle's static
+ * attributes and the uniforms — nothing is written back per frame, so the
+ * count is bounded by the GPU, not by a JS loop.
+ *
+ *   orbit     rotate the spawn position about the y axis
+ *   curl      offset along a time-varying curl-noise field
+ *   inflow    a share of particles spirals into the core and respawns
+ *   outflow   a share streams radially out of the core, paced by bass
+ *   burst     everything kicks outward on a state change and settles
+ *   morph     particles leave for their `target` point (src/morph.js)
+ *
+ * Emitter shares pick particles by `seed`, so ramping a share up fades
+ * particles into the stream one by one instead of all at once.
+ *
+ * The clocks arrive wrapped from the CPU (src/particles.js), so float32
+ * keeps the motion smooth on an orb left running for days.
+ */
+
+import { SIMPLEX_NOISE, CURL_NOISE, NOISE_DRIFT } from './noise.js';
+
+export const PARTICLE_VERTEX_SHADER = /* glsl */ `
+${SIMPLEX_NOISE}
+${CURL_NOISE}
+${NOISE_DRIFT}
+
+attribute float speed;        // orbital speed multiplier
+attribute float seed;         // 0–1: emitter share and stream phase
+attribute vec3 target;        // point on the current morph shape
+
+uniform float uTime;          // wrapped to the flow lap
+uniform float uOrbit;         // orbital angle at speed 1, wrapped to the orbit lap
+uniform vec2 uNoiseLoop;      // curl drift loop
+uniform float uCurl;          // curl-noise offset
+uniform float uInflow;        // share streaming into the core
+uniform float uOutflow;       // share flowing out of it
+uniform float uOutflowTime;   // advances faster with bass, wrapped to the flow lap
+uniform float uBass;
+uniform vec2 uBurst;          // seconds since the last state change, strength
+uniform float uMorph;         // 0 shell – 1 shape
+uniform float uSize;
+uniform float uScale;         // pixel ratio × viewport height / 2
+
+varying float vAlpha;
+
+vec3 rotateY(vec3 v, float angle) {
+  float c = cos(angle), s = sin(angle);
+  return vec3(v.x * c - v.z * s, v.y, v.x * s + v.z * c);
+}
+
+void main() {
+  vec3 p = rotateY(position, uOrbit * speed);
+  float r = length(p);
+  vec3 dir = p / r;
+  float alpha = 1.0;
+
+  p += curlNoise(p * 0.4 + noiseDrift(vec3(0.15), uNoiseLoop)) * uCurl;
+
+  // Inflow — spiral from the shell into the core's surface, then respawn
+  float inflow = clamp((uInflow - seed) * 8.0, 0.0, 1.0);
+  if (inflow > 0.0) {
+    float phase = fract(uTime * (0.2 + speed * 0.1) + seed * 13.0);
+    vec3 target = rotateY(dir, phase * 1.2) * mix(r, 1.05, phase * phase);
+    p = mix(p, target, inflow);
+    alpha *= mix(1.0, smoothstep(0.0, 0.15, phase) * smoothstep(1.0, 0.75, phase), inflow);
+  }
+
+  // Outflow — from the core's surface out past the shell
+  float outflow = clamp((uOutflow - seed) * 8.0, 0.0, 1.0);
+  if (outflow > 0.0) {
+    float phase = fract(uOutflowTime * (0.3 + speed * 0.2) + seed * 7.0);
+    vec3 target = dir * mix(1.1, r + 0.8, phase);
+    p = mix(p, target, outflow);
+    alpha *= mix(1.0, smoothstep(0.0, 0.1, phase) * (1.0 - phase) * (1.0 + uBass), outflow);
+  }
+
+  // Burst — peaks 0.25s after the state change
+  float k = uBurst.x * 4.0;
+  float kick = uBurst.y * k * exp(1.0 - k);
+  p += dir * kick * (0.3 + seed * 0.5);
+  alpha *= 1.0 + kick;
+
+  // Morph — staggered by seed so the shape draws itself in
+  float morph = smoothstep(seed * 0.35, seed * 0.35 + 0.65, uMorph);
+  p = mix(p, target, morph);
+  alpha = mix(alpha, 1.0, morph);
+
+  vAlpha = alpha;
+  vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+  gl_PointSize = uSize * uScale / -mvPosition.z;
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+export const PARTICLE_FRAGMENT_SHADER = /* glsl */ `
+uniform vec3 uColor;
+uniform float uOpacity;
+
+varying float vAlpha;
+
+void main() {
+  if (length(gl_PointCoord - 0.5) > 0.5) discard;
+  gl_FragColor = vec4(uColor, uOpacity * vAlpha);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
@@ -6,18 +6,11 @@
  * - State transition chime: brief crystalline tone with harmonics
  * - Speaking bass pulse: sub-bass oscillator following audioBands.bass
  *
+ * Pitches and levels come from the state definition (chime, hum, bassPulse).
+ *
  * Initializes on first user interaction (browser autoplay policy).
  */
 
-// State → chime pitch mapping (Hz)
-const STATE_PITCHES = {
-  idle: 440,
-  thinking: 520,
-  speaking: 660,
-  listening: 580,
-  alert: 350,
-};
-
 export class SoundManager {
   constructor() {
     this.ctx = null;
@@ -75,9 +68,9 @@ export class SoundManager {
   }
 
   /**
-   * Call every frame with the current state label and audio bands.
+   * Call every frame with the current visual state and audio bands.
    */
-  update(stateLabel, audioBands) {
+  update(sv, audioBands) {
     if (!this.initialized || !this.ctx || this._muted) return;
 
     // Resume context if suspended (browser policy)
@@ -86,23 +79,21 @@ export class SoundManager {
     }
 
     // ── State change → play chime ──
-    if (stateLabel !== this._currentState) {
-      this._playChime(stateLabel);
-      this._currentState = stateLabel;
+    if (sv.label !== this._currentState) {
+      this._playChime(sv.chime);
+      this._currentState = sv.label;
     }
 
-    // ── Idle hum: fade in during idle/listening, fade out otherwise ──
-    const isQuiet = stateLabel === 'idle' || stateLabel === 'listening';
-    this._humTarget = isQuiet ? 0.02 : 0.005;
+    // ── Idle hum: louder in calm states (idle/listening), faint otherwise ──
+    this._humTarget = sv.hum.gain;
     const humCurrent = this._humGain.gain.value;
     this._humGain.gain.value = humCurrent + (this._humTarget - humCurrent) * 0.03;
 
     // Slightly shift hum frequency with state for subtle variety
-    const humFreqTarget = stateLabel === 'thinking' ? 70 : stateLabel === 'alert' ? 50 : 60;
-    this._humOsc.frequency.value += (humFreqTarget - this._humOsc.frequency.value) * 0.02;
+    this._humOsc.frequency.value += (sv.hum.freq - this._humOsc.frequency.value) * 0.02;
 
     // ── Speaking bass pulse: gain follows audioBands.bass ──
-    const bassTarget = stateLabel === 'speaking'
+    const bassTarget = sv.bassPulse
       ? (audioBands?.bass || 0) * 0.06
       : 0;
     const bassCurrent = this._bassGain.gain.value;
@@ -110,10 +101,9 @@ export class SoundManager {
   }
 
   /** Play a brief crystalline chime on state transitions. */
-  _playChime(state) {
+  _playChime(pitch) {
     if (!this.ctx) return;
     const now = this.ctx.currentTime;
-    const pitch = STATE_PITCHES[state] || 440;
 
     // Two harmonics for crystalline quality
     for (const mult of [1.0, 1.5]) {
@@ -0,0 +1,134 @@
+/**
+ * Local microphone source — drives the orb from room audio with no agent.
+ *
+ * - Opens the mic via getUserMedia and runs its own AnalyserNode
+ * - Exposes FFT bins in the same Uint8Array shape the backends return
+ * - Pairs with VoiceActivityDetector to move between listening / idle
+ */
+export class MicrophoneSource {
+  constructor({ fftSize = 2048 } = {}) {
+    this.fftSize = fftSize;
+    this.isActive = false;
+
+    // ── Private ──
+    this._ctx = null;
+    this._stream = null;
+    this._analyser = null;
+    this._data = null;
+    this._wave = null;
+  }
+
+  /** Ask for mic permission and start analysing. */
+  async start() {
+    if (this.isActive) return;
+
+    this._stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+    });
+
+    this._ctx = new (window.AudioContext || window.webkitAudioContext)();
+    if (this._ctx.state === 'suspended') await this._ctx.resume().catch(() => {});
+
+    this._analyser = this._ctx.createAnalyser();
+    this._analyser.fftSize = this.fftSize;
+    this._analyser.smoothingTimeConstant = 0.6;
+    this._data = new Uint8Array(this._analyser.frequencyBinCount);
+    this._wave = new Float32Array(this._analyser.fftSize);
+
+    // Analyser only — never routed to the speakers (no feedback)
+    this._ctx.createMediaStreamSource(this._stream).connect(this._analyser);
+    this.isActive = true;
+  }
+
+  /** Release the mic and close the audio context. */
+  async stop() {
+    this.isActive = false;
+    this._stream?.getTracks().forEach((track) => track.stop());
+    await this._ctx?.close().catch(() => {});
+    this._ctx = null;
+    this._stream = null;
+    this._analyser = null;
+  }
+
+  /** Sample rate of the analysed audio (Hz), or null before start. */
+  get sampleRate() {
+    return this._ctx?.sampleRate ?? null;
+  }
+
+  getByteFrequencyData() {
+    if (!this._analyser) return null;
+    if (this._ctx.state === 'suspended') this._ctx.resume().catch(() => {});
+    this._analyser.getByteFrequencyData(this._data);
+    return this._data;
+  }
+
+  getFloatTimeDomainData() {
+    if (!this._analyser) return null;
+    this._analyser.getFloatTimeDomainData(this._wave);
+    return this._wave;
+  }
+}
+
+/**
+ * Energy-based voice activity detector.
+ *
+ * Tracks an adaptive noise floor so HVAC hum or a projector fan doesn't
+ * count as speech, then applies attack / release hangover so single words
+ * don't flicker the state.
+ */
+export class VoiceActivityDetector {
+  constructor({
+    ratio = 2.2,        // level must exceed floor × ratio …
+    minLevel = 0.06,    // … and this absolute level
+    attackMs = 120,     // sustained speech before going active
+    releaseMs = 1200,   // sustained quiet before going inactive
+  } = {}) {
+    this.ratio = ratio;
+    this.minLevel = minLevel;
+    this.attackMs = attackMs;
+    this.releaseMs = releaseMs;
+
+    this.active = false;
+    this.noiseFloor = 0.02;
+
+    // ── Private ──
+    this._aboveMs = 0;
+    this._belowMs = 0;
+  }
+
+  /**
+   * Feed one frame of level (0–1). Returns true when the active flag flips.
+   */
+  update(level, dt) {
+    // Floor falls fast and rises slowly, so it settles on the room's quiet level
+    const rate = level < this.noiseFloor ? 0.2 : 0.0005;
+    this.noiseFloor += (level - this.noiseFloor) * Math.min(1, rate * dt * 60);
+
+    const threshold = Math.max(this.minLevel, this.noiseFloor * this.ratio);
+    const ms = dt * 1000;
+
+    if (level > threshold) {
+      this._aboveMs += ms;
+      this._belowMs = 0;
+    } else {
+      this._belowMs += ms;
+      this._aboveMs = 0;
+    }
+
+    if (!this.active && this._aboveMs >= this.attackMs) {
+      this.active = true;
+      return true;
+    }
+    if (this.active && this._belowMs >= this.releaseMs) {
+      this.active = false;
+      return true;
+    }
+    return false;
+  }
+
+  reset() {
+    this.active = false;
+    this._aboveMs = 0;
+    this._belowMs = 0;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Audio-file playback source — replays recorded agent replies through the
+ * orb with real FFT data instead of the simulated syllable approximation.
+ *
+ * Accepts a File / Blob (drag-and-drop) or a URL string (?audio=).
+ * Anything the browser can decode works: WAV, MP3, OGG, …
+ */
+export class PlaybackSource {
+  constructor({ fftSize = 2048 } = {}) {
+    this.fftSize = fftSize;
+    this.isActive = false;
+
+    /** Display name of the loaded clip. */
+    this.name = '';
+
+    // Callbacks (set by AudioManager)
+    this.onEnded = null;
+
+    // ── Private ──
+    this._ctx = null;
+    this._analyser = null;
+    this._data = null;
+    this._wave = null;
+    this._buffer = null;
+    this._node = null;
+  }
+
+  /** Fetch / read and decode a clip. Does not start playback. */
+  async load(input) {
+    this._ensureContext();
+
+    let bytes;
+    if (typeof input === 'string') {
+      const resp = await fetch(input);
+      if (!resp.ok) throw new Error(`Audio request failed (${resp.status}): ${input}`);
+      bytes = await resp.arrayBuffer();
+      this.name = decodeURIComponent(input.split('/').pop().split('?')[0]) || input;
+    } else {
+      bytes = await input.arrayBuffer();
+      this.name = input.name || 'clip';
+    }
+
+    this._buffer = await this._ctx.decodeAudioData(bytes);
+  }
+
+  /** Play the loaded clip from the start. */
+  play() {
+    if (!this._buffer) return;
+    this.stop();
+
+    if (this._ctx.state === 'suspended') this._ctx.resume().catch(() => {});
+
+    const node = this._ctx.createBufferSource();
+    node.buffer = this._buffer;
+    node.connect(this._analyser);
+    node.onended = () => {
+      if (this._node !== node) return;
+      this._node = null;
+      this.isActive = false;
+      this.onEnded?.();
+    };
+    node.start();
+
+    this._node = node;
+    this.isActive = true;
+  }
+
+  /** Stop playback without firing onEnded. */
+  stop() {
+    const node = this._node;
+    this._node = null;
+    this.isActive = false;
+    if (node) {
+      try { node.stop(); } catch { /* not started */ }
+    }
+  }
+
+  /** Stop and release the audio context. */
+  async dispose() {
+    this.stop();
+    await this._ctx?.close().catch(() => {});
+    this._ctx = null;
+    this._analyser = null;
+    this._buffer = null;
+  }
+
+  get hasClip() {
+    return this._buffer !== null;
+  }
+
+  /** Sample rate of the analysed audio (Hz), or null before start. */
+  get sampleRate() {
+    return this._ctx?.sampleRate ?? null;
+  }
+
+  getByteFrequencyData() {
+    if (!this._analyser) return null;
+    if (this._ctx.state === 'suspended') this._ctx.resume().catch(() => {});
+    this._analyser.getByteFrequencyData(this._data);
+    return this._data;
+  }
+
+  getFloatTimeDomainData() {
+    if (!this._analyser) return null;
+    this._analyser.getFloatTimeDomainData(this._wave);
+    return this._wave;
+  }
+
+  _ensureContext() {
+    if (this._ctx) return;
+    this._ctx = new (window.AudioContext || window.webkitAudioContext)();
+    this._analyser = this._ctx.createAnalyser();
+    this._analyser.fftSize = this.fftSize;
+    this._analyser.smoothingTimeConstant = 0.5;
+    this._data = new Uint8Array(this._analyser.frequencyBinCount);
+    this._wave = new Float32Array(this._analyser.fftSize);
+    this._analyser.connect(this._ctx.destination);
+  }
+}
@@ -1,147 +1,343 @@
 /**
  * State machine for the Stark avatar.
  * Manages state definitions, transitions, and smooth lerping between states.
+ * State definitions come from JSON state packs (src/statepacks/).
  *
  * Visual design: JARVIS-style holographic construct.
  * Color palette and parameters from the Aegis Presence design.
  */
 
-const STATE_CONFIGS = {
-  idle: {
-    color: [100 / 255, 180 / 255, 255 / 255],       // Ice blue
-    coreColor: [40 / 255, 80 / 255, 140 / 255],
-    intensity: 0.6,
-    rotationSpeed: 0.15,
-    ringSpeed: 0.3,
-    particleSpeed: 0.5,
-    displacement: 0,
-    scale: 1.0,
-    containmentPulse: 0,
-    innerGlow: 0.35,
-    bloomStrength: 0.4,
-    label: 'idle',
-  },
-  thinking: {
-    color: [180 / 255, 160 / 255, 80 / 255],         // Warm gold
-    coreColor: [100 / 255, 90 / 255, 30 / 255],
-    intensity: 1.4,
-    rotationSpeed: 0.45,
-    ringSpeed: 1.4,
-    particleSpeed: 1.2,
-    displacement: 0,
-    scale: 0.93,
-    containmentPulse: 0.15,
-    innerGlow: 0.55,
-    bloomStrength: 0.45,
-    label: 'thinking',
-  },
-  speaking: {
-    color: [160 / 255, 200 / 255, 255 / 255],        // Bright white-blue
-    coreColor: [80 / 255, 110 / 255, 160 / 255],
-    intensity: 1.2,
-    rotationSpeed: 0.2,
-    ringSpeed: 0.5,
-    particleSpeed: 0.8,
-    displacement: 0.07,
-    scale: 1.05,
-    containmentPulse: 0.35,
-    innerGlow: 0.4,
-    bloomStrength: 0.35,
-    label: 'speaking',
-  },
-  listening: {
-    color: [50 / 255, 230 / 255, 180 / 255],         // Cyan-green
-    coreColor: [20 / 255, 100 / 255, 80 / 255],
-    intensity: 1.3,
-    rotationSpeed: 0.08,
-    ringSpeed: 0.18,
-    particleSpeed: 0.35,
-    displacement: 0.05,
-    scale: 1.0,
-    containmentPulse: 0.08,
-    innerGlow: 0.65,
-    bloomStrength: 0.5,
-    label: 'listening',
-  },
-  alert: {
-    color: [255 / 255, 60 / 255, 20 / 255],          // Hot orange-red
-    coreColor: [140 / 255, 25 / 255, 5 / 255],
-    intensity: 2.2,
-    rotationSpeed: 0.6,
-    ringSpeed: 1.8,
-    particleSpeed: 2.5,
-    displacement: 0.3,
-    scale: 1.12,
-    containmentPulse: 0.7,
-    innerGlow: 0.9,
-    bloomStrength: 0.75,
-    label: 'alert',
-  },
-};
+import DEFAULT_PACK from './statepacks/default.json' with { type: 'json' };
+import { resolveTransitions, findTransition, springStep } from './transitions.js';
+import { resolveOverlays, applyOverlay, isNumber } from './overlays.js';
+
+/**
+ * State packs — JSON files that define the avatar's moods:
+ *
+ *   { "name": "…", "states": { "<state>": { …definition } }, "transitions": { … }, "overlays": { … } }
+ *
+ * Colors are [r, g, b] in 0–255 or "#rrggbb". A definition may name a
+ * state to `extends` and override only what differs. Besides the lerped
+ * visual values below, each state carries traits that downstream modules
+ * read from the visual state instead of switching on the state name:
+ *
+ *   ringAxes       four [x, y, z] ring orientations (radians)
+ *   chime          transition chime pitch in Hz
+ *   hum            { freq, gain } of the background hum
+ *   bassPulse      sub-bass follows the audio (speaking)
+ *   flash          bloom flash on entry
+ *   wobble         ring jitter
+ *   zoomPulse      camera micro-zoom amplitude
+ *   particleFlow   "inward" streams particles into the core, "outward" pushes
+ *                  them out with the bass, "none" leaves them orbiting
+ *   themeable      false keeps the palette under color themes
+ *   simulateAudio  manual selection plays simulated speech
+ *
+ * Custom packs are merged over the default pack, so the five conversation
+ * states always exist and extra states (error, tool_running, …) are added.
+ * The transition table is described in transitions.js, overlay modifiers
+ * in overlays.js.
+ */
 
-const LERP_KEYS = [
-  'color', 'coreColor',
+const COLOR_KEYS = ['color', 'coreColor'];
+const NUMBER_KEYS = [
   'intensity', 'rotationSpeed', 'ringSpeed', 'particleSpeed',
   'displacement', 'scale', 'containmentPulse', 'innerGlow', 'bloomStrength',
 ];
+const LERP_KEYS = [...COLOR_KEYS, ...NUMBER_KEYS];
+
+// Every lerped scalar as [key, index] — index -1 for plain numbers
+const CHANNELS = [
+  ...COLOR_KEYS.flatMap((key) => [[key, 0], [key, 1], [key, 2]]),
+  ...NUMBER_KEYS.map((key) => [key, -1]),
+];
+
+const TRAIT_DEFAULTS = {
+  ringAxes: [[0, 0, 0], [0.6, 0, 0.3], [1.2, 0.9, 0], [1.8, 0, 1.2]],
+  chime: 440,
+  hum: { freq: 60, gain: 0.005 },
+  bassPulse: false,
+  flash: false,
+  wobble: false,
+  zoomPulse: 0,
+  particleFlow: 'none',
+  themeable: true,
+  simulateAudio: false,
+};
+const TRAIT_KEYS = Object.keys(TRAIT_DEFAULTS);
+
+/** States the conversation flow relies on — every pack must resolve these. */
+export const REQUIRED_STATES = ['idle', 'thinking', 'speaking', 'listening', 'alert'];
+
+/**
+ * Validate a state pack and resolve it into { name, states, transitions, overlays }
+ * with flat state configs. Definitions in `pack` override / extend those in
+ * the resolved `basePack`. Throws with the offending state and field on
+ * invalid input.
+ */
+export function resolveStatePack(pack, basePack = null) {
+  if (!pack || typeof pack !== 'object' || !pack.states || typeof pack.states !== 'object') {
+    throw new Error('State pack must be an object with a "states" map');
+  }
+
+  const base = basePack?.states ?? {};
+  const defs = pack.states;
+  const resolved = { ...base };
+  const done = new Set();
+  const resolving = new Set();
+
+  const resolve = (name) => {
+    if (done.has(name) || !defs[name]) return resolved[name];
+    if (resolving.has(name)) throw new Error(`State "${name}" has an extends cycle`);
+    resolving.add(name);
+
+    const def = defs[name];
+    if (typeof def !== 'object' || Array.isArray(def)) throw new Error(`State "${name}" must be an object`);
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) throw new Error(`State name "${name}" must be lower_snake_case`);
+
+    // Overriding a base state starts from it; `extends` picks another parent
+    let parent = base[name];
+    if (def.extends !== undefined) {
+      parent = def.extends === name ? base[name] : resolve(def.extends);
+      if (!parent) throw new Error(`State "${name}" extends unknown state "${def.extends}"`);
+    }
+
+    resolved[name] = validateState(name, def, parent);
+    resolving.delete(name);
+    done.add(name);
+    return resolved[name];
+  };
+
+  for (const name of Object.keys(defs)) resolve(name);
+
+  for (const name of REQUIRED_STATES) {
+    if (!resolved[name]) throw new Error(`State pack is missing required state "${name}"`);
+  }
+
+  return {
+    name: pack.name ?? basePack?.name ?? 'custom',
+    states: resolved,
+    transitions: resolveTransitions(pack.transitions, basePack?.transitions, LERP_KEYS),
+    overlays: resolveOverlays(pack.overlays, basePack?.overlays, NUMBER_KEYS, parseColor),
+  };
+}
+
+/** Fetch a state pack and merge it over the default pack. */
+export async function loadStatePack(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`State pack request failed (${resp.status}): ${url}`);
+  return resolveStatePack(await resp.json(), DEFAULT_STATE_PACK);
+}
+
+export const DEFAULT_STATE_PACK = resolveStatePack(DEFAULT_PACK);
 
 export class StateManager {
-  constructor() {
+  constructor(pack = DEFAULT_STATE_PACK) {
+    this.states = pack.states;
+    this.transitions = pack.transitions;
     this.currentState = 'idle';
     this.targetState = 'idle';
     this.transitionProgress = 1.0;
-    this.transitionSpeed = 1.5;
-    this.current = this._cloneConfig(STATE_CONFIGS.idle);
+    /** Lerped base state, before overlays. */
+    this.base = this._cloneConfig(this.states.idle);
+    /** Base state with active overlays applied — what the renderer reads. */
+    this.current = this._cloneConfig(this.states.idle);
+    this.overlays = pack.overlays;
     this.flashIntensity = 0.0;
     // Track state changes for scan sweep
     this.justChanged = false;
     this.scanDirection = 1;
+
+    // Callbacks (session recorder)
+    this.onStateChange = null;    // (stateName)
+    this.onOverlayChange = null;  // (name, on)
+
+    // ── Private ──
+    this._transition = null;
+    this._elapsed = 0;
+    this._from = new Float64Array(CHANNELS.length);
+    this._fromVelocity = new Float64Array(CHANNELS.length);
+    this._velocity = new Float64Array(CHANNELS.length);
+    this._spring = [0, 0];
+    this._active = [];          // { name, def, weight, on }, sorted by priority
+    this._time = 0;
+  }
+
+  /** Swap in a resolved state pack. States that no longer exist fall back to idle. */
+  setPack(pack) {
+    this.states = pack.states;
+    this.transitions = pack.transitions;
+    this.overlays = pack.overlays;
+    this._active = this._active.filter((o) => pack.overlays[o.name]);
+    for (const o of this._active) o.def = pack.overlays[o.name];
+    this._sortOverlays();
+    if (!this.states[this.currentState]) this.currentState = 'idle';
+    const target = this.states[this.targetState] ? this.targetState : 'idle';
+    // Re-enter the target so its (possibly changed) definition lerps in
+    this.targetState = null;
+    this.setState(target);
   }
 
   setState(stateName) {
-    if (!STATE_CONFIGS[stateName]) return;
+    const config = this.states[stateName];
+    if (!config) return;
     if (stateName === this.targetState && this.transitionProgress >= 1.0) return;
 
-    this.currentState = this.targetState;
+    this.currentState = this.targetState ?? stateName;
     this.targetState = stateName;
     this.transitionProgress = 0.0;
-    this._fromSnapshot = this._cloneConfig(this.current);
     this.justChanged = true;
     this.scanDirection *= -1;
 
-    if (stateName === 'alert') this.flashIntensity = 1.0;
+    // Start from wherever the orb is now, moving as fast as it is now —
+    // interrupting a transition keeps velocity continuous
+    this._transition = findTransition(this.transitions, this.currentState, stateName);
+    this._elapsed = 0;
+    for (let c = 0; c < CHANNELS.length; c++) {
+      this._from[c] = readChannel(this.base, CHANNELS[c]);
+      this._fromVelocity[c] = this._velocity[c];
+    }
+
+    if (config.flash) this.flashIntensity = 1.0;
+    this.onStateChange?.(stateName);
+  }
+
+  /**
+   * Jump straight to a state at rest with exactly `overlays` fully on —
+   * no transition, no fades (used to start a replay from a known point).
+   */
+  snapTo(stateName, overlays = []) {
+    const config = this.states[stateName] ?? this.states.idle;
+    this.currentState = this.targetState = config.label;
+    this.transitionProgress = 1.0;
+    this.flashIntensity = 0.0;
+    this._settle(config);
+    this._copyTraits(config);
+
+    this._active = overlays
+      .filter((name) => this.overlays[name])
+      .map((name) => ({ name, def: this.overlays[name], weight: 1, on: true }));
+    this._sortOverlays();
+    this._composeOverlays(0);
   }
 
   update(dt) {
     if (this.transitionProgress < 1.0) {
-      this.transitionProgress = Math.min(1.0, this.transitionProgress + dt * this.transitionSpeed);
-      const t = this._easeInOutCubic(this.transitionProgress);
-      const from = this._fromSnapshot || STATE_CONFIGS[this.currentState];
-      const to = STATE_CONFIGS[this.targetState];
-
-      for (const key of LERP_KEYS) {
-        if (Array.isArray(to[key])) {
-          for (let i = 0; i < to[key].length; i++) {
-            this.current[key][i] = from[key][i] + (to[key][i] - from[key][i]) * t;
-          }
+      const tr = this._transition;
+      const to = this.states[this.targetState];
+      this._elapsed += dt;
+
+      for (let c = 0; c < CHANNELS.length; c++) {
+        const channel = CHANNELS[c];
+        const delay = tr.delays[channel[0]] || 0;
+        const target = readChannel(to, channel);
+        const prev = readChannel(this.base, channel);
+        let x;
+
+        if (tr.easing === 'spring') {
+          // Held at the start point (coasting to rest) until its delay passes
+          const goal = this._elapsed < delay ? this._from[c] : target;
+          springStep(prev, this._velocity[c], goal, tr.omega, dt, this._spring);
+          x = this._spring[0];
+          this._velocity[c] = this._spring[1];
         } else {
-          this.current[key] = from[key] + (to[key] - from[key]) * t;
+          // Eased path plus a Hermite term that starts at the old velocity
+          // and fades to zero by the end of the channel's window
+          const span = delay + tr.duration;
+          const s = clamp01((this._elapsed - delay) / tr.duration);
+          const u = clamp01(this._elapsed / span);
+          const x0 = this._from[c];
+          x = x0 + (target - x0) * tr.ease(s) + this._fromVelocity[c] * span * u * (1 - u) * (1 - u);
+          this._velocity[c] = dt > 0 ? (x - prev) / dt : 0;
         }
+        writeChannel(this.base, channel, x);
       }
-      this.current.label = to.label;
+
+      this.transitionProgress = Math.min(1.0, this._elapsed / (tr.duration + tr.maxDelay));
+      if (this.transitionProgress >= 1.0) this._settle(to);
+      this._copyTraits(to);
     }
 
     if (this.flashIntensity > 0) {
       this.flashIntensity = Math.max(0, this.flashIntensity - dt * 3.0);
     }
+
+    this._time += dt;
+    this._composeOverlays(dt);
+  }
+
+  // ─── Overlays ────────────────────────────────────────────
+
+  /**
+   * Turn an overlay on or off, independently of setState. Overlays fade
+   * over their `fade` time; unknown names are ignored.
+   */
+  setOverlay(name, on = true) {
+    const def = this.overlays[name];
+    if (!def) return;
+    const entry = this._active.find((o) => o.name === name);
+    if ((entry?.on ?? false) === on) return;
+    if (entry) {
+      entry.on = on;
+    } else {
+      this._active.push({ name, def, weight: def.fade > 0 ? 0 : 1, on: true });
+      this._sortOverlays();
+    }
+    this.onOverlayChange?.(name, on);
+  }
+
+  clearOverlay(name) {
+    this.setOverlay(name, false);
+  }
+
+  hasOverlay(name) {
+    return this._active.some((o) => o.name === name && o.on);
+  }
+
+  /** Names of the overlays that are on, lowest priority first. */
+  getActiveOverlays() {
+    return this._active.filter((o) => o.on).map((o) => o.name);
+  }
+
+  getOverlayNames() {
+    return Object.keys(this.overlays);
   }
 
   getStateNames() {
-    return Object.keys(STATE_CONFIGS);
+    return Object.keys(this.states);
   }
 
-  _easeInOutCubic(t) {
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  /** Resolved definition of a state, or undefined. */
+  getState(stateName) {
+    return this.states[stateName];
+  }
+
+  /** current = base, then each overlay in priority order. */
+  _composeOverlays(dt) {
+    for (const channel of CHANNELS) writeChannel(this.current, channel, readChannel(this.base, channel));
+    this._copyTraits(this.base, this.current);
+
+    for (const o of this._active) {
+      const step = o.def.fade > 0 ? dt / o.def.fade : 1;
+      o.weight = o.on ? Math.min(1, o.weight + step) : Math.max(0, o.weight - step);
+      applyOverlay(this.current, o.def, o.weight, this._time);
+    }
+    // Faded-out overlays leave the stack
+    if (this._active.some((o) => !o.on && o.weight === 0)) {
+      this._active = this._active.filter((o) => o.on || o.weight > 0);
+    }
+  }
+
+  _sortOverlays() {
+    this._active.sort((a, b) => a.def.priority - b.def.priority);
+  }
+
+  /** Land exactly on the target and come to rest. */
+  _settle(to) {
+    for (let c = 0; c < CHANNELS.length; c++) {
+      writeChannel(this.base, CHANNELS[c], readChannel(to, CHANNELS[c]));
+      this._velocity[c] = 0;
+    }
   }
 
   _cloneConfig(config) {
@@ -149,7 +345,85 @@ export class StateManager {
     for (const key of LERP_KEYS) {
       clone[key] = Array.isArray(config[key]) ? [...config[key]] : config[key];
     }
-    clone.label = config.label;
+    this._copyTraits(config, clone);
     return clone;
   }
+
+  /** Non-lerped traits switch to the target state at once. */
+  _copyTraits(config, out = this.base) {
+    out.label = config.label;
+    for (const key of TRAIT_KEYS) out[key] = config[key];
+  }
+}
+
+function readChannel(config, [key, index]) {
+  return index < 0 ? config[key] : config[key][index];
+}
+
+function writeChannel(config, [key, index], value) {
+  if (index < 0) config[key] = value;
+  else config[key][index] = value;
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+// ─── Validation ──────────────────────────────────────────────
+
+/** Merge a raw definition over its parent config and check every field. */
+function validateState(name, def, parent = {}) {
+  const field = (key) => `State "${name}".${key}`;
+  for (const key of Object.keys(def)) {
+    if (key !== 'extends' && !LERP_KEYS.includes(key) && !TRAIT_KEYS.includes(key)) {
+      throw new Error(`${field(key)} is not a known field`);
+    }
+  }
+
+  const out = { label: name };
+  for (const key of COLOR_KEYS) {
+    out[key] = key in def ? parseColor(def[key], field(key)) : parent[key];
+    if (!out[key]) throw new Error(`${field(key)} is required`);
+  }
+  for (const key of NUMBER_KEYS) {
+    const v = key in def ? def[key] : parent[key];
+    if (!isNumber(v)) throw new Error(`${field(key)} must be a number`);
+    out[key] = v;
+  }
+  for (const key of TRAIT_KEYS) {
+    const v = key in def ? def[key] : (parent[key] ?? TRAIT_DEFAULTS[key]);
+    if (!checkTrait(key, v)) throw new Error(`${field(key)} is invalid`);
+    out[key] = v;
+  }
+  return out;
+}
+
+/** [r, g, b] in 0–255 or "#rrggbb" → [r, g, b] in 0–1. */
+function parseColor(value, field) {
+  if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+    const n = parseInt(value.slice(1), 16);
+    return [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+  }
+  if (Array.isArray(value) && value.length === 3 && value.every((v) => isNumber(v) && v >= 0 && v <= 255)) {
+    return value.map((v) => v / 255);
+  }
+  throw new Error(`${field} must be [r, g, b] (0–255) or "#rrggbb"`);
+}
+
+function checkTrait(key, v) {
+  switch (key) {
+    case 'ringAxes':
+      return Array.isArray(v) && v.length === 4
+        && v.every((axes) => Array.isArray(axes) && axes.length === 3 && axes.every(isNumber));
+    case 'chime':
+      return isNumber(v) && v > 0;
+    case 'hum':
+      return v && isNumber(v.freq) && v.freq > 0 && isNumber(v.gain) && v.gain >= 0 && v.gain <= 0.1;
+    case 'zoomPulse':
+      return isNumber(v);
+    case 'particleFlow':
+      return ['none', 'inward', 'outward'].includes(v);
+    default:
+      return typeof v === 'boolean';
+  }
 }
@@ -0,0 +1,65 @@
+/**
+ * Visual styles — interchangeable centerpieces for the orb. Every style
+ * builds its own objects and animates them from the per-frame visual state:
+ *
+ *   const style = createStyle('organic', options);
+ *   scene.add(style.group);
+ *   style.update(sv, audioBands, time, dt);   // every frame
+ *   style.dispose();                          // detach + free GPU resources
+ *
+ *   holographic   faceted JARVIS construct (src/orb.js)
+ *   organic       soft noise-displaced shader orb (src/organic.js)
+ *
+ * `hud` says whether the rings and containment field belong with the
+ * style; the scene hides them when it doesn't. The `lod` option drops
+ * that many levels of surface detail (src/quality.js).
+ */
+
+import { CORE_SHRINK, CORE_DETAIL, createCore, updateCore } from './orb.js';
+import { ORB_DETAIL, createOrganicOrb, updateOrganicOrb } from './organic.js';
+import { disposeObject } from './dispose.js';
+
+export const VISUAL_STYLES = {
+  holographic: {
+    label: 'Holographic',
+    hud: true,
+    create: ({ shrink = CORE_SHRINK, detail = CORE_DETAIL, lod = 0 } = {}) => {
+      const core = createCore({ shrink, detail: Math.max(0, detail - lod) });
+      return {
+        group: core.group,
+        parts: core,
+        update: (sv, audioBands, time) => updateCore(core, sv, time, audioBands),
+      };
+    },
+  },
+  organic: {
+    label: 'Organic',
+    hud: false,
+    create: ({ lod = 0 } = {}) => {
+      // Each level halves the subdivision: 64 → 32 → 16
+      const orb = createOrganicOrb({ detail: Math.max(16, ORB_DETAIL >> lod) });
+      return {
+        group: orb.group,
+        parts: orb,
+        update: (sv, audioBands, time, dt) => updateOrganicOrb(orb, sv, time, dt, audioBands),
+      };
+    },
+  },
+};
+
+export const DEFAULT_STYLE = 'holographic';
+
+/** Build a style by name. Throws on unknown names. */
+export function createStyle(name, options = {}) {
+  const def = VISUAL_STYLES[name];
+  if (!def) {
+    throw new Error(`Unknown visual style "${name}" (expected one of: ${Object.keys(VISUAL_STYLES).join(', ')})`);
+  }
+  const style = def.create(options);
+  return {
+    name,
+    hud: def.hud,
+    ...style,
+    dispose: () => disposeObject(style.group),
+  };
+}
@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+
+/**
+ * Color themes — a global transform on top of every state's palette.
+ *
+ * Themes rotate hue and scale saturation so each state keeps its relative
+ * character. States marked `themeable: false` (alert) skip the hue
+ * rotation so urgency stays red.
+ */
+
+export const THEMES = {
+  stark:   { hueShift: 0,    saturation: 1.0 },   // Ice blue (default)
+  ember:   { hueShift: 0.45, saturation: 1.1 },   // Warm amber
+  verdant: { hueShift: 0.8,  saturation: 0.9 },   // Green
+  violet:  { hueShift: 0.17, saturation: 0.9 },   // Purple
+  mono:    { hueShift: 0,    saturation: 0.08 },  // Near-monochrome white
+};
+
+export const DEFAULT_THEME = 'stark';
+
+const _color = new THREE.Color();
+const _hsl = { h: 0, s: 0, l: 0 };
+
+/**
+ * Apply a theme to the per-frame visual state. Mutates sv.color in place,
+ * so pass the per-frame copy (see applyProsody), never StateManager.current.
+ */
+export function applyTheme(sv, themeName) {
+  const theme = Object.hasOwn(THEMES, themeName) ? THEMES[themeName] : null;
+  if (!theme || themeName === DEFAULT_THEME) return sv;
+
+  const hueShift = sv.themeable ? theme.hueShift : 0;
+  transformColor(sv.color, hueShift, theme.saturation);
+  return sv;
+}
+
+function transformColor(rgb, hueShift, saturation) {
+  _color.setRGB(rgb[0], rgb[1], rgb[2]);
+  _color.getHSL(_hsl);
+  const h = _hsl.h + hueShift;
+  _color.setHSL(h - Math.floor(h), Math.min(1, _hsl.s * saturation), _hsl.l);
+  rgb[0] = _color.r;
+  rgb[1] = _color.g;
+  rgb[2] = _color.b;
+}
@@ -0,0 +1,99 @@
+/**
+ * Client tools the agent can call to drive the avatar directly.
+ *
+ * Registered with the voice backend (ElevenLabs `clientTools`, or the
+ * WebSocket backend's tool_call frames). Each tool validates its
+ * parameters, throws on bad input (reported back to the agent as an
+ * error) and returns a short confirmation string.
+ *
+ * Tools must also be declared on the agent (ElevenLabs dashboard →
+ * Tools → Client tool) with matching names and parameters:
+ *
+ *   set_state   { state, duration_seconds? }   switch the orb's state
+ *   set_theme   { theme }                      switch the color theme
+ *   show_card   { title, body?, duration_seconds? }
+ *                                              show a text card on the HUD
+ *   flash_alert { message?, duration_seconds? }
+ *                                              flash + hold the alert state
+ *   set_zoom    { zoom }                       camera distance (2.5 close – 12 far)
+ *   show_shape  { icon? | text?, hold_seconds?, release_seconds? }
+ *                                              particles draw an icon or a short word
+ */
+
+import { THEMES } from './themes.js';
+import { SHAPE_ICONS, MAX_SHAPE_TEXT } from './morph.js';
+
+/**
+ * @param {object} host  avatar hooks provided by main.js
+ * @param {() => string[]} host.getStateNames
+ * @param {(state: string, holdSeconds?: number) => void} host.setState
+ * @param {(theme: string) => void} host.setTheme
+ * @param {(title: string, body: string, seconds: number) => void} host.showCard
+ * @param {(message: string, seconds: number) => void} host.flashAlert
+ * @param {(zoom: number) => number} host.setZoom  returns the clamped zoom
+ * @param {(shape: object, timing: object) => void} host.showShape
+ */
+export function createClientTools(host) {
+  return {
+    set_state: ({ state, duration_seconds } = {}) => {
+      const names = host.getStateNames();
+      if (!names.includes(state)) {
+        throw new Error(`Unknown state "${state}". Valid states: ${names.join(', ')}`);
+      }
+      const hold = optionalSeconds(duration_seconds, 'duration_seconds');
+      host.setState(state, hold);
+      return hold ? `State set to ${state} for ${hold}s` : `State set to ${state}`;
+    },
+
+    set_theme: ({ theme } = {}) => {
+      if (!Object.hasOwn(THEMES, theme)) {
+        throw new Error(`Unknown theme "${theme}". Valid themes: ${Object.keys(THEMES).join(', ')}`);
+      }
+      host.setTheme(theme);
+      return `Theme set to ${theme}`;
+    },
+
+    show_card: ({ title, body = '', duration_seconds } = {}) => {
+      if (typeof title !== 'string' || !title.trim()) throw new Error('show_card requires a title');
+      const seconds = optionalSeconds(duration_seconds, 'duration_seconds') ?? 8;
+      host.showCard(title.trim(), String(body), seconds);
+      return 'Card shown';
+    },
+
+    flash_alert: ({ message = '', duration_seconds } = {}) => {
+      const seconds = optionalSeconds(duration_seconds, 'duration_seconds') ?? 3;
+      host.flashAlert(String(message), seconds);
+      return 'Alert flashed';
+    },
+
+    set_zoom: ({ zoom } = {}) => {
+      const value = Number(zoom);
+      if (!Number.isFinite(value)) throw new Error('set_zoom requires a numeric zoom');
+      return `Zoom set to ${host.setZoom(value)}`;
+    },
+
+    show_shape: ({ icon, text, hold_seconds, release_seconds } = {}) => {
+      if ((icon === undefined) === (text === undefined)) throw new Error('show_shape requires either an icon or text');
+      if (icon !== undefined && !Object.hasOwn(SHAPE_ICONS, icon)) {
+        throw new Error(`Unknown icon "${icon}". Valid icons: ${Object.keys(SHAPE_ICONS).join(', ')}`);
+      }
+      if (text !== undefined && (typeof text !== 'string' || !text.trim() || text.trim().length > MAX_SHAPE_TEXT)) {
+        throw new Error(`text must be 1–${MAX_SHAPE_TEXT} characters`);
+      }
+      const timing = {};
+      const hold = optionalSeconds(hold_seconds, 'hold_seconds');
+      const release = optionalSeconds(release_seconds, 'release_seconds');
+      if (hold) timing.hold = hold;
+      if (release) timing.release = release;
+      host.showShape(icon !== undefined ? { icon } : { text: text.trim() }, timing);
+      return `Showing ${icon ?? `"${text.trim()}"`}`;
+    },
+  };
+}
+
+function optionalSeconds(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`${name} must be a positive number`);
+  return Math.min(n, 120);
+}
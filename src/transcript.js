@@ -0,0 +1,194 @@
+/**
+ * Conversation transcript — every line from audioManager.onMessage for the
+ * current session, with speaker and time, so what the agent said is still
+ * there after the caption fades. Exports to Markdown and JSON.
+ *
+ *   {
+ *     "version": 1,
+ *     "startedAt": "2026-…",
+ *     "entries": [{ "role": "user", "text": "…", "time": "2026-…", "offset": 12.4 }, …]
+ *   }
+ *
+ * `offset` is seconds since the session started. Agent replies the user
+ * barged in on keep only what was said and carry "interrupted": true.
+ */
+
+import { downloadFile } from './download.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+const SPEAKERS = { user: 'You', agent: 'STARK' };
+
+export class Transcript {
+  constructor({ now = () => Date.now() } = {}) {
+    /** @type {{ role: 'user' | 'agent', text: string, time: number, interrupted?: boolean }[]} */
+    this.entries = [];
+    this.startedAt = null;  // epoch ms
+
+    // Callbacks
+    this.onChange = null;   // (entry | null) — an added entry, or null when existing ones changed
+
+    // ── Private ──
+    this._now = now;
+  }
+
+  /** Begin a new session, dropping the previous one. */
+  start() {
+    this.entries = [];
+    this.startedAt = this._now();
+    this.onChange?.(null);
+  }
+
+  add(role, text) {
+    if (this.startedAt === null) this.startedAt = this._now();
+    const entry = { role: role === 'user' ? 'user' : 'agent', text, time: this._now() };
+    this.entries.push(entry);
+    this.onChange?.(entry);
+    return entry;
+  }
+
+  /** The user cut this reply off — keep only the part that was spoken. */
+  markInterrupted(entry, said) {
+    entry.text = said.trim();
+    entry.interrupted = true;
+    this.onChange?.(null);
+  }
+
+  /** Seconds from the session start to an entry. */
+  offset(entry) {
+    return (entry.time - this.startedAt) / 1000;
+  }
+
+  toJSON() {
+    return {
+      version: TRANSCRIPT_VERSION,
+      startedAt: this.startedAt === null ? null : new Date(this.startedAt).toISOString(),
+      entries: this.entries.map((entry) => ({
+        role: entry.role,
+        text: entry.text,
+        time: new Date(entry.time).toISOString(),
+        offset: Math.round(this.offset(entry) * 10) / 10,
+        ...(entry.interrupted && { interrupted: true }),
+      })),
+    };
+  }
+
+  toMarkdown() {
+    const started = this.startedAt === null ? '' : ` — ${new Date(this.startedAt).toISOString()}`;
+    const lines = [`# STARK transcript${started}`, ''];
+    for (const entry of this.entries) {
+      const text = entry.interrupted ? `${entry.text} — *interrupted*` : entry.text;
+      lines.push(`**${SPEAKERS[entry.role]}** \`${formatOffset(this.offset(entry))}\``, '', text, '');
+    }
+    return lines.join('\n');
+  }
+
+  /** Save as a .md or .json download (browser only). */
+  download(format = 'md') {
+    const stamp = new Date(this.startedAt ?? this._now()).toISOString().replace(/[:.]/g, '-');
+    if (format === 'json') {
+      downloadFile(`${JSON.stringify(this, null, 2)}\n`, `stark-transcript-${stamp}.json`);
+    } else {
+      downloadFile(this.toMarkdown(), `stark-transcript-${stamp}.md`, 'text/markdown');
+    }
+  }
+}
+
+/** "m:ss" (or "h:mm:ss") from seconds. */
+export function formatOffset(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * Scrollable side panel over a Transcript. Follows new lines while
+ * scrolled to the bottom; leaves the scroll alone while reading back.
+ */
+export class TranscriptPanel {
+  constructor(transcript, { parent = document.body } = {}) {
+    this.transcript = transcript;
+    this.visible = false;
+
+    // ── Private ──
+    this._list = null;
+    this._empty = null;
+    this.element = this._build();
+    parent.appendChild(this.element);
+
+    transcript.onChange = (entry) => {
+      if (entry) this._append(entry);
+      else this._render();
+    };
+    this._render();
+  }
+
+  toggle(visible = !this.visible) {
+    this.visible = visible;
+    this.element.classList.toggle('visible', visible);
+    if (visible) this._list.scrollTop = this._list.scrollHeight;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _build() {
+    const root = document.createElement('div');
+    root.id = 'transcript';
+
+    const header = document.createElement('header');
+    const title = document.createElement('span');
+    title.textContent = 'Transcript';
+    header.append(
+      title,
+      button('md', () => this.transcript.download('md')),
+      button('json', () => this.transcript.download('json')),
+      button('×', () => this.toggle(false)),
+    );
+
+    this._list = document.createElement('ol');
+    this._empty = document.createElement('p');
+    this._empty.className = 'transcript-empty';
+    this._empty.textContent = 'Nothing said yet.';
+
+    root.append(header, this._empty, this._list);
+    root.addEventListener('keydown', (e) => e.stopPropagation());
+    return root;
+  }
+
+  _render() {
+    this._list.replaceChildren();
+    for (const entry of this.transcript.entries) this._append(entry);
+    this._empty.hidden = this.transcript.entries.length > 0;
+  }
+
+  _append(entry) {
+    const list = this._list;
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+
+    const item = document.createElement('li');
+    item.className = entry.interrupted ? `${entry.role} interrupted` : entry.role;
+    const meta = document.createElement('div');
+    meta.className = 'transcript-meta';
+    meta.textContent = `${entry.role === 'user' ? 'YOU' : 'STARK'} · ${formatOffset(this.transcript.offset(entry))}`;
+    meta.title = new Date(entry.time).toLocaleTimeString();
+    const text = document.createElement('div');
+    text.textContent = entry.text;
+    item.append(meta, text);
+    list.appendChild(item);
+
+    this._empty.hidden = true;
+    if (atBottom) list.scrollTop = list.scrollHeight;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function button(text, onClick) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.textContent = text;
+  el.addEventListener('click', onClick);
+  return el;
+}
@@ -0,0 +1,105 @@
+/**
+ * State transition table — how each from→to change moves.
+ *
+ * A state pack's "transitions" map is keyed "from->to", with "*" as a
+ * wildcard on either side and "default" as the fallback:
+ *
+ *   "*->alert":            { "duration": 0.25, "easing": "easeOutCubic" }
+ *   "speaking->listening": { "duration": 0.9,  "easing": "spring" }
+ *   "alert->*":            { "duration": 1.2,  "delays": { "color": 0.3 } }
+ *
+ *   duration  seconds (for springs: time to settle)
+ *   easing    a name from EASINGS, or "spring" (critically damped)
+ *   delays    per-property start delay in seconds
+ *
+ * Lookup order: exact pair, "*->to", "from->*", "default".
+ */
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+export const DEFAULT_TRANSITION = { duration: 0.67, easing: 'easeInOutCubic', delays: {} };
+
+// Critically damped spring: (1 + ωt)·e^(−ωt) falls below 0.3% at ωt = 8
+const SPRING_SETTLE = 8;
+
+/**
+ * Validate a pack's transition map and merge it over `base`.
+ * `propertyNames` lists the keys allowed in `delays`.
+ */
+export function resolveTransitions(defs = {}, base = {}, propertyNames = []) {
+  if (typeof defs !== 'object' || Array.isArray(defs)) {
+    throw new Error('State pack "transitions" must be an object');
+  }
+
+  const resolved = { ...base };
+  for (const [key, def] of Object.entries(defs)) {
+    if (key !== 'default' && !/^[a-z0-9_*]+->[a-z0-9_*]+$/.test(key)) {
+      throw new Error(`Transition "${key}" must be "from->to" or "default"`);
+    }
+    resolved[key] = validateTransition(key, def, propertyNames);
+  }
+  if (!resolved.default) resolved.default = compileTransition(DEFAULT_TRANSITION);
+  return resolved;
+}
+
+/** The transition spec for a from→to change. */
+export function findTransition(table, from, to) {
+  return table[`${from}->${to}`]
+    || table[`*->${to}`]
+    || table[`${from}->*`]
+    || table.default;
+}
+
+/**
+ * Advance a critically damped spring by dt. Writes the new position and
+ * velocity into `out` ([x, v]) — exact for any dt, so frame drops don't
+ * destabilize it.
+ */
+export function springStep(x, v, target, omega, dt, out) {
+  const d = x - target;
+  const k = v + omega * d;
+  const decay = Math.exp(-omega * dt);
+  out[0] = target + (d + k * dt) * decay;
+  out[1] = (v - omega * k * dt) * decay;
+  return out;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function validateTransition(key, def, propertyNames) {
+  const field = (name) => `Transition "${key}".${name}`;
+  if (!def || typeof def !== 'object') throw new Error(`Transition "${key}" must be an object`);
+
+  const { duration = DEFAULT_TRANSITION.duration, easing = DEFAULT_TRANSITION.easing, delays = {} } = def;
+  if (typeof duration !== 'number' || !(duration > 0) || duration > 30) {
+    throw new Error(`${field('duration')} must be between 0 and 30 seconds`);
+  }
+  if (easing !== 'spring' && !EASINGS[easing]) {
+    throw new Error(`${field('easing')} must be "spring" or one of ${Object.keys(EASINGS).join(', ')}`);
+  }
+  if (typeof delays !== 'object' || Array.isArray(delays)) throw new Error(`${field('delays')} must be an object`);
+  for (const [name, delay] of Object.entries(delays)) {
+    if (!propertyNames.includes(name)) throw new Error(`${field('delays')}.${name} is not a lerped property`);
+    if (typeof delay !== 'number' || !(delay >= 0) || delay > 30) {
+      throw new Error(`${field('delays')}.${name} must be between 0 and 30 seconds`);
+    }
+  }
+  return compileTransition({ duration, easing, delays });
+}
+
+/** Precompute what the per-frame update needs. */
+function compileTransition({ duration, easing, delays }) {
+  return {
+    duration,
+    easing,
+    delays: { ...delays },
+    ease: EASINGS[easing] || null,
+    omega: SPRING_SETTLE / duration,
+    maxDelay: Math.max(0, ...Object.values(delays)),
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Runtime tuning — the visual constants designers iterate on, exposed as
+ * named parameters that a panel edits live and a URL fragment / JSON
+ * preset carries between sessions.
+ *
+ *   #bloom.radius=0.5&particles.count=1500     URL fragment (non-defaults only)
+ *   { "bloom.radius": 0.5, … }                 JSON preset (?preset=<url>)
+ *
+ * Parameters marked `rebuild` need their objects recreated; main.js does
+ * that when they change. The rest apply on the next frame.
+ */
+
+import { RING_CONFIGS, CORE_SHRINK, CORE_DETAIL } from './orb.js';
+import { PARTICLE_COUNT, LEAD_COUNT } from './particles.js';
+import { downloadFile } from './download.js';
+
+export const TUNING_PARAMS = [
+  { key: 'bloom.strength', label: 'strength ×', group: 'Bloom', min: 0, max: 3, step: 0.05, value: 1 },
+  { key: 'bloom.radius', label: 'radius', group: 'Bloom', min: 0, max: 1, step: 0.01, value: 0.35 },
+  { key: 'bloom.threshold', label: 'threshold', group: 'Bloom', min: 0, max: 1, step: 0.01, value: 0.3 },
+
+  { key: 'core.shrink', label: 'panel gap', group: 'Core', min: 0, max: 0.6, step: 0.01, value: CORE_SHRINK, rebuild: 'core' },
+  { key: 'core.detail', label: 'subdivision', group: 'Core', min: 0, max: 6, step: 1, value: CORE_DETAIL, rebuild: 'core' },
+
+  ...RING_CONFIGS.flatMap((ring, i) => [
+    { key: `rings.${i}.radius`, label: `${i + 1} radius`, group: 'Rings', min: 0.8, max: 3, step: 0.01, value: ring.radius, rebuild: 'rings' },
+    { key: `rings.${i}.tube`, label: `${i + 1} thickness`, group: 'Rings', min: 0.001, max: 0.05, step: 0.001, value: ring.tube, rebuild: 'rings' },
+    { key: `rings.${i}.speed`, label: `${i + 1} speed`, group: 'Rings', min: -3, max: 3, step: 0.05, value: ring.speedMult, rebuild: 'rings' },
+  ]),
+
+  { key: 'particles.count', label: 'count', group: 'Particles', min: 0, max: 60000, step: 50, value: PARTICLE_COUNT, rebuild: 'particles' },
+  { key: 'particles.size', label: 'size', group: 'Particles', min: 0.002, max: 0.08, step: 0.001, value: 0.016, rebuild: 'particles' },
+  { key: 'particles.leadCount', label: 'lead count', group: 'Particles', min: 0, max: 2000, step: 5, value: LEAD_COUNT, rebuild: 'leadParticles' },
+  { key: 'particles.leadSize', label: 'lead size', group: 'Particles', min: 0.005, max: 0.2, step: 0.001, value: 0.045, rebuild: 'leadParticles' },
+
+  { key: 'camera.zoom', label: 'start zoom', group: 'Camera', min: 1, max: 20, step: 0.1, value: 5 },
+  { key: 'camera.zoomMin', label: 'zoom min', group: 'Camera', min: 1, max: 20, step: 0.1, value: 2.5 },
+  { key: 'camera.zoomMax', label: 'zoom max', group: 'Camera', min: 1, max: 30, step: 0.1, value: 12 },
+];
+
+const PARAMS_BY_KEY = Object.fromEntries(TUNING_PARAMS.map((p) => [p.key, p]));
+
+export const DEFAULT_TUNING = Object.freeze(Object.fromEntries(TUNING_PARAMS.map((p) => [p.key, p.value])));
+
+/**
+ * Read tuning values from a URL fragment ("#a=1&b=2") or a preset object.
+ * Unknown keys and non-numbers are dropped; values are clamped to range.
+ */
+export function parseTuning(source) {
+  const entries = typeof source === 'string'
+    ? [...new URLSearchParams(source.replace(/^#/, ''))]
+    : Object.entries(source ?? {});
+
+  const values = {};
+  for (const [key, raw] of entries) {
+    const param = PARAMS_BY_KEY[key];
+    const n = Number(raw);
+    if (!param || raw === '' || !Number.isFinite(n)) continue;
+    values[key] = Math.min(param.max, Math.max(param.min, n));
+  }
+  return values;
+}
+
+/** Encode the values that differ from the defaults as a URL fragment (without "#"). */
+export function serializeTuning(values) {
+  const params = new URLSearchParams();
+  for (const p of TUNING_PARAMS) {
+    if (values[p.key] !== p.value) params.set(p.key, String(values[p.key]));
+  }
+  return params.toString();
+}
+
+/** Non-default values as a JSON preset object. */
+export function tuningPreset(values) {
+  return Object.fromEntries(TUNING_PARAMS.filter((p) => values[p.key] !== p.value).map((p) => [p.key, values[p.key]]));
+}
+
+/** RING_CONFIGS with the tuned radius / thickness / speed applied. */
+export function tunedRingConfigs(values) {
+  return RING_CONFIGS.map((ring, i) => ({
+    radius: values[`rings.${i}.radius`],
+    tube: values[`rings.${i}.tube`],
+    speedMult: values[`rings.${i}.speed`],
+  }));
+}
+
+/**
+ * Slider panel over the tuning values. Edits `values` in place and calls
+ * onChange(key, value) for each edit — live while dragging, except for
+ * `rebuild` parameters, which apply once the slider is released.
+ */
+export class TuningPanel {
+  constructor(values, { parent = document.body } = {}) {
+    this.values = values;
+    this.visible = false;
+
+    // Callbacks
+    this.onChange = null;   // (key, value)
+    this.onReset = null;    // ()
+
+    // ── Private ──
+    this._inputs = {};
+    this.element = this._build();
+    parent.appendChild(this.element);
+  }
+
+  toggle(visible = !this.visible) {
+    this.visible = visible;
+    this.element.classList.toggle('visible', visible);
+  }
+
+  /** Re-read every slider from `values` (after a reset or preset load). */
+  refresh() {
+    for (const [key, { input, output }] of Object.entries(this._inputs)) {
+      input.value = this.values[key];
+      output.textContent = formatValue(this.values[key]);
+    }
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _build() {
+    const root = document.createElement('div');
+    root.id = 'tuning';
+
+    let groupEl = null;
+    for (const p of TUNING_PARAMS) {
+      if (groupEl?.dataset.group !== p.group) {
+        groupEl = document.createElement('fieldset');
+        groupEl.dataset.group = p.group;
+        const legend = document.createElement('legend');
+        legend.textContent = p.group;
+        groupEl.appendChild(legend);
+        root.appendChild(groupEl);
+      }
+
+      const row = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = p.label;
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'range', min: p.min, max: p.max, step: p.step, value: this.values[p.key] });
+      const output = document.createElement('output');
+      output.textContent = formatValue(this.values[p.key]);
+
+      const apply = () => {
+        const value = Number(input.value);
+        this.values[p.key] = value;
+        this.onChange?.(p.key, value);
+      };
+      input.addEventListener('input', () => {
+        output.textContent = formatValue(Number(input.value));
+        if (!p.rebuild) apply();
+      });
+      // Rebuilds recreate their objects (up to 60000 particles) — not on every drag step
+      if (p.rebuild) input.addEventListener('change', apply);
+
+      row.append(name, input, output);
+      groupEl.appendChild(row);
+      this._inputs[p.key] = { input, output };
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'tuning-actions';
+    actions.append(
+      button('copy link', () => navigator.clipboard?.writeText(window.location.href).catch(() => {})),
+      button('export json', () => downloadFile(`${JSON.stringify(tuningPreset(this.values), null, 2)}\n`, 'stark-preset.json')),
+      button('reset', () => this.onReset?.()),
+    );
+    root.appendChild(actions);
+
+    // Keep slider drags and typing from reaching the global shortcuts
+    root.addEventListener('keydown', (e) => e.stopPropagation());
+    return root;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function button(text, onClick) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.textContent = text;
+  el.addEventListener('click', onClick);
+  return el;
+}
+
+function formatValue(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(3).replace(/0+$/, '');
+}
@@ -0,0 +1,159 @@
+/**
+ * Conversation turn-taking heuristics.
+ *
+ * Backends report a raw speaking / listening mode. Shown directly, that
+ * flickers to listening on every pause inside an agent reply and never
+ * shows the gap while the agent prepares an answer. The tracker turns the
+ * raw mode plus the input level into a steadier turn:
+ *
+ *   speaking   committed immediately — no lag on voice start
+ *   listening  speaking → listening is debounced to absorb brief pauses
+ *   thinking   the user spoke during the listening turn, then went quiet
+ *
+ * Time comes from an injected clock and the debounce is polled from
+ * update(), so a scripted sequence replays deterministically.
+ */
+
+const DEFAULT_OPTIONS = {
+  debounceMs: 400,       // speaking → listening must hold this long
+  speechLevel: 0.08,     // input level that counts as the user talking
+  thinkingGapMs: 1500,   // silence after user speech that starts thinking
+};
+
+export class ConversationTurnTracker {
+  constructor({ now = () => performance.now(), ...options } = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    /** Committed turn: 'speaking' | 'listening' | 'thinking' | null. */
+    this.turn = null;
+
+    // Callbacks
+    this.onTurnChange = null;   // (turn, prevTurn)
+
+    // ── Private ──
+    this._now = now;
+    this._pendingSince = null;
+    this._userSpoke = false;
+    this._silenceSince = null;
+  }
+
+  /** Feed a raw mode change from the backend. */
+  handleMode(mode) {
+    // Speaking always commits immediately
+    if (mode === 'speaking') {
+      this._pendingSince = null;
+      this._commit('speaking');
+      return;
+    }
+    if (mode !== 'listening') return;
+
+    // Stay in thinking until the agent actually speaks
+    if (this.turn === 'thinking') return;
+
+    // Debounce speaking → listening; every report restarts the wait,
+    // update() commits once it holds
+    if (this.turn === 'speaking') {
+      this._pendingSince = this._now();
+      return;
+    }
+
+    this._commit('listening');
+  }
+
+  /** Call once per frame with the current input level (0–1). */
+  update(level) {
+    const o = this.options;
+    const now = this._now();
+
+    if (this._pendingSince !== null && now - this._pendingSince >= o.debounceMs) {
+      this._pendingSince = null;
+      this._commit('listening');
+    }
+
+    if (this.turn === 'listening') {
+      if (level > o.speechLevel) {
+        this._userSpoke = true;
+        this._silenceSince = null;
+      } else if (this._userSpoke) {
+        if (this._silenceSince === null) this._silenceSince = now;
+        else if (now - this._silenceSince > o.thinkingGapMs) this._commit('thinking');
+      }
+    }
+  }
+
+  /** Drop pending changes and set the turn without firing onTurnChange. */
+  reset(turn = null) {
+    this.turn = turn;
+    this._pendingSince = null;
+    this._resetSilence();
+  }
+
+  /** True while a speaking → listening change is waiting out the debounce. */
+  get pending() {
+    return this._pendingSince !== null;
+  }
+
+  // ─── Private Helpers ─────────────────────────────────────
+
+  _commit(turn) {
+    if (turn === this.turn) return;
+    const prev = this.turn;
+    this.turn = turn;
+    this._resetSilence();
+    this.onTurnChange?.(turn, prev);
+  }
+
+  _resetSilence() {
+    this._userSpoke = false;
+    this._silenceSince = null;
+  }
+}
+
+/**
+ * Agent-held states. A client tool can pin a state (e.g. alert) for a
+ * while; conversation state changes during the hold are remembered and
+ * applied when it expires.
+ */
+export class StateHold {
+  constructor(stateManager, { now = () => performance.now() } = {}) {
+    this.stateManager = stateManager;
+
+    // ── Private ──
+    this._now = now;
+    this._until = 0;
+    this._base = null;
+  }
+
+  get active() {
+    return this._until !== 0;
+  }
+
+  /** Conversation-driven state change — deferred while a hold is active. */
+  set(name) {
+    if (this.active) {
+      this._base = name;
+      return;
+    }
+    this.stateManager.setState(name);
+  }
+
+  hold(name, seconds) {
+    if (!this.active) this._base = this.stateManager.targetState;
+    this._until = this._now() + seconds * 1000;
+    this.stateManager.setState(name);
+  }
+
+  /** Drop the hold without restoring anything. */
+  release() {
+    this._until = 0;
+    this._base = null;
+  }
+
+  /** Call once per frame — restores the remembered state when the hold expires. */
+  update() {
+    if (!this.active || this._now() < this._until) return;
+    const base = this._base;
+    this.release();
+    if (base) this.stateManager.setState(base);
+  }
+}
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioManager } from '../src/audio.js';
+
+/** A backend whose connect() stays pending until the test resolves it. */
+function deferredBackend() {
+  const backend = {
+    name: 'fake',
+    clientTools: {},
+    live: false,
+    pending: null,
+    connect() {
+      return new Promise((resolve, reject) => {
+        backend.pending = {
+          // The SDK fires onConnect before startSession resolves
+          resolve: () => { backend.live = true; backend.onConnect?.(); resolve(); },
+          reject,
+        };
+      });
+    },
+    async disconnect() {
+      if (!backend.live) return;  // like ElevenLabsBackend with no conversation yet
+      backend.live = false;
+      backend.onDisconnect?.({ reason: 'user' });
+    },
+    setMicMuted() {},
+  };
+  return backend;
+}
+
+test('stopping during a reconnect ends the session once it comes up', async () => {
+  const backend = deferredBackend();
+  const audio = new AudioManager({ backend, reconnect: { baseDelayMs: 1 } });
+  const statuses = [];
+  audio.onStatusChange = (status) => statuses.push(status);
+
+  const started = audio.startConversation();
+  backend.pending.resolve();
+  await started;
+  assert.equal(audio.connectionState, 'connected');
+
+  // Network drop → backoff → reconnect attempt pending
+  backend.live = false;
+  backend.onDisconnect({ reason: 'error' });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(audio.connectionState, 'reconnecting');
+
+  await audio.stopConversation();
+  backend.pending.resolve();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.equal(audio.connectionState, 'disconnected');
+  assert.equal(audio.isActive, false);
+  assert.equal(backend.live, false, 'late session was not ended');
+  assert.deepEqual(statuses, ['connecting', 'connected', 'reconnecting', 'disconnected']);
+});
+
+test('stopping during the first connect ends the session too', async () => {
+  const backend = deferredBackend();
+  const audio = new AudioManager({ backend });
+
+  const started = audio.startConversation();
+  await audio.stopConversation();
+  backend.pending.resolve();
+  await started;
+
+  assert.equal(audio.connectionState, 'disconnected');
+  assert.equal(backend.live, false);
+});
+
+test('a connect that rejects after a cancel stays disconnected', async () => {
+  const backend = deferredBackend();
+  const audio = new AudioManager({ backend });
+  const statuses = [];
+  audio.onStatusChange = (status) => statuses.push(status);
+
+  const started = audio.startConversation();
+  await audio.stopConversation();
+  // The WebSocket backend closes the socket before 'ready' → connect() rejects
+  backend.pending.reject(new Error('WebSocket closed before ready (1000)'));
+  await started;
+
+  assert.equal(audio.connectionState, 'disconnected');
+  assert.deepEqual(statuses, ['connecting', 'disconnected']);
+});
+
+test('a recovered session is degraded until it holds steady', async () => {
+  const backend = deferredBackend();
+  const audio = new AudioManager({ backend, reconnect: { baseDelayMs: 1, stableAfterMs: 30 } });
+  const changes = [];
+  audio.onDegradedChange = (degraded) => changes.push(degraded);
+
+  const started = audio.startConversation();
+  backend.pending.resolve();
+  await started;
+  assert.equal(audio.degraded, false, 'a fresh session is not degraded');
+
+  backend.live = false;
+  backend.onDisconnect({ reason: 'error' });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  backend.pending.resolve();
+  assert.equal(audio.connectionState, 'connected');
+  assert.equal(audio.degraded, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(audio.degraded, false);
+  assert.deepEqual(changes, [true, false]);
+});
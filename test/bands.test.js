@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BandExtractor, extractBands } from '../src/bands.js';
+
+const SAMPLE_RATE = 48000;
+const BINS = 1024;
+const HZ_PER_BIN = SAMPLE_RATE / 2 / BINS;
+
+/** FFT bin data with the bins covering [loHz, hiHz) at `value`, silence elsewhere. */
+function spectrum(loHz, hiHz, value = 255) {
+  const data = new Uint8Array(BINS);
+  for (let i = Math.floor(loHz / HZ_PER_BIN); i < Math.ceil(hiHz / HZ_PER_BIN); i++) data[i] = value;
+  return data;
+}
+
+test('energy lands only in the band whose Hz edges contain it', () => {
+  const bass = extractBands(spectrum(80, 280), SAMPLE_RATE);
+  assert.ok(bass.bass > 0.9 && bass.mid < 0.05 && bass.treble === 0, JSON.stringify(bass));
+
+  const mid = extractBands(spectrum(350, 1900), SAMPLE_RATE);
+  assert.ok(mid.mid > 0.9 && mid.bass < 0.05 && mid.treble < 0.05, JSON.stringify(mid));
+
+  const treble = extractBands(spectrum(2100, 7900), SAMPLE_RATE);
+  assert.ok(treble.treble > 0.9 && treble.bass === 0 && treble.mid < 0.05, JSON.stringify(treble));
+
+  // Above the treble edge counts for nothing
+  assert.equal(extractBands(spectrum(9000, 20000), SAMPLE_RATE).level, 0);
+});
+
+test('band edges are in Hz, not bins: the split holds at any FFT size and rate', () => {
+  for (const [bins, rate] of [[256, 16000], [1024, 48000], [4096, 44100]]) {
+    const data = new Uint8Array(bins);
+    const hzPerBin = rate / 2 / bins;
+    for (let i = Math.ceil(400 / hzPerBin); i < Math.floor(1800 / hzPerBin); i++) data[i] = 255;
+    const bands = extractBands(data, rate);
+    assert.ok(bands.mid > 0.6 && bands.bass < 0.1 && bands.treble < 0.1, `${bins} @ ${rate}: ${JSON.stringify(bands)}`);
+  }
+});
+
+test('mel sub-bands weight the bottom of a band like the top', () => {
+  // Mel quarters of the mid band: 282 Hz wide at the bottom, 594 Hz at the top
+  const quarters = [[300, 582], [582, 944], [944, 1406], [1406, 2000]]
+    .map(([lo, hi]) => extractBands(spectrum(lo + 25, hi - 25), SAMPLE_RATE).mid);
+  const spread = Math.max(...quarters) - Math.min(...quarters);
+  assert.ok(spread < 0.05, `quarters ${quarters.map((q) => q.toFixed(2))}`);
+});
+
+test('AGC brings a quiet and a loud source to the same output level', () => {
+  const quiet = new BandExtractor();
+  const loud = new BandExtractor();
+  let q;
+  let l;
+  for (let i = 0; i < 120; i++) {
+    q = quiet.extract(spectrum(350, 1900, 100), SAMPLE_RATE);
+    l = loud.extract(spectrum(350, 1900, 250), SAMPLE_RATE);
+  }
+  assert.ok(Math.abs(q.mid - 0.85) < 0.02, `quiet ${q.mid}`);
+  assert.ok(Math.abs(l.mid - 0.85) < 0.02, `loud ${l.mid}`);
+  assert.ok(q.rawLevel < l.rawLevel, 'rawLevel keeps the true loudness');
+});
+
+test('AGC never boosts near-silence past the gain cap', () => {
+  const agc = new BandExtractor();
+  let out;
+  for (let i = 0; i < 600; i++) out = agc.extract(spectrum(350, 1900, 10), SAMPLE_RATE);
+  assert.ok(out.mid < 0.2, `room noise boosted to ${out.mid}`);
+});
+
+test('AGC envelope moves the same at 30 and 120 fps', () => {
+  const envelopeAfter = (fps, seconds, value) => {
+    const agc = new BandExtractor();
+    for (let i = 0; i < Math.round(seconds * fps); i++) agc.extract(spectrum(350, 1900, value), SAMPLE_RATE, 1 / fps);
+    return agc;
+  };
+
+  // Attack: one 30 fps frame into a loud onset
+  const attack30 = envelopeAfter(30, 1 / 30, 255).envelope.mid;
+  const attack120 = envelopeAfter(120, 1 / 30, 255).envelope.mid;
+  assert.ok(Math.abs(attack30 - attack120) < 0.05, `attack ${attack30} vs ${attack120}`);
+
+  // Release: 2 s after the speech drops away
+  const release = (fps) => {
+    const agc = envelopeAfter(fps, 1, 255);
+    for (let i = 0; i < 2 * fps; i++) agc.extract(spectrum(350, 1900, 0), SAMPLE_RATE, 1 / fps);
+    return agc.envelope.mid;
+  };
+  assert.ok(Math.abs(release(30) - release(120)) < 0.01);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpokenCaption } from '../src/captions.js';
+
+const DT = 1 / 60;
+const REPLY = 'The front door is open and the lights are on.';
+
+/** Caption on a fake clock; run() steps frames at a given level. */
+function setup(options = {}) {
+  const clock = { ms: 0 };
+  const caption = new SpokenCaption({ now: () => clock.ms, ...options });
+  const run = (seconds, level, speaking = true) => {
+    for (let t = 0; t < seconds - 1e-9; t += DT) {
+      clock.ms += DT * 1000;
+      caption.update(DT, level, speaking);
+    }
+  };
+  return { caption, clock, run };
+}
+
+test('nothing is revealed before the agent is heard', () => {
+  const { caption, run } = setup();
+  caption.setText(REPLY);
+  run(0.5, 0, false);
+  assert.deepEqual(caption.parts, { said: '', word: '', unsaid: REPLY });
+});
+
+test('audible speech reveals word by word at the speaking rate', () => {
+  const { caption, run } = setup({ charsPerSecond: 10 });
+  caption.setText(REPLY);
+  run(0.6, 0.3);
+  assert.equal(caption.spoken, 6);
+  assert.deepEqual(caption.parts, { said: 'The ', word: 'front', unsaid: ' door is open and the lights are on.' });
+
+  // Pauses inside the reply hold the position
+  run(0.5, 0.01);
+  assert.equal(caption.spoken, 6);
+});
+
+test('streamed text extends the reply without resetting it', () => {
+  const { caption, run } = setup({ charsPerSecond: 10 });
+  caption.setText('The front');
+  run(1.45, 0.3);
+  assert.equal(caption.spoken, 9);
+  caption.setText(REPLY);
+  assert.equal(caption.spoken, 14);
+  assert.equal(caption.parts.word, 'door');
+});
+
+test('the rest is revealed once the agent stops talking', () => {
+  const { caption, run } = setup();
+  caption.setText(REPLY);
+  run(0.5, 0.3);
+  run(0.5, 0, false);
+  assert.ok(!caption.done);
+  run(0.5, 0, false);
+  assert.ok(caption.done);
+  assert.deepEqual(caption.parts, { said: REPLY, word: '', unsaid: '' });
+});
+
+test('an interruption strikes the unspoken remainder at a word boundary', () => {
+  const { caption, run } = setup({ charsPerSecond: 10 });
+  caption.setText(REPLY);
+  run(1.2, 0.3);
+  caption.interrupt();
+  run(2, 0, false);
+  assert.ok(caption.interrupted);
+  assert.deepEqual(caption.parts, { said: 'The front ', word: '', unsaid: 'door is open and the lights are on.' });
+});
+
+test('audio alignment drives the position when available', () => {
+  const { caption, clock } = setup();
+  caption.setText('Hi there');
+  const chars = [...'Hi there'];
+  caption.addAlignment({ chars, charStartTimesMs: chars.map((_, i) => i * 100), charDurationsMs: chars.map(() => 100) });
+
+  clock.ms = 150;
+  assert.equal(caption.spoken, 2);
+  assert.deepEqual(caption.parts, { said: '', word: 'Hi', unsaid: ' there' });
+  clock.ms = 250;
+  assert.deepEqual(caption.parts, { said: 'Hi ', word: '', unsaid: 'there' });
+  clock.ms = 450;
+  assert.deepEqual(caption.parts, { said: 'Hi ', word: 'there', unsaid: '' });
+});
+
+test('a new reply after a finished one starts over', () => {
+  const { caption, run } = setup();
+  caption.setText(REPLY);
+  caption.finish();
+  caption.setText('Anything else?');
+  assert.ok(!caption.done);
+  assert.equal(caption.spoken, 0);
+  run(6, 0, false);
+  assert.ok(caption.done, 'text that is never spoken is revealed after the start timeout');
+});
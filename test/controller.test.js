@@ -0,0 +1,148 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AvatarController } from '../src/controller.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Just the AudioManager surface the controller touches. */
+function fakeAudio() {
+  return {
+    connectionState: 'disconnected',
+    level: 0,
+    clientTools: null,
+    update() {},
+    setClientTools(tools) {
+      this.clientTools = tools;
+    },
+  };
+}
+
+/** Controller on a fake clock with a fake session attached; timed overlays are shortened. */
+function setup() {
+  const clock = { ms: 0 };
+  const controller = new AvatarController({ now: () => clock.ms, errorOverlayMs: 200, failedAlertMs: 20 });
+  const audio = fakeAudio();
+  controller.attach(audio);
+
+  /** Report a status the way AudioManager does. */
+  const status = (name) => {
+    audio.connectionState = name;
+    audio.onStatusChange(name);
+  };
+  return { controller, audio, clock, status, sm: controller.stateManager };
+}
+
+test('connection status drives the base state and overlays', () => {
+  const { controller, sm, status } = setup();
+  const reported = [];
+  controller.onStatusChange = (name) => reported.push(name);
+
+  status('connecting');
+  assert.equal(sm.targetState, 'thinking');
+
+  status('connected');
+  assert.equal(sm.targetState, 'listening');
+  assert.equal(controller.turnTracker.turn, 'listening');
+
+  status('reconnecting');
+  assert.equal(sm.targetState, 'thinking');
+  assert.equal(controller.turnTracker.turn, null);
+  assert.deepEqual(sm.getActiveOverlays(), ['reconnecting']);
+
+  status('connected');
+  assert.deepEqual(sm.getActiveOverlays(), []);
+
+  status('disconnected');
+  assert.equal(sm.targetState, 'idle');
+  assert.deepEqual(reported, ['connecting', 'connected', 'reconnecting', 'connected', 'disconnected']);
+});
+
+test('a failed connection shows alert, then idle unless it recovered', async () => {
+  const { sm, status } = setup();
+
+  status('failed');
+  assert.equal(sm.targetState, 'alert');
+  assert.ok(sm.hasOverlay('failed'));
+  await sleep(30);
+  assert.equal(sm.targetState, 'idle');
+
+  // Retrying before the alert settles keeps the new session's state
+  status('failed');
+  status('connecting');
+  await sleep(30);
+  assert.equal(sm.targetState, 'thinking');
+});
+
+test('backend errors tint the orb, and a repeat restarts the timer', async () => {
+  const { controller, sm, audio } = setup();
+
+  audio.onError();
+  await sleep(120);
+  audio.onError();
+  await sleep(120);
+  assert.ok(sm.hasOverlay('error'), 'the second error restarted the 200ms wait');
+  await sleep(100);
+  assert.ok(!sm.hasOverlay('error'));
+
+  audio.onError();
+  controller.cancelTimers();
+  await sleep(250);
+  assert.ok(sm.hasOverlay('error'), 'cancelled timers never fire');
+
+  audio.onDegradedChange(true);
+  assert.ok(sm.hasOverlay('degraded'));
+});
+
+test('raw modes reach the turn tracker and its turns the state', () => {
+  const { controller, audio, sm, status } = setup();
+  const modes = [];
+  controller.onModeChange = (mode) => modes.push(mode);
+  status('connected');
+
+  audio.onModeChange('speaking');
+  assert.equal(sm.targetState, 'speaking');
+  assert.deepEqual(modes, ['speaking']);
+});
+
+test('client tools drive the controller and hand cards to the host', () => {
+  const { controller, audio, sm, clock } = setup();
+  const cards = [];
+  const themes = [];
+  controller.onCard = (...card) => cards.push(card);
+  controller.onThemeChange = (theme) => themes.push(theme);
+  const tools = audio.clientTools;
+  assert.equal(tools, controller.clientTools);
+
+  tools.flash_alert({ message: 'Door open', duration_seconds: 2 });
+  assert.equal(sm.targetState, 'alert');
+  assert.equal(sm.flashIntensity, 1);
+  assert.deepEqual(cards, [['ALERT', 'Door open', 2]]);
+
+  // Turns during the hold wait for it to expire
+  controller.turnTracker.handleMode('speaking');
+  assert.equal(sm.targetState, 'alert');
+  clock.ms += 2000;
+  controller.update(1 / 60);
+  assert.equal(sm.targetState, 'speaking');
+
+  tools.set_theme({ theme: 'ember' });
+  assert.equal(controller.theme, 'ember');
+  assert.deepEqual(themes, ['ember']);
+
+  // No scene yet: zoom echoes the request, shapes have nowhere to draw
+  assert.equal(tools.set_zoom({ zoom: 1.23456 }), 'Zoom set to 1.23');
+  assert.throws(() => tools.show_shape({ icon: 'check' }), /no scene/);
+
+  controller.scene = { setZoom: (zoom) => Math.min(zoom, 2.5), showShape: mock.fn() };
+  assert.equal(tools.set_zoom({ zoom: 9 }), 'Zoom set to 2.5');
+  tools.show_shape({ icon: 'check', hold_seconds: 1 });
+  assert.deepEqual(controller.scene.showShape.mock.calls[0].arguments, [{ icon: 'check' }, { hold: 1 }]);
+});
+
+test('update reads silence before a session exists', () => {
+  const controller = new AvatarController({ now: () => 0 });
+  const { sv, audioBands } = controller.update(1 / 60);
+  assert.equal(audioBands.level, 0);
+  assert.equal(audioBands.voiced, false);
+  assert.ok(sv);
+});
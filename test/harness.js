@@ -0,0 +1,237 @@
+/**
+ * Headless render harness — builds the orb's scene graph without WebGL and
+ * steps it on a fixed clock, the way main.js's animation loop does.
+ *
+ * Math.random is swapped for a seeded PRNG while the harness creates or
+ * steps anything, so particle seeds are reproducible run to run.
+ */
+
+import * as THREE from 'three';
+import {
+  createCore, createRings, createContainment,
+  applyProsody, updateCore, updateRings, updateContainment,
+} from '../src/orb.js';
+import {
+  createParticles, createLeadParticles, updateParticles, updateLeadParticles,
+} from '../src/particles.js';
+import { StateManager } from '../src/states.js';
+import { CORE_PANEL } from '../src/shaders/core.js';
+
+export const SILENT = { level: 0, bass: 0, mid: 0, treble: 0, pulse: 0, pitchTrend: 0, emphasis: 0, question: 0 };
+
+export function createHarness({ seed = 1, pack } = {}) {
+  const random = mulberry32(seed);
+  const seeded = (fn) => {
+    const original = Math.random;
+    Math.random = random;
+    try {
+      return fn();
+    } finally {
+      Math.random = original;
+    }
+  };
+
+  const scene = new THREE.Scene();
+  const parts = seeded(() => ({
+    core: createCore(),
+    rings: createRings(),
+    containment: createContainment(),
+    particles: createParticles(),
+    leadParticles: createLeadParticles(),
+  }));
+  scene.add(parts.core.group, parts.containment.group, parts.particles.points, parts.leadParticles.points);
+  for (const ring of parts.rings) scene.add(ring.group);
+
+  const stateManager = pack ? new StateManager(pack) : new StateManager();
+  const visualState = {};
+  let time = 0;
+
+  /** Advance one frame with the given audio bands. Returns the visual state. */
+  function step(dt, audioBands = SILENT) {
+    return seeded(() => {
+      time += dt;
+      stateManager.update(dt);
+      const sv = applyProsody(stateManager.current, audioBands, visualState);
+      updateCore(parts.core, sv, time, audioBands);
+      updateRings(parts.rings, sv, time, dt, audioBands);
+      updateContainment(parts.containment, sv, time, dt, stateManager, audioBands);
+      updateParticles(parts.particles, sv, time, dt, stateManager, audioBands);
+      updateLeadParticles(parts.leadParticles, sv, time, dt, stateManager, audioBands);
+      return sv;
+    });
+  }
+
+  /** Step `seconds` at a fixed 60 fps; `bands(t)` may vary the audio per frame. */
+  function run(seconds, bands = () => SILENT) {
+    const frames = Math.round(seconds * 60);
+    let sv = null;
+    for (let i = 0; i < frames; i++) sv = step(1 / 60, bands(time));
+    return sv;
+  }
+
+  return {
+    scene, stateManager, ...parts, step, run,
+    get time() { return time; },
+    snapshot: () => snapshot(parts),
+  };
+}
+
+/** Compact numeric summary of every buffer, color and opacity the update functions write. */
+export function snapshot({ core, rings, containment, particles, leadParticles }) {
+  return {
+    core: {
+      positions: bufferStats(corePanels(core).positions),
+      colors: bufferStats(corePanels(core).colors),
+      scale: round(core.group.scale.x),
+      rotation: vec(core.group.rotation),
+      edge: material(core.edgeMat),
+      outerEdge: material(core.outerEdgeMat),
+      innerHot: material(core.innerHotMat),
+      innerMid: material(core.innerMidMat),
+      innerSoft: material(core.innerSoftMat),
+    },
+    rings: rings.map((ring) => ({
+      rotation: vec(ring.group.rotation),
+      scale: round(ring.group.scale.x),
+      ring: material(ring.mat),
+      ghost: material(ring.ghostMat),
+    })),
+    containment: {
+      primary: material(containment.primaryMat),
+      secondary: material(containment.secondaryMat),
+      scan: { ...material(containment.scanMat), visible: containment.scanMesh.visible, y: round(containment.scanMesh.position.y) },
+    },
+    particles: particleLayer(particles),
+    leadParticles: particleLayer(leadParticles),
+  };
+}
+
+/**
+ * The core's panel positions and colors as its vertex shader would output
+ * them for the current uniforms, evaluated in JS.
+ *
+ * The constants come from CORE_PANEL, the same object the shader is built
+ * from, so they can't drift. The formula itself is a hand-written copy of
+ * the GLSL: tests built on it check this mirror, not the shader, and a
+ * change to the shader's math needs the same change here.
+ */
+export function corePanels(core) {
+  const P = CORE_PANEL;
+  const u = core.uniforms;
+  const base = core.facetedGeo.attributes.position.array;
+  const normals = core.facetedGeo.attributes.faceNormal.array;
+  const indices = core.facetedGeo.attributes.faceIndex.array;
+  const color = u.uColor.value, dirA = u.uSweepDir.value, dirB = u.uSweep2Dir.value;
+  const shimmer = u.uShimmerPhase.value, bands = u.uBands.value, wave = u.uWavePhase.value;
+
+  const positions = new Float32Array(base.length);
+  const colors = new Float32Array(base.length);
+  for (let v = 0; v < indices.length; v++) {
+    const i = v * 3;
+    const fi = indices[v];
+    const nx = normals[i], ny = normals[i + 1], nz = normals[i + 2];
+
+    const sweep1 = Math.pow(Math.max(0, dirA.x * nx + dirA.y * ny + dirA.z * nz), P.sweepPower[0]) * P.sweepGain[0];
+    const sweep2 = Math.pow(Math.max(0, dirB.x * nx + dirB.y * ny + dirB.z * nz), P.sweepPower[1]) * P.sweepGain[1];
+    const flicker = P.shimmerGain[0] * Math.sin(shimmer.x + fi * P.shimmerSpread[0])
+      + P.shimmerGain[1] * Math.sin(shimmer.y + fi * P.shimmerSpread[1]);
+    const brightness = u.uBrightness.value + sweep1 + sweep2 + flicker;
+    colors[i] = color.r * brightness;
+    colors[i + 1] = color.g * brightness;
+    colors[i + 2] = color.b * brightness;
+
+    let disp = 0;
+    if (u.uDisplacement.value > 0) {
+      disp = u.uDisplacement.value * (
+        Math.sin(wave.x + fi * P.waveSpread[0]) * (P.waveBase[0] + bands.x * P.waveBand[0]) +
+        Math.sin(wave.y + fi * P.waveSpread[1]) * (P.waveBase[1] + bands.y * P.waveBand[1]) +
+        Math.sin(wave.z + fi * P.waveSpread[2]) * (P.waveBase[2] + bands.z * P.waveBand[2]) +
+        Math.abs(Math.sin(wave.w + fi * P.waveSpread[3])) * P.waveBase[3]
+      );
+    }
+    positions[i] = base[i] + nx * disp;
+    positions[i + 1] = base[i + 1] + ny * disp;
+    positions[i + 2] = base[i + 2] + nz * disp;
+  }
+  return { positions, colors };
+}
+
+/** Largest distance of any vertex from the origin (local space). */
+export function maxRadius(array) {
+  let max = 0;
+  for (let i = 0; i < array.length; i += 3) {
+    max = Math.max(max, Math.hypot(array[i], array[i + 1], array[i + 2]));
+  }
+  return max;
+}
+
+/**
+ * Compare two snapshots with a numeric tolerance. Returns a list of
+ * "path: expected → actual" strings (empty when they match).
+ */
+export function diffSnapshots(expected, actual, tolerance = 1e-3, path = '') {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    const scale = Math.max(1, Math.abs(expected));
+    return Math.abs(expected - actual) <= tolerance * scale ? [] : [`${path}: ${expected} → ${actual}`];
+  }
+  if (expected && typeof expected === 'object' && actual && typeof actual === 'object') {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].flatMap((key) => diffSnapshots(expected[key], actual[key], tolerance, path ? `${path}.${key}` : key));
+  }
+  return expected === actual ? [] : [`${path}: ${JSON.stringify(expected)} → ${JSON.stringify(actual)}`];
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function bufferStats(array) {
+  let sum = 0, sumSq = 0, min = Infinity, max = -Infinity;
+  for (const v of array) {
+    sum += v;
+    sumSq += v * v;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { sum: round(sum), sumSq: round(sumSq), min: round(min), max: round(max) };
+}
+
+/** Particle positions live in the shader — snapshot the uniforms that drive them. */
+function particleLayer(layer) {
+  const u = layer.uniforms;
+  return {
+    color: color(u.uColor.value),
+    opacity: round(u.uOpacity.value),
+    orbit: round(u.uOrbit.value),
+    curl: round(u.uCurl.value),
+    inflow: round(u.uInflow.value),
+    outflow: round(u.uOutflow.value),
+    burst: [round(u.uBurst.value.x), round(u.uBurst.value.y)],
+  };
+}
+
+function material(mat) {
+  return { color: color(mat.color), opacity: round(mat.opacity) };
+}
+
+function color(c) {
+  return [round(c.r), round(c.g), round(c.b)];
+}
+
+function vec(v) {
+  return [round(v.x), round(v.y), round(v.z)];
+}
+
+function round(v) {
+  return Math.round(v * 1e5) / 1e5;
+}
+
+/** Small seeded PRNG (mulberry32). */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleMorph, sampleShape, DEFAULT_MORPH_TIMING } from '../src/morph.js';
+
+/** A width × height alpha bitmap with the listed [x, y] pixels filled. */
+function bitmap(width, height, pixels) {
+  const data = new Uint8Array(width * height);
+  for (const [x, y] of pixels) data[y * width + x] = 255;
+  return { data, width, height };
+}
+
+/** Step the envelope on a fixed clock, returning the amount. */
+function run(morph, seconds) {
+  for (let i = 0; i < Math.round(seconds * 60); i++) morph.update(1 / 60);
+  return morph.amount;
+}
+
+test('targets land only on filled pixels, centered on the shape plane', () => {
+  // Top-left and bottom-right corners of a 4 × 2 bitmap
+  const targets = sampleShape(bitmap(4, 2, [[0, 0], [3, 1]]), 500);
+  assert.equal(targets.length, 1500);
+
+  const unit = 2.4 / 4;
+  for (let i = 0; i < 500; i++) {
+    const x = targets[i * 3] / unit + 2;
+    const y = 1 - targets[i * 3 + 1] / unit;
+    const z = targets[i * 3 + 2];
+    const topLeft = x >= 0 && x <= 1 && y >= 0 && y <= 1;
+    const bottomRight = x >= 3 && x <= 4 && y >= 1 && y <= 2;
+    assert.ok(topLeft || bottomRight, `target ${i} at (${x}, ${y}) is off the shape`);
+    assert.ok(Math.abs(z - 1.7) <= 0.04);
+  }
+
+  assert.throws(() => sampleShape(bitmap(4, 4, []), 10), /Shape is empty/);
+});
+
+test('a shape forms, holds for its hold time and releases', () => {
+  const morph = new ParticleMorph();
+  const changes = [];
+  morph.onShapeChange = (b) => changes.push(b);
+  const check = bitmap(2, 2, [[0, 0]]);
+
+  morph.show(check, { hold: 1, release: 0.5 });
+  assert.deepEqual(changes, [check]);
+  assert.ok(run(morph, DEFAULT_MORPH_TIMING.form / 2) < 1);
+  assert.equal(run(morph, DEFAULT_MORPH_TIMING.form / 2 + 0.05), 1);
+  assert.equal(run(morph, 0.9), 1, 'still holding');
+  assert.ok(run(morph, 0.4) < 1, 'releasing after the hold');
+  assert.equal(run(morph, 0.3), 0);
+  assert.equal(morph.active, false);
+});
+
+test('a held shape waits for release(); a new one replaces it through the shell', () => {
+  const morph = new ParticleMorph();
+  const changes = [];
+  morph.onShapeChange = (b) => changes.push(b);
+  const calendar = bitmap(2, 2, [[0, 0]]);
+  const check = bitmap(2, 2, [[1, 1]]);
+
+  morph.show(calendar, { hold: Infinity });
+  assert.equal(run(morph, 10), 1);
+
+  // Targets only switch once the particles are back on the shell
+  morph.show(check, { form: 0.5 });
+  assert.deepEqual(changes, [calendar]);
+  run(morph, DEFAULT_MORPH_TIMING.release + 0.05);
+  assert.deepEqual(changes, [calendar, check]);
+  assert.equal(run(morph, 0.6), 1);
+
+  morph.release();
+  assert.equal(run(morph, DEFAULT_MORPH_TIMING.release + 0.05), 0);
+  assert.equal(morph.active, false);
+});
+
+test('a shape that fails to resample leaves the morph untouched', () => {
+  const morph = new ParticleMorph();
+  morph.onShapeChange = () => { throw new Error('Shape is empty'); };
+
+  assert.throws(() => morph.show(bitmap(2, 2, []), { hold: 1 }), /Shape is empty/);
+  assert.equal(morph.bitmap, null);
+  assert.equal(morph.active, false);
+  assert.equal(run(morph, 1), 0);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OnsetDetector } from '../src/onsets.js';
+
+const DT = 1 / 60;
+const BINS = 256;
+
+/** A flat spectrum at `value` in every bin. */
+function flat(value) {
+  return new Uint8Array(BINS).fill(value);
+}
+
+/** Feed `frames` copies of one frame, collecting every event. */
+function feed(detector, frames, spectrum, level) {
+  const events = [];
+  for (let i = 0; i < frames; i++) events.push(...detector.update(spectrum, level, DT));
+  return events;
+}
+
+const onsets = (events) => events.filter((e) => e.type === 'onset');
+
+test('a step in the spectrum fires exactly one onset', () => {
+  const detector = new OnsetDetector();
+  assert.deepEqual(onsets(feed(detector, 60, flat(20), 0.1)), []);
+
+  const events = feed(detector, 60, flat(180), 0.6);
+  assert.equal(onsets(events).length, 1);
+  assert.ok(onsets(events)[0].strength > 0 && onsets(events)[0].strength <= 1);
+});
+
+test('steady input never fires, however loud', () => {
+  for (const value of [0, 40, 255]) {
+    const detector = new OnsetDetector();
+    assert.deepEqual(onsets(feed(detector, 300, flat(value), value / 255)), [], `level ${value}`);
+  }
+});
+
+test('a step below the silence level is ignored', () => {
+  const detector = new OnsetDetector();
+  feed(detector, 30, flat(0), 0);
+  assert.deepEqual(onsets(feed(detector, 30, flat(6), 0.02)), []);
+});
+
+test('onsets closer than the refractory period collapse into one', () => {
+  const detector = new OnsetDetector({ minIntervalMs: 200 });
+  feed(detector, 60, flat(10), 0.1);
+  // Rising steps every frame for 100 ms
+  const events = [];
+  for (let i = 1; i <= 6; i++) events.push(...detector.update(flat(10 + i * 40), 0.6, DT));
+  assert.equal(onsets(events).length, 1);
+});
+
+test('phrases start above the on level and end after the silence gap', () => {
+  const detector = new OnsetDetector();
+  const start = feed(detector, 60, flat(150), 0.5);
+  assert.deepEqual(start.filter((e) => e.type !== 'onset').map((e) => e.type), ['phraseStart']);
+  assert.equal(detector.inPhrase, true);
+
+  // A gap shorter than phraseGapMs keeps the phrase going
+  assert.deepEqual(feed(detector, 12, flat(0), 0).filter((e) => e.type === 'phraseEnd'), []);
+  feed(detector, 30, flat(150), 0.5);
+
+  const end = feed(detector, 30, flat(0), 0).filter((e) => e.type === 'phraseEnd');
+  assert.equal(end.length, 1);
+  assert.equal(end[0].strength, 0.5);
+  assert.ok(Math.abs(end[0].duration - (60 + 12 + 30) / 60) < 0.05, `duration ${end[0].duration}`);
+  assert.equal(detector.inPhrase, false);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOverlay, resolveOverlays } from '../src/overlays.js';
+import { StateManager, DEFAULT_STATE_PACK, resolveStatePack } from '../src/states.js';
+
+const DT = 1 / 60;
+
+/** A minimal visual state to apply overlays to. */
+function visualState() {
+  return { color: [1, 0, 0], coreColor: [0, 0, 1], intensity: 1, ringSpeed: 1 };
+}
+
+/** Resolve overlay definitions the way a state pack does. */
+function overlays(defs) {
+  return resolveOverlays(defs, {}, ['intensity', 'ringSpeed'], (value) => value.map((v) => v / 255));
+}
+
+test('each modifier scales with the overlay weight', () => {
+  const { o } = overlays({
+    o: { desaturate: 1, tint: { color: [0, 255, 0], amount: 1 }, multiply: { intensity: 0.5 }, add: { ringSpeed: 1 } },
+  });
+  const none = visualState();
+  applyOverlay(none, o, 0, 0);
+  assert.deepEqual(none, visualState(), 'weight 0 changes nothing');
+
+  const half = visualState();
+  applyOverlay(half, { ...o, desaturate: 0, tint: null }, 0.5, 0);
+  assert.equal(half.intensity, 0.75);
+  assert.equal(half.ringSpeed, 1.5);
+
+  const full = visualState();
+  applyOverlay(full, o, 1, 0);
+  assert.deepEqual(full.color, [0, 1, 0]);
+  assert.equal(full.intensity, 0.5);
+  assert.equal(full.ringSpeed, 2);
+});
+
+test('a pulse oscillates the weight between 1 − depth and 1', () => {
+  const { o } = overlays({ o: { add: { intensity: 1 }, pulse: { hz: 1, depth: 0.5 } } });
+  const at = (time) => {
+    const sv = visualState();
+    applyOverlay(sv, o, 1, time);
+    return sv.intensity - 1;
+  };
+  assert.ok(Math.abs(at(0.25) - 1) < 1e-9, 'crest');
+  assert.ok(Math.abs(at(0.75) - 0.5) < 1e-9, 'trough');
+});
+
+/** StateManager with extra overlays merged over the default pack, resting in idle. */
+function manager(defs) {
+  const sm = new StateManager(resolveStatePack({ states: {}, overlays: defs }, DEFAULT_STATE_PACK));
+  sm.snapTo('idle');
+  return sm;
+}
+
+function run(sm, seconds) {
+  for (let i = 0; i < Math.round(seconds / DT); i++) sm.update(DT);
+}
+
+test('overlays stack in priority order, not the order they were set', () => {
+  const defs = {
+    doubled: { priority: 1, fade: 0, multiply: { intensity: 2 } },
+    boosted: { priority: 2, fade: 0, add: { intensity: 1 } },
+  };
+  const idle = DEFAULT_STATE_PACK.states.idle.intensity;
+
+  for (const order of [['doubled', 'boosted'], ['boosted', 'doubled']]) {
+    const sm = manager(defs);
+    for (const name of order) sm.setOverlay(name);
+    sm.update(DT);
+    assert.deepEqual(sm.getActiveOverlays().slice(-2), ['doubled', 'boosted']);
+    // (idle × 2) + 1, never (idle + 1) × 2
+    assert.ok(Math.abs(sm.current.intensity - (idle * 2 + 1)) < 1e-9, order.join(' then '));
+  }
+});
+
+test('overlays fade in and out over their fade time, then leave the stack', () => {
+  const sm = manager({ dim: { fade: 0.5, multiply: { intensity: 0 } } });
+  const idle = DEFAULT_STATE_PACK.states.idle.intensity;
+  const changes = [];
+  sm.onOverlayChange = (name, on) => changes.push([name, on]);
+
+  sm.setOverlay('dim');
+  run(sm, 0.25);
+  assert.ok(Math.abs(sm.current.intensity - idle / 2) < 0.02, `half faded: ${sm.current.intensity}`);
+  run(sm, 0.3);
+  assert.equal(sm.current.intensity, 0);
+
+  sm.clearOverlay('dim');
+  assert.equal(sm.hasOverlay('dim'), false, 'off at once, even while fading out');
+  run(sm, 0.25);
+  assert.ok(sm.current.intensity > 0 && sm.current.intensity < idle);
+  run(sm, 0.3);
+  assert.equal(sm.current.intensity, idle);
+  assert.deepEqual(sm.getActiveOverlays(), []);
+  assert.deepEqual(changes, [['dim', true], ['dim', false]]);
+});
+
+test('overlays leave the base state alone and ignore unknown or repeated calls', () => {
+  const sm = manager({});
+  const changes = [];
+  sm.onOverlayChange = (name, on) => changes.push([name, on]);
+
+  sm.setOverlay('muted');
+  sm.setOverlay('muted');
+  sm.setOverlay('no_such_overlay');
+  sm.clearOverlay('typing');
+  run(sm, 1);
+
+  assert.deepEqual(changes, [['muted', true]]);
+  assert.ok(sm.current.intensity < sm.base.intensity);
+  assert.equal(sm.base.intensity, DEFAULT_STATE_PACK.states.idle.intensity);
+});
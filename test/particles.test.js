@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createParticles, updateParticles } from '../src/particles.js';
+import { applyProsody } from '../src/orb.js';
+import { StateManager } from '../src/states.js';
+
+const SILENT = { level: 0, bass: 0, mid: 0, treble: 0, pulse: 0 };
+
+/** One particle layer driven by a real StateManager on a fixed clock. */
+function setup(count = 200) {
+  const particles = createParticles({ count });
+  const stateManager = new StateManager();
+  let time = 0;
+  const run = (seconds, bands = SILENT) => {
+    for (let i = 0; i < Math.round(seconds * 60); i++) {
+      time += 1 / 60;
+      stateManager.update(1 / 60);
+      updateParticles(particles, applyProsody(stateManager.current, bands), time, 1 / 60, stateManager, bands);
+    }
+  };
+  return { particles, stateManager, run };
+}
+
+test('state changes fire a burst, harder on flash states', () => {
+  const { particles, stateManager, run } = setup();
+  const burst = particles.uniforms.uBurst.value;
+  run(0.5);
+  assert.equal(burst.y, 0, 'no burst before the first change');
+
+  stateManager.setState('thinking');
+  run(1 / 60);
+  assert.equal(burst.x, 0);
+  assert.equal(burst.y, 0.5);
+  run(1);
+  assert.ok(burst.x > 0.99);
+
+  stateManager.setState('alert');
+  run(1 / 60);
+  assert.equal(burst.y, 1);
+});
+
+test('listening streams particles inward, speaking pushes them out with the bass', () => {
+  const { particles, stateManager, run } = setup();
+  const u = particles.uniforms;
+
+  stateManager.setState('listening');
+  run(3);
+  assert.ok(u.uInflow.value > 0.45, `inflow ${u.uInflow.value}`);
+  assert.ok(u.uOutflow.value < 0.01);
+
+  stateManager.setState('speaking');
+  run(3);
+  assert.ok(u.uInflow.value < 0.01, `inflow ${u.uInflow.value}`);
+  assert.ok(u.uOutflow.value > 0.45, `outflow ${u.uOutflow.value}`);
+
+  const quiet = u.uOutflowTime.value;
+  run(1);
+  const quietRate = u.uOutflowTime.value - quiet;
+  const loud = u.uOutflowTime.value;
+  run(1, { ...SILENT, bass: 1 });
+  assert.ok(u.uOutflowTime.value - loud > quietRate * 5, 'bass should pace the outflow');
+});
+
+test('50k particles update without touching a buffer', () => {
+  const { particles, stateManager, run } = setup(50000);
+  stateManager.setState('speaking');
+  run(1, { ...SILENT, bass: 0.8 });
+  for (const [name, attribute] of Object.entries(particles.geometry.attributes)) {
+    assert.equal(attribute.version, 0, `${name} re-uploaded`);
+  }
+});
+
+test('clocks stay bounded and speeds sit on the grid that lets them wrap', () => {
+  const particles = createParticles({ count: 200 });
+  const stateManager = new StateManager();
+  stateManager.setState('speaking');
+  const bands = { ...SILENT, bass: 0.5 };
+
+  // Hour-long steps stand in for a kiosk left running for four days
+  for (let hour = 1; hour <= 96; hour++) {
+    stateManager.update(3600);
+    updateParticles(particles, applyProsody(stateManager.current, bands), hour * 3600 + 0.3, 3600, stateManager, bands);
+  }
+  const u = particles.uniforms;
+  for (const value of [u.uTime.value, u.uOrbit.value, u.uOutflowTime.value, ...u.uNoiseLoop.value.toArray()]) {
+    assert.ok(Math.abs(value) < 1000, `clock ${value}`);
+  }
+  for (const speed of particles.geometry.attributes.speed.array) assert.ok(Number.isInteger(speed * 64), `speed ${speed}`);
+});
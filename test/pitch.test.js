@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PitchTracker } from '../src/pitch.js';
+
+const RATE = 48000;
+const SIZE = 2048;
+const DT = 1 / 60;
+
+/** One analyser frame of a tone: `harmonics` are [multiple, gain] over `hz`. */
+function tone(hz, harmonics = [[1, 1]], amplitude = 0.3, offset = 0) {
+  const samples = new Float32Array(SIZE);
+  for (let i = 0; i < SIZE; i++) {
+    const t = (offset + i) / RATE;
+    for (const [k, gain] of harmonics) samples[i] += amplitude * gain * Math.sin(2 * Math.PI * hz * k * t);
+  }
+  return samples;
+}
+
+/** Deterministic white noise (LCG). */
+function noise(amplitude = 0.3, seed = 1) {
+  const samples = new Float32Array(SIZE);
+  let s = seed;
+  for (let i = 0; i < SIZE; i++) {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    samples[i] = amplitude * (s / 2 ** 32 * 2 - 1);
+  }
+  return samples;
+}
+
+test('a sine is tracked within a few cents of its frequency', () => {
+  for (const hz of [90, 140, 220, 330]) {
+    const tracker = new PitchTracker();
+    tracker.update(tone(hz), RATE, DT);
+    assert.equal(tracker.voiced, true, `${hz} Hz`);
+    assert.ok(Math.abs(tracker.pitch - hz) / hz < 0.01, `${hz} Hz read as ${tracker.pitch}`);
+  }
+});
+
+test('a harmonic voice-like tone reads as its fundamental, not an overtone', () => {
+  const tracker = new PitchTracker();
+  // Second and third harmonics louder than the fundamental, as in many voices
+  tracker.update(tone(120, [[1, 0.4], [2, 1], [3, 0.7], [4, 0.3]]), RATE, DT);
+  assert.equal(tracker.voiced, true);
+  assert.ok(Math.abs(tracker.pitch - 120) < 2, `read as ${tracker.pitch}`);
+});
+
+test('silence, near-silence and noise come back unvoiced', () => {
+  const tracker = new PitchTracker();
+  for (const [label, samples] of [['silence', new Float32Array(SIZE)], ['quiet', tone(200, undefined, 0.005)], ['noise', noise()]]) {
+    tracker.update(samples, RATE, DT);
+    assert.equal(tracker.voiced, false, label);
+  }
+  assert.equal(tracker.pitch, 0, 'no voiced frame yet');
+});
+
+test('a rising glide gives a positive trend, a falling one negative', () => {
+  const glide = (from, to) => {
+    const tracker = new PitchTracker();
+    const frames = 18;  // 300 ms
+    for (let i = 0; i < frames; i++) {
+      tracker.update(tone(from * (to / from) ** (i / (frames - 1)), undefined, 0.3, i * 800), RATE, DT);
+    }
+    return tracker.trend;
+  };
+  assert.ok(glide(150, 200) > 1, 'rising');
+  assert.ok(glide(200, 150) < -1, 'falling');
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUALITY_TIERS, QualityGovernor, qualityTier, tierPixelRatio } from '../src/quality.js';
+
+/** Feed `seconds` worth of frames, each `frameMs` long. */
+function run(governor, seconds, frameMs) {
+  for (let t = 0; t < seconds; t += frameMs / 1000) governor.update(frameMs / 1000);
+  return governor.current.name;
+}
+
+/** A governor recording its tier changes. */
+function setup(options) {
+  const governor = new QualityGovernor(options);
+  const changes = [];
+  governor.onTierChange = (tier, previous) => changes.push(`${previous.name}→${tier.name}`);
+  return { governor, changes };
+}
+
+test('sustained slow frames step down one tier at a time', () => {
+  const { governor, changes } = setup();
+  assert.equal(run(governor, 4.1, 33), 'medium');
+  // The window after a change is skipped, so the next step needs three
+  assert.equal(run(governor, 4, 33), 'medium');
+  assert.equal(run(governor, 2.1, 33), 'low');
+  assert.deepEqual(changes, ['high→medium', 'medium→low']);
+
+  run(governor, 60, 100);
+  assert.equal(governor.current.name, 'minimal', 'stops at the lowest tier');
+});
+
+test('a brief spike or a pause does not step down', () => {
+  const { governor, changes } = setup();
+  run(governor, 2, 16.7);
+  run(governor, 2, 40);
+  run(governor, 2, 16.7);
+  run(governor, 2, 40);
+  governor.update(5);  // hidden tab
+  run(governor, 2, 16.7);
+  assert.deepEqual(changes, []);
+});
+
+test('steps back up after a run on budget, waiting longer after a failed try', () => {
+  const { governor, changes } = setup({ tier: 2 });
+  assert.equal(run(governor, 8, 16.7), 'low');
+  assert.equal(run(governor, 4.1, 16.7), 'medium');
+
+  // The machine can't hold medium: straight back down, and the next try waits 20s
+  run(governor, 6.1, 30);
+  assert.equal(governor.current.name, 'low');
+  assert.equal(run(governor, 16, 16.7), 'low');
+  assert.equal(run(governor, 6.1, 16.7), 'medium');
+  assert.deepEqual(changes, ['low→medium', 'medium→low', 'low→medium']);
+});
+
+test('frames between steady and slow hold the tier', () => {
+  const { governor, changes } = setup({ tier: 1 });
+  run(governor, 120, 19);
+  assert.deepEqual(changes, []);
+});
+
+test('tiers get cheaper all the way down', () => {
+  for (const key of ['pixelRatio', 'resolution', 'bloom', 'particles', 'ringSegments']) {
+    for (let i = 1; i < QUALITY_TIERS.length; i++) {
+      assert.ok(QUALITY_TIERS[i][key] < QUALITY_TIERS[i - 1][key], `${key} at ${QUALITY_TIERS[i].name}`);
+    }
+  }
+  assert.equal(qualityTier('low'), QUALITY_TIERS[2]);
+  assert.throws(() => qualityTier('ultra'), /Unknown quality "ultra"/);
+});
+
+test('every tier lowers the resolution, on 1× displays as on high-DPI ones', () => {
+  for (const dpr of [1, 1.25, 1.5, 2, 3]) {
+    const ratios = QUALITY_TIERS.map((tier) => tierPixelRatio(tier, dpr));
+    for (let i = 1; i < ratios.length; i++) assert.ok(ratios[i] < ratios[i - 1], `${dpr}×: ${ratios.join(', ')}`);
+    assert.equal(ratios[0], Math.min(dpr, 2));
+  }
+  // 1× drops below native; 2× keeps the original caps
+  assert.deepEqual(QUALITY_TIERS.map((tier) => tierPixelRatio(tier, 1)), [1, 0.85, 0.7, 0.5]);
+  assert.deepEqual(QUALITY_TIERS.map((tier) => tierPixelRatio(tier, 2)), [2, 1.5, 1, 0.75]);
+});
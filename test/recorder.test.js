@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, TimelinePlayer } from '../src/recorder.js';
+import { AudioManager } from '../src/audio.js';
+
+test('prosody values survive a record / replay round trip', () => {
+  const recorder = new SessionRecorder();
+  recorder.start({ state: 'speaking' });
+  const audio = { level: 0.5, bass: 0.4, mid: 0.3, treble: 0.2, pulse: 0.1, pitch: 212.5, pitchTrend: 3.2, voiced: true, emphasis: 0.6, question: 0 };
+  recorder.captureFrame(1 / 60, audio);
+  recorder.captureEvent('state', 'listening');
+  recorder.captureFrame(1 / 60, { ...audio, voiced: false });
+
+  const player = new TimelinePlayer(JSON.parse(JSON.stringify(recorder.stop())));
+  const first = player.next();
+  assert.equal(first.pitch, 212.5);
+  assert.equal(first.voiced, 1);
+  assert.equal(first.pitchTrend, 3.2);
+
+  const second = player.next();
+  assert.equal(second.voiced, 0);
+  assert.deepEqual(second.events, [['state', 'listening']]);
+  assert.equal(player.next(), null);
+});
+
+/** A one-frame timeline with the given columns. */
+function timeline(fields, row) {
+  return { version: 1, startTime: 0, fields, frames: [row], events: [] };
+}
+
+test('older timelines without the prosody columns replay as neutral prosody', () => {
+  const player = new TimelinePlayer(timeline(['dt', 'level', 'bass', 'mid', 'treble', 'pulse'], [0.016, 0.5, 0.4, 0.3, 0.2, 0.1]));
+  const audio = new AudioManager({ backend: { name: 'fake', clientTools: {} } });
+  audio.replayFrame(player.next());
+  audio.update(0.016);
+
+  assert.equal(audio.level, 0.5);
+  for (const field of ['pitch', 'pitchTrend', 'emphasis', 'question']) assert.equal(audio[field], 0, field);
+  assert.equal(audio.voiced, false);
+});
+
+test('timelines missing core columns or with unknown ones are rejected', () => {
+  assert.throws(() => new TimelinePlayer(timeline(['dt', 'level'], [0.016, 0.5])), /lacks bass, mid, treble, pulse/);
+  const fields = ['dt', 'level', 'bass', 'mid', 'treble', 'pulse'];
+  assert.throws(() => new TimelinePlayer(timeline([...fields, 'wobble'], [0.016, 0, 0, 0, 0, 0, 1])), /distinct names/);
+  assert.throws(() => new TimelinePlayer(timeline([...fields, 'level'], [0.016, 0, 0, 0, 0, 0, 1])), /distinct names/);
+  assert.throws(() => new TimelinePlayer(timeline(fields, [0.016, 0, 0, 0, 0])), /frame 0 is malformed/);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RemoteControl, createRemoteCommands } from '../src/remote.js';
+import { createClientTools } from '../src/tools.js';
+
+/** Remote commands over real client tools, recording what reaches the avatar. */
+function setup() {
+  const calls = [];
+  const tools = createClientTools({
+    getStateNames: () => ['idle', 'listening', 'alert'],
+    setState: (state, hold) => calls.push(['setState', state, hold]),
+    setTheme: (theme) => calls.push(['setTheme', theme]),
+    showCard: (title, body, seconds) => calls.push(['showCard', title, body, seconds]),
+    flashAlert: (message, seconds) => calls.push(['flashAlert', message, seconds]),
+    setZoom: (zoom) => zoom,
+    showShape: (shape, timing) => calls.push(['showShape', shape, timing]),
+  });
+  const commands = createRemoteCommands({
+    tools,
+    showCaption: (label, text, seconds) => calls.push(['showCaption', label, text, seconds]),
+    connect: async () => calls.push(['connect']),
+    disconnect: async () => calls.push(['disconnect']),
+    getOverlayNames: () => ['typing', 'muted'],
+    setOverlay: (name, on) => calls.push(['setOverlay', name, on]),
+    getState: () => ({ state: 'idle' }),
+  });
+  const remote = new RemoteControl(commands);
+
+  /** Send one message and collect the replies. */
+  const send = async (message) => {
+    const replies = [];
+    await remote.handleMessage(message, (reply) => replies.push(reply));
+    return replies;
+  };
+
+  return { remote, calls, send };
+}
+
+test('setState reaches the avatar and replies with the id', async () => {
+  const { calls, send } = setup();
+  const replies = await send({ command: 'setState', state: 'alert', seconds: 5, id: 7 });
+  assert.deepEqual(calls, [['setState', 'alert', 5]]);
+  assert.deepEqual(replies, [{ event: 'result', id: 7, ok: true, result: 'State set to alert for 5s' }]);
+});
+
+test('invalid arguments come back as errors', async () => {
+  const { calls, send } = setup();
+  const [reply] = await send({ command: 'setState', state: 'dancing' });
+  assert.equal(reply.ok, false);
+  assert.match(reply.error, /Unknown state "dancing"/);
+
+  for (const theme of ['neon', 'toString', 'constructor']) {
+    const [rejected] = await send({ command: 'setTheme', theme });
+    assert.match(rejected.error, new RegExp(`Unknown theme "${theme}"`));
+  }
+  assert.deepEqual(calls, []);
+});
+
+test('unknown commands are rejected, non-commands ignored', async () => {
+  const { send } = setup();
+  const [reply] = await send({ command: 'selfDestruct' });
+  assert.equal(reply.ok, false);
+  assert.match(reply.error, /Unknown command "selfDestruct"/);
+
+  // Our own broadcasts echo back on BroadcastChannel — never treated as commands
+  assert.deepEqual(await send({ event: 'statechange', state: 'idle' }), []);
+  assert.deepEqual(await send('setState'), []);
+  assert.deepEqual(await send({ command: 'toString' }).then((r) => r[0].ok), false);
+});
+
+test('showCaption, flash, theme and connect map onto the host', async () => {
+  const { calls, send } = setup();
+  await send({ command: 'showCaption', text: ' Front door opened ', label: 'HOME' });
+  await send({ command: 'flash', message: 'Build failed' });
+  await send({ command: 'setTheme', theme: 'ember' });
+  await send({ command: 'connect' });
+  assert.deepEqual(calls, [
+    ['showCaption', 'HOME', 'Front door opened', 6],
+    ['flashAlert', 'Build failed', 3],
+    ['setTheme', 'ember'],
+    ['connect'],
+  ]);
+
+  const [reply] = await send({ command: 'showCaption', text: '' });
+  assert.equal(reply.ok, false);
+});
+
+test('showShape validates the icon or text and passes the timing', async () => {
+  const { calls, send } = setup();
+  const [ok] = await send({ command: 'showShape', icon: 'check', hold: 2 });
+  await send({ command: 'showShape', text: ' DONE ', release: 0.5 });
+  assert.equal(ok.result, 'Showing check');
+  assert.deepEqual(calls, [
+    ['showShape', { icon: 'check' }, { hold: 2 }],
+    ['showShape', { text: 'DONE' }, { release: 0.5 }],
+  ]);
+
+  const invalid = [
+    { icon: 'rocket' }, { icon: 'constructor' }, { icon: 'toString' },
+    { text: 'much too long to draw' }, { text: '' }, { text: '   ' }, {}, { icon: 'check', text: 'OK' },
+  ];
+  for (const bad of invalid) {
+    const [reply] = await send({ command: 'showShape', ...bad });
+    assert.equal(reply.ok, false, JSON.stringify(bad));
+  }
+  assert.equal(calls.length, 2);
+});
+
+test('setOverlay toggles known overlays only', async () => {
+  const { calls, send } = setup();
+  await send({ command: 'setOverlay', overlay: 'typing' });
+  await send({ command: 'setOverlay', overlay: 'typing', on: false });
+  const [reply] = await send({ command: 'setOverlay', overlay: 'sneezing' });
+  assert.match(reply.error, /Unknown overlay "sneezing"/);
+  assert.deepEqual(calls, [['setOverlay', 'typing', true], ['setOverlay', 'typing', false]]);
+});
+
+test('getState returns the snapshot', async () => {
+  const { send } = setup();
+  const [reply] = await send({ command: 'getState' });
+  assert.deepEqual(reply, { event: 'result', ok: true, result: { state: 'idle' } });
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { createCore, updateCore } from '../src/orb.js';
+import {
+  createHarness, corePanels, maxRadius, diffSnapshots, SILENT,
+} from './harness.js';
+
+const SNAPSHOT_FILE = new URL('./snapshots/render.json', import.meta.url);
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const LOUD = { level: 1, bass: 1, mid: 1, treble: 1, pulse: 1, pitchTrend: 0, emphasis: 0, question: 0 };
+
+/** Deterministic speech-like bands: syllables at ~4 Hz with a rising phrase. */
+function speech(t) {
+  const syllable = Math.max(0, Math.sin(t * 25));
+  return {
+    level: syllable * 0.6,
+    bass: syllable * 0.7,
+    mid: syllable * 0.5,
+    treble: syllable * 0.3,
+    pulse: syllable > 0.95 ? 1 : 0,
+    pitchTrend: Math.sin(t) * 6,
+    emphasis: syllable * 0.4,
+    question: 0,
+  };
+}
+
+function coreRadius(h) {
+  return maxRadius(corePanels(h.core).positions);
+}
+
+test('core faces stay inside the containment field in every state at full audio', () => {
+  const h = createHarness();
+  for (const name of h.stateManager.getStateNames()) {
+    h.stateManager.setState(name);
+    let max = 0;
+    for (let i = 0; i < 180; i++) {
+      h.step(1 / 60, LOUD);
+      max = Math.max(max, coreRadius(h));
+    }
+    assert.ok(max < 2.5, `${name}: faces reached r=${max.toFixed(3)}`);
+  }
+});
+
+test('speaking keeps faces inside the innermost ring', () => {
+  const h = createHarness();
+  h.stateManager.setState('speaking');
+  h.run(1);
+  let max = 0;
+  for (let i = 0; i < 300; i++) {
+    h.step(1 / 60, LOUD);
+    max = Math.max(max, coreRadius(h));
+  }
+  assert.ok(max < 1.35, `faces reached r=${max.toFixed(3)}`);
+});
+
+test('faces move rigidly — panels keep their shape under displacement', () => {
+  const h = createHarness();
+  const before = panelEdges(corePanels(h.core).positions);
+  h.stateManager.setState('speaking');
+  h.run(2, () => LOUD);
+  const after = panelEdges(corePanels(h.core).positions);
+  for (let i = 0; i < before.length; i++) assert.ok(Math.abs(before[i] - after[i]) < 1e-5, `panel edge ${i} deformed`);
+});
+
+test('silent idle has no displacement and no NaNs anywhere', () => {
+  const h = createHarness();
+  const base = Float32Array.from(h.core.basePositions);
+  h.run(3);
+  const { positions } = corePanels(h.core);
+  for (let i = 0; i < positions.length; i++) assert.equal(positions[i], base[i]);
+
+  const flat = JSON.stringify(h.snapshot());
+  assert.ok(!flat.includes('null'), 'snapshot contains NaN / Infinity');
+});
+
+test('updateCore only sets uniforms — no per-frame buffer uploads, at any detail', () => {
+  const core = createCore({ detail: 4 });
+  assert.equal(core.faceCount, 20 * 5 * 5);
+  const h = createHarness();
+  h.stateManager.setState('speaking');
+  let max = 0;
+  for (let i = 0; i < 120; i++) {
+    const sv = h.step(1 / 60, LOUD);
+    updateCore(core, sv, h.time, LOUD);
+    max = Math.max(max, maxRadius(corePanels(core).positions));
+  }
+  for (const [name, attribute] of Object.entries(core.facetedGeo.attributes)) {
+    assert.equal(attribute.version, 0, `${name} re-uploaded`);
+  }
+  assert.ok(max < 1.35, `faces reached r=${max.toFixed(3)}`);
+});
+
+test('rings settle on the state pack axes', () => {
+  const h = createHarness();
+  h.stateManager.setState('thinking');
+  h.run(6);
+  const axes = h.stateManager.getState('thinking').ringAxes;
+  h.rings.forEach((ring, i) => {
+    for (let k = 0; k < 3; k++) assert.ok(Math.abs(ring.currentAxes[k] - axes[i][k]) < 1e-3, `ring ${i} axis ${k}`);
+  });
+});
+
+test('transitions land exactly on the target state values', () => {
+  const h = createHarness();
+  for (const name of ['alert', 'listening', 'speaking', 'sleeping']) {
+    h.stateManager.setState(name);
+    h.run(4);
+    const target = h.stateManager.getState(name);
+    assert.equal(h.stateManager.base.intensity, target.intensity);
+    assert.deepEqual(h.stateManager.base.color, target.color);
+  }
+});
+
+test('the core shader takes its constants from CORE_PANEL, which the JS mirror shares', () => {
+  // Source text, not the built string: only 0.0 and 1.0 may be written inline
+  const source = readFileSync(new URL('../src/shaders/core.js', import.meta.url), 'utf8');
+  const main = source.slice(source.indexOf('void main()'), source.indexOf('export const CORE_FRAGMENT_SHADER'));
+  const literals = main.match(/\b\d+\.\d+\b/g).map(Number);
+  assert.deepEqual([...new Set(literals)].sort(), [0, 1], 'move new shader constants into CORE_PANEL and use them in corePanels()');
+});
+
+test('materials match the checked-in snapshot', () => {
+  const h = createHarness({ seed: 42 });
+  const frames = {};
+  h.run(1);
+  frames.idle = h.snapshot();
+  h.stateManager.setState('thinking');
+  h.run(0.3);
+  frames.thinkingMidTransition = h.snapshot();
+  h.run(1.5);
+  frames.thinking = h.snapshot();
+  h.stateManager.setState('speaking');
+  h.run(2, speech);
+  frames.speaking = h.snapshot();
+  h.stateManager.setState('alert');
+  h.run(1, () => SILENT);
+  frames.alert = h.snapshot();
+  h.stateManager.setOverlay('muted');
+  h.stateManager.setState('listening');
+  h.run(1.5);
+  frames.listeningMuted = h.snapshot();
+
+  if (UPDATE) {
+    writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(frames, null, 2)}\n`);
+    return;
+  }
+  assert.ok(existsSync(SNAPSHOT_FILE), 'test/snapshots/render.json is missing (UPDATE_SNAPSHOTS=1 npm test to create it)');
+  const expected = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+  const diff = diffSnapshots(expected, frames);
+  assert.deepEqual(diff, [], `render snapshot changed (UPDATE_SNAPSHOTS=1 npm test to accept):\n${diff.slice(0, 20).join('\n')}`);
+});
+
+/** Lengths of every panel's three edges. */
+function panelEdges(p) {
+  const out = [];
+  for (let i = 0; i < p.length; i += 9) {
+    for (const [a, b] of [[0, 3], [3, 6], [6, 0]]) {
+      out.push(Math.hypot(p[i + a] - p[i + b], p[i + a + 1] - p[i + b + 1], p[i + a + 2] - p[i + b + 2]));
+    }
+  }
+  return out;
+}
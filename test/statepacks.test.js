@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DEFAULT_PACK from '../src/statepacks/default.json' with { type: 'json' };
+import { DEFAULT_STATE_PACK, REQUIRED_STATES, resolveStatePack } from '../src/states.js';
+
+/** Resolve `pack` over the default pack, as ?states=<url> does. */
+const merge = (pack) => resolveStatePack(pack, DEFAULT_STATE_PACK);
+
+test('a custom pack adds states and overrides only what it names', () => {
+  const pack = merge({
+    name: 'studio',
+    states: {
+      idle: { intensity: 0.4 },
+      tool_running: { extends: 'thinking', color: '#ff8800', particleFlow: 'inward' },
+    },
+  });
+
+  assert.equal(pack.name, 'studio');
+  for (const name of REQUIRED_STATES) assert.ok(pack.states[name], name);
+
+  // Overridden field changes, the rest of idle is inherited from the base
+  assert.equal(pack.states.idle.intensity, 0.4);
+  assert.deepEqual(pack.states.idle.color, DEFAULT_STATE_PACK.states.idle.color);
+
+  // extends copies the parent, colors parse to 0–1
+  const tool = pack.states.tool_running;
+  assert.deepEqual(tool.color, [1, 0x88 / 255, 0]);
+  assert.equal(tool.ringSpeed, DEFAULT_STATE_PACK.states.thinking.ringSpeed);
+  assert.equal(tool.particleFlow, 'inward');
+  assert.equal(tool.label, 'tool_running');
+
+  // Untouched tables carry over
+  assert.deepEqual(pack.transitions, DEFAULT_STATE_PACK.transitions);
+  assert.deepEqual(pack.overlays, DEFAULT_STATE_PACK.overlays);
+});
+
+test('transitions and overlays merge key by key over the defaults', () => {
+  const pack = merge({
+    states: {},
+    transitions: { 'idle->thinking': { duration: 2, easing: 'linear', delays: { color: 0.5 } } },
+    overlays: { muted: { priority: 99, desaturate: 1 }, dimmed: { multiply: { intensity: 0.5 } } },
+  });
+
+  assert.equal(pack.transitions['idle->thinking'].duration, 2);
+  assert.equal(pack.transitions['idle->thinking'].maxDelay, 0.5);
+  assert.deepEqual(pack.transitions['*->alert'], DEFAULT_STATE_PACK.transitions['*->alert']);
+
+  assert.equal(pack.overlays.muted.priority, 99);
+  assert.equal(pack.overlays.muted.desaturate, 1);
+  assert.equal(pack.overlays.dimmed.fade, 0.3, 'omitted fields take their defaults');
+  assert.deepEqual(pack.overlays.typing, DEFAULT_STATE_PACK.overlays.typing);
+});
+
+test('a standalone pack must define every required state', () => {
+  assert.equal(resolveStatePack(DEFAULT_PACK).name, 'stark');
+  assert.throws(() => resolveStatePack({ states: { idle: DEFAULT_PACK.states.idle } }), /missing required state "thinking"/);
+  assert.throws(() => resolveStatePack({ name: 'empty' }), /must be an object with a "states" map/);
+  assert.throws(() => resolveStatePack(null), /must be an object/);
+});
+
+test('invalid packs are rejected with the offending state and field', () => {
+  const cases = [
+    [{ idle: { glow: 1 } }, /State "idle".glow is not a known field/],
+    [{ idle: { intensity: '1.2' } }, /State "idle".intensity must be a number/],
+    [{ idle: { intensity: Infinity } }, /State "idle".intensity must be a number/],
+    [{ idle: { color: [300, 0, 0] } }, /State "idle".color must be \[r, g, b\]/],
+    [{ idle: { color: '#fff' } }, /State "idle".color must be \[r, g, b\]/],
+    [{ idle: { particleFlow: 'sideways' } }, /State "idle".particleFlow is invalid/],
+    [{ idle: { hum: { freq: 60, gain: 1 } } }, /State "idle".hum is invalid/],
+    [{ idle: { ringAxes: [[0, 0, 0]] } }, /State "idle".ringAxes is invalid/],
+    [{ idle: { flash: 'yes' } }, /State "idle".flash is invalid/],
+    [{ Loud: { extends: 'idle' } }, /State name "Loud" must be lower_snake_case/],
+    [{ loud: { extends: 'shouting' } }, /extends unknown state "shouting"/],
+    [{ a: { extends: 'b' }, b: { extends: 'a' } }, /extends cycle/],
+    [{ loud: [] }, /State "loud" must be an object/],
+  ];
+  for (const [states, error] of cases) assert.throws(() => merge({ states }), error, JSON.stringify(states));
+});
+
+test('invalid transitions and overlays are rejected', () => {
+  const cases = [
+    [{ transitions: [] }, /"transitions" must be an object/],
+    [{ transitions: { 'idle=>alert': {} } }, /must be "from->to" or "default"/],
+    [{ transitions: { default: { duration: 0 } } }, /Transition "default".duration must be between 0 and 30/],
+    [{ transitions: { default: { easing: 'bounce' } } }, /easing must be "spring" or one of/],
+    [{ transitions: { default: { delays: { glow: 1 } } } }, /delays.glow is not a lerped property/],
+    [{ transitions: { default: { delays: { color: -1 } } } }, /delays.color must be between 0 and 30/],
+    [{ overlays: { Muted: {} } }, /Overlay name "Muted" must be lower_snake_case/],
+    [{ overlays: { muted: { blur: 1 } } }, /Overlay "muted".blur is not a known field/],
+    [{ overlays: { muted: { fade: -1 } } }, /fade must be a non-negative number/],
+    [{ overlays: { muted: { tint: { color: [0, 0, 0], amount: 2 } } } }, /tint.amount must be 0–1/],
+    [{ overlays: { muted: { multiply: { ringAxes: 2 } } } }, /multiply.ringAxes is not a numeric property/],
+    [{ overlays: { muted: { pulse: { hz: 0, depth: 0.5 } } } }, /pulse needs hz > 0/],
+  ];
+  for (const [pack, error] of cases) assert.throws(() => merge({ states: {}, ...pack }), error, JSON.stringify(pack));
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { VISUAL_STYLES, createStyle } from '../src/styles.js';
+import { applyProsody } from '../src/orb.js';
+import { StateManager } from '../src/states.js';
+
+const LOUD = { level: 1, bass: 1, mid: 1, treble: 1, pulse: 1, pitchTrend: 0, emphasis: 0, question: 0 };
+
+/** Every finite-or-not number a style writes into its uniforms and materials. */
+function writtenNumbers(group) {
+  const values = [];
+  group.traverse((child) => {
+    const material = child.material;
+    if (!material) return;
+    values.push(material.opacity, ...material.color?.toArray() ?? []);
+    for (const { value } of Object.values(material.uniforms ?? {})) {
+      values.push(...(typeof value === 'number' ? [value] : value.toArray()));
+    }
+  });
+  return values;
+}
+
+for (const name of Object.keys(VISUAL_STYLES)) {
+  test(`${name} style animates every state from the visual state alone`, () => {
+    const style = createStyle(name);
+    const scene = new THREE.Scene();
+    scene.add(style.group);
+    const stateManager = new StateManager();
+
+    let time = 0;
+    for (const state of stateManager.getStateNames()) {
+      stateManager.setState(state);
+      for (let i = 0; i < 30; i++) {
+        time += 1 / 60;
+        stateManager.update(1 / 60);
+        style.update(applyProsody(stateManager.current, LOUD), LOUD, time, 1 / 60);
+      }
+      assert.ok(writtenNumbers(style.group).every(Number.isFinite), `${state}: non-finite value`);
+    }
+  });
+
+  test(`${name} style keeps its shader inputs bounded after days of runtime`, () => {
+    const style = createStyle(name);
+    const sv = applyProsody(new StateManager().current, LOUD);
+
+    // Hour-long steps stand in for a kiosk left running for four days
+    for (let hour = 1; hour <= 96; hour++) style.update(sv, LOUD, hour * 3600 + 0.3, 3600);
+    const largest = Math.max(...writtenNumbers(style.group).map(Math.abs));
+    assert.ok(largest < 1000, `largest uniform ${largest}`);
+  });
+
+  test(`${name} style dispose detaches and frees its geometry`, () => {
+    const style = createStyle(name);
+    const scene = new THREE.Scene();
+    scene.add(style.group);
+    let freed = 0;
+    style.group.traverse((child) => child.geometry?.addEventListener('dispose', () => freed++));
+
+    style.dispose();
+    assert.equal(style.group.parent, null);
+    assert.ok(freed > 0);
+  });
+
+  test(`${name} style drops surface detail with lod`, () => {
+    const vertices = (style) => {
+      let count = 0;
+      style.group.traverse((child) => { count += child.geometry?.attributes.position.count ?? 0; });
+      style.dispose();
+      return count;
+    };
+    assert.ok(vertices(createStyle(name, { detail: 2, lod: 2 })) < vertices(createStyle(name, { detail: 2 })));
+  });
+}
+
+test('unknown styles are rejected with the valid names', () => {
+  assert.throws(() => createStyle('plasma'), /Unknown visual style "plasma".*holographic, organic/);
+});
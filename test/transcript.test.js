@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transcript, formatOffset } from '../src/transcript.js';
+
+const START = Date.UTC(2026, 0, 2, 9, 30, 0);
+
+/** Transcript on a fake clock. */
+function setup() {
+  const clock = { ms: START };
+  const transcript = new Transcript({ now: () => clock.ms });
+  const at = (seconds) => { clock.ms = START + seconds * 1000; };
+  return { transcript, at };
+}
+
+test('entries keep speaker, text and time since the session start', () => {
+  const { transcript, at } = setup();
+  transcript.start();
+  at(3.2);
+  transcript.add('user', 'What time is it?');
+  at(5);
+  transcript.add('agent', 'Half past nine.');
+
+  assert.deepEqual(transcript.toJSON(), {
+    version: 1,
+    startedAt: '2026-01-02T09:30:00.000Z',
+    entries: [
+      { role: 'user', text: 'What time is it?', time: '2026-01-02T09:30:03.200Z', offset: 3.2 },
+      { role: 'agent', text: 'Half past nine.', time: '2026-01-02T09:30:05.000Z', offset: 5 },
+    ],
+  });
+});
+
+test('start() begins a fresh session', () => {
+  const { transcript, at } = setup();
+  const changes = [];
+  transcript.onChange = (entry) => changes.push(entry?.text ?? null);
+
+  transcript.add('agent', 'First session');
+  at(60);
+  transcript.start();
+  assert.deepEqual(transcript.entries, []);
+  assert.equal(transcript.toJSON().startedAt, '2026-01-02T09:31:00.000Z');
+  assert.deepEqual(changes, ['First session', null]);
+});
+
+test('markdown lists each line with speaker and offset', () => {
+  const { transcript, at } = setup();
+  transcript.start();
+  at(75);
+  transcript.add('user', 'Open the pod bay doors');
+  at(78);
+  transcript.add('agent', 'Opening them now.');
+
+  assert.equal(transcript.toMarkdown(), [
+    '# STARK transcript — 2026-01-02T09:30:00.000Z',
+    '',
+    '**You** `1:15`',
+    '',
+    'Open the pod bay doors',
+    '',
+    '**STARK** `1:18`',
+    '',
+    'Opening them now.',
+    '',
+  ].join('\n'));
+});
+
+test('formatOffset pads minutes and seconds', () => {
+  assert.equal(formatOffset(0), '0:00');
+  assert.equal(formatOffset(9.9), '0:09');
+  assert.equal(formatOffset(600), '10:00');
+  assert.equal(formatOffset(3725), '1:02:05');
+});
+
+test('an interrupted reply keeps only what was said', () => {
+  const { transcript, at } = setup();
+  transcript.start();
+  at(2);
+  const entry = transcript.add('agent', 'The meeting is at three, and after that you have');
+  transcript.markInterrupted(entry, 'The meeting is at three, ');
+
+  assert.deepEqual(transcript.toJSON().entries[0], {
+    role: 'agent', text: 'The meeting is at three,', time: '2026-01-02T09:30:02.000Z', offset: 2, interrupted: true,
+  });
+  assert.match(transcript.toMarkdown(), /The meeting is at three, — \*interrupted\*/);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTransition, resolveTransitions, springStep } from '../src/transitions.js';
+import { StateManager, DEFAULT_STATE_PACK, resolveStatePack } from '../src/states.js';
+
+const DT = 1 / 60;
+
+test('lookup prefers the exact pair, then "*->to", then "from->*", then default', () => {
+  const table = resolveTransitions({
+    'idle->alert': { duration: 1 },
+    '*->alert': { duration: 2 },
+    'idle->*': { duration: 3 },
+    default: { duration: 4 },
+  });
+  assert.equal(findTransition(table, 'idle', 'alert').duration, 1);
+  assert.equal(findTransition(table, 'speaking', 'alert').duration, 2);
+  assert.equal(findTransition(table, 'idle', 'thinking').duration, 3);
+  assert.equal(findTransition(table, 'speaking', 'thinking').duration, 4);
+
+  // Without a pack default the built-in one applies
+  assert.equal(findTransition(resolveTransitions({}), 'idle', 'thinking').easing, 'easeInOutCubic');
+});
+
+test('a spring settles within its duration and is exact for any dt', () => {
+  const omega = 8 / 0.8;  // settle time 0.8 s
+  const run = (steps, dt) => {
+    const out = [0, 0];
+    for (let i = 0; i < steps; i++) springStep(out[0], out[1], 1, omega, dt, out);
+    return out;
+  };
+
+  const [x, v] = run(48, DT);
+  assert.ok(Math.abs(1 - x) < 0.004, `x ${x} after 0.8 s`);
+  assert.ok(Math.abs(v) < 0.05);
+
+  // Critically damped: never overshoots
+  const path = [0, 0];
+  for (let i = 0; i < 120; i++) {
+    springStep(path[0], path[1], 1, omega, DT, path);
+    assert.ok(path[0] <= 1 + 1e-9, `overshoot at frame ${i}`);
+  }
+
+  // One dropped-frame step lands where many small ones do
+  const [big] = run(1, 0.5);
+  const [small] = run(30, 0.5 / 30);
+  assert.ok(Math.abs(big - small) < 1e-9);
+});
+
+/** StateManager on a one-transition pack, stepped at 60 fps. */
+function manager(transition) {
+  const pack = resolveStatePack({ states: {}, transitions: { default: transition } }, DEFAULT_STATE_PACK);
+  return new StateManager(pack);
+}
+
+function run(sm, seconds) {
+  for (let i = 0; i < Math.round(seconds / DT); i++) sm.update(DT);
+}
+
+test('an eased transition lands on the target exactly at its duration', () => {
+  const sm = manager({ duration: 0.5, easing: 'easeInOutCubic' });
+  const { intensity } = DEFAULT_STATE_PACK.states.thinking;
+  sm.setState('thinking');
+  run(sm, 0.25);
+  assert.ok(sm.transitionProgress > 0.4 && sm.transitionProgress < 0.6);
+  assert.ok(sm.base.intensity > DEFAULT_STATE_PACK.states.idle.intensity && sm.base.intensity < intensity);
+  run(sm, 0.25 + DT);
+  assert.equal(sm.transitionProgress, 1);
+  assert.equal(sm.base.intensity, intensity);
+});
+
+test('per-property delays hold a property at its start until they pass', () => {
+  const sm = manager({ duration: 0.5, easing: 'linear', delays: { intensity: 0.3 } });
+  const start = sm.base.intensity;
+  sm.setState('thinking');
+  run(sm, 0.25);
+  assert.equal(sm.base.intensity, start, 'intensity waits out its delay');
+  assert.notEqual(sm.base.rotationSpeed, DEFAULT_STATE_PACK.states.idle.rotationSpeed, 'other properties move');
+  run(sm, 0.55);
+  assert.equal(sm.transitionProgress, 1);
+  assert.equal(sm.base.intensity, DEFAULT_STATE_PACK.states.thinking.intensity);
+});
+
+for (const easing of ['easeInOutCubic', 'spring']) {
+  test(`interrupting a ${easing} transition mid-flight keeps position and velocity continuous`, () => {
+    const sm = manager({ duration: 0.6, easing });
+    sm.setState('thinking');
+    run(sm, 0.2);
+
+    // Velocity from the last two frames before the interrupt
+    const before = sm.base.intensity;
+    sm.update(DT);
+    const at = sm.base.intensity;
+    const velocity = (at - before) / DT;
+
+    // Reverse while intensity is still rising: it must turn around, not snap
+    sm.setState('idle');
+    sm.update(DT);
+    const after = sm.base.intensity;
+    const velocityAfter = (after - at) / DT;
+
+    // No jump: the first frame keeps moving the way it was going
+    assert.ok(Math.abs(after - at) < Math.abs(velocity) * DT * 1.5 + 1e-6, `jumped ${at} → ${after}`);
+    assert.ok(Math.sign(velocityAfter) === Math.sign(velocity), `velocity ${velocity} → ${velocityAfter}`);
+
+    run(sm, 0.7);
+    assert.equal(sm.transitionProgress, 1);
+    assert.ok(Math.abs(sm.base.intensity - DEFAULT_STATE_PACK.states.idle.intensity) < 1e-9);
+  });
+}
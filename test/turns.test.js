@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationTurnTracker, StateHold } from '../src/turns.js';
+
+const FRAME_MS = 16;
+
+/** Tracker on a fake clock, recording every turn change. */
+function setup(options = {}) {
+  const clock = { ms: 0 };
+  const tracker = new ConversationTurnTracker({ now: () => clock.ms, ...options });
+  const turns = [];
+  tracker.onTurnChange = (turn, prev) => turns.push([prev, turn]);
+  tracker.reset('listening');
+
+  /** Advance the clock frame by frame at a constant input level. */
+  const run = (ms, level = 0) => {
+    for (let t = 0; t < ms; t += FRAME_MS) {
+      clock.ms += FRAME_MS;
+      tracker.update(level);
+    }
+  };
+
+  return { tracker, turns, run };
+}
+
+test('speaking commits immediately', () => {
+  const { tracker, turns } = setup();
+  tracker.handleMode('speaking');
+  assert.equal(tracker.turn, 'speaking');
+  assert.deepEqual(turns, [['listening', 'speaking']]);
+});
+
+test('speaking → listening waits out the debounce', () => {
+  const { tracker, turns, run } = setup();
+  tracker.handleMode('speaking');
+  tracker.handleMode('listening');
+  assert.equal(tracker.turn, 'speaking');
+  assert.ok(tracker.pending);
+
+  run(300);
+  assert.equal(tracker.turn, 'speaking');
+  run(200);
+  assert.equal(tracker.turn, 'listening');
+  assert.deepEqual(turns.at(-1), ['speaking', 'listening']);
+});
+
+test('a brief pause inside a reply does not flicker to listening', () => {
+  const { tracker, turns, run } = setup();
+  tracker.handleMode('speaking');
+  for (let i = 0; i < 5; i++) {
+    run(500, 0.5);
+    tracker.handleMode('listening');
+    run(250);
+    tracker.handleMode('speaking');
+  }
+  run(1000, 0.5);
+  assert.equal(tracker.turn, 'speaking');
+  assert.deepEqual(turns, [['listening', 'speaking']]);
+});
+
+test('repeated listening reports restart the debounce', () => {
+  const { tracker, run } = setup();
+  tracker.handleMode('speaking');
+  tracker.handleMode('listening');
+  run(250);
+  tracker.handleMode('listening');
+  run(200);
+  assert.equal(tracker.turn, 'speaking');
+  run(250);
+  assert.equal(tracker.turn, 'listening');
+});
+
+test('user speech followed by silence enters thinking', () => {
+  const { tracker, turns, run } = setup();
+  run(1000, 0.3);
+  run(1400);
+  assert.equal(tracker.turn, 'listening');
+  run(200);
+  assert.equal(tracker.turn, 'thinking');
+  assert.deepEqual(turns, [['listening', 'thinking']]);
+});
+
+test('silence alone never enters thinking', () => {
+  const { tracker, run } = setup();
+  run(5000, 0.02);
+  assert.equal(tracker.turn, 'listening');
+});
+
+test('speech resuming within the gap restarts the silence timer', () => {
+  const { tracker, run } = setup();
+  run(500, 0.3);
+  run(1000);
+  run(200, 0.3);
+  run(1000);
+  assert.equal(tracker.turn, 'listening');
+  run(600);
+  assert.equal(tracker.turn, 'thinking');
+});
+
+test('thinking ignores listening and ends when the agent speaks', () => {
+  const { tracker, turns, run } = setup();
+  run(500, 0.3);
+  run(1600);
+  tracker.handleMode('listening');
+  assert.equal(tracker.turn, 'thinking');
+
+  tracker.handleMode('speaking');
+  assert.equal(tracker.turn, 'speaking');
+  assert.deepEqual(turns.at(-1), ['thinking', 'speaking']);
+});
+
+test('the user must speak again after a turn before thinking retriggers', () => {
+  const { tracker, run } = setup();
+  run(500, 0.3);
+  run(1600);
+  tracker.handleMode('speaking');
+  tracker.handleMode('listening');
+  run(500);
+  assert.equal(tracker.turn, 'listening');
+  run(5000);
+  assert.equal(tracker.turn, 'listening');
+});
+
+test('thresholds are configurable', () => {
+  const { tracker, run } = setup({ speechLevel: 0.5, thinkingGapMs: 500 });
+  run(500, 0.3);
+  run(1000);
+  assert.equal(tracker.turn, 'listening');
+  run(500, 0.6);
+  run(600);
+  assert.equal(tracker.turn, 'thinking');
+});
+
+test('reset drops a pending change without firing', () => {
+  const { tracker, turns, run } = setup();
+  tracker.handleMode('speaking');
+  tracker.handleMode('listening');
+  tracker.reset();
+  run(1000);
+  assert.equal(tracker.turn, null);
+  assert.equal(tracker.pending, false);
+  assert.deepEqual(turns, [['listening', 'speaking']]);
+});
+
+test('state hold defers conversation states until it expires', () => {
+  const clock = { ms: 0 };
+  const states = [];
+  const stateManager = { targetState: 'listening', setState(name) { this.targetState = name; states.push(name); } };
+  const hold = new StateHold(stateManager, { now: () => clock.ms });
+
+  hold.hold('alert', 2);
+  hold.set('speaking');
+  hold.set('listening');
+  clock.ms = 1999;
+  hold.update();
+  assert.equal(stateManager.targetState, 'alert');
+
+  clock.ms = 2000;
+  hold.update();
+  assert.equal(stateManager.targetState, 'listening');
+  assert.ok(!hold.active);
+  assert.deepEqual(states, ['alert', 'listening']);
+});
+
+test('releasing a hold keeps the held state', () => {
+  const stateManager = { targetState: 'idle', setState(name) { this.targetState = name; } };
+  const hold = new StateHold(stateManager, { now: () => 0 });
+
+  hold.hold('alert', 5);
+  hold.set('speaking');
+  hold.release();
+  hold.update();
+  assert.equal(stateManager.targetState, 'alert');
+  hold.set('speaking');
+  assert.equal(stateManager.targetState, 'speaking');
+});
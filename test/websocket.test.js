@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketBackend } from '../src/backends/websocket.js';
+
+/** Just enough of the browser WebSocket for the backend's socket handling. */
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close(code = 1005) {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.({ code, reason: '' });
+  }
+
+  // Test side
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(data) {
+    this.onmessage?.({ data: typeof data === 'string' || data instanceof ArrayBuffer ? data : JSON.stringify(data) });
+  }
+}
+
+beforeEach(() => {
+  globalThis.WebSocket = FakeWebSocket;
+});
+
+/** A backend with the audio graph left out — only the socket is under test. */
+function setup(options = {}) {
+  const backend = new WebSocketBackend({ url: 'ws://localhost:9000', ...options });
+  backend._openAudio = async () => {};
+  return backend;
+}
+
+/** Connect and answer hello with ready. */
+async function connected(backend) {
+  const connecting = backend.connect();
+  await Promise.resolve();
+  FakeWebSocket.last.open();
+  FakeWebSocket.last.receive({ type: 'ready', sampleRate: 24000 });
+  await connecting;
+  return FakeWebSocket.last;
+}
+
+test('a server that never answers hello fails the connect and closes the socket', async () => {
+  const backend = setup({ readyTimeoutMs: 10 });
+  let disconnects = 0;
+  backend.onDisconnect = () => disconnects++;
+
+  const connecting = backend.connect();
+  await Promise.resolve();
+  const socket = FakeWebSocket.last;
+  socket.open();
+
+  await assert.rejects(connecting, /did not answer within 10ms/);
+  assert.equal(socket.readyState, FakeWebSocket.CLOSED);
+  assert.equal(disconnects, 0, 'a session that never started does not disconnect');
+});
+
+test('tool calls only reach registered tools, not Object.prototype', async () => {
+  const backend = setup();
+  backend.clientTools = { set_zoom: ({ zoom }) => `Zoom set to ${zoom}` };
+  const socket = await connected(backend);
+
+  socket.receive({ type: 'tool_call', id: 'a', name: 'set_zoom', parameters: { zoom: 4 } });
+  socket.receive({ type: 'tool_call', id: 'b', name: 'toString', parameters: {} });
+  socket.receive({ type: 'tool_call', id: 'c', name: 'constructor', parameters: {} });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  const results = socket.sent.slice(1).map((frame) => JSON.parse(frame)).sort((a, b) => a.id.localeCompare(b.id));
+  assert.deepEqual(results, [
+    { type: 'tool_result', id: 'a', result: 'Zoom set to 4', isError: false },
+    { type: 'tool_result', id: 'b', result: 'Unknown client tool "toString"', isError: true },
+    { type: 'tool_result', id: 'c', result: 'Unknown client tool "constructor"', isError: true },
+  ]);
+});
+
+test('an odd-length audio frame plays without its trailing byte', async () => {
+  const backend = setup();
+  const socket = await connected(backend);
+  const buffers = [];
+  backend._ctx = {
+    currentTime: 0,
+    createBuffer: (channels, length, rate) => {
+      const data = new Float32Array(length);
+      const buffer = { length, duration: length / rate, getChannelData: () => data };
+      buffers.push(buffer);
+      return buffer;
+    },
+    createBufferSource: () => ({ connect() {}, start() {} }),
+  };
+
+  assert.doesNotThrow(() => socket.receive(new ArrayBuffer(5)));
+  assert.equal(buffers[0].length, 2);
+  backend._ctx = null;
+});
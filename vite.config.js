@@ -5,4 +5,13 @@ export default defineConfig({
     port: 5173,
     open: true,
   },
+  build: {
+    rollupOptions: {
+      // Fullscreen app + the <stark-avatar> embed example
+      input: {
+        main: 'index.html',
+        embed: 'embed.html',
+      },
+    },
+  },
 });